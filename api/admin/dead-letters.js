@@ -0,0 +1,38 @@
+// api/admin/dead-letters.js (Serverless Function for Vercel)
+// Inspect, retry and purge sync jobs that exhausted their retries.
+//
+//   GET    /api/admin/dead-letters            list dead-lettered jobs and queue counters
+//   POST   /api/admin/dead-letters?id=<job>   re-enqueue one job (all jobs without `id`)
+//   DELETE /api/admin/dead-letters?id=<job>   purge one job (`?all=true` purges all)
+//
+// Requires the ADMIN_API_KEY in the `x-api-key` header, or a JWT with the admin role.
+
+require('dotenv').config();
+const { requireAdmin } = require('../../lib/admin-auth');
+const { getSyncQueue } = require('../../lib/queue');
+
+module.exports = async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const queue = getSyncQueue();
+  const { id, all } = req.query || {};
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return res.status(200).json({ stats: await queue.stats(), jobs: await queue.listDead() });
+      case 'POST':
+        return res.status(200).json({ retried: await queue.retryDead(id) });
+      case 'DELETE':
+        if (!id && all !== 'true') {
+          return res.status(400).json({ error: { code: 'BadRequest', message: "Pass 'id' or 'all=true'." } });
+        }
+        return res.status(200).json({ purged: await queue.purgeDead(id) });
+      default:
+        res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+        return res.status(405).send('Method Not Allowed');
+    }
+  } catch (err) {
+    console.error('❌ Dead-letter request failed:', err);
+    return res.status(500).json({ error: { code: 'InternalError', message: err.message } });
+  }
+};
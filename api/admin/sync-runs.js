@@ -0,0 +1,52 @@
+// api/admin/sync-runs.js (Serverless Function for Vercel)
+// Query the sync run history (lib/run-history.js).
+//
+//   GET /api/admin/sync-runs?id=<run>                    one run
+//   GET /api/admin/sync-runs?eventId=<crm-id>            runs of one event, newest first
+//       &status=running|succeeded|failed &type=event|full|delta
+//       &from=<ISO date> &to=<ISO date> &limit=<1-200>   (all filters optional)
+//
+// Requires the ADMIN_API_KEY in the `x-api-key` header, or a JWT with the admin role.
+
+require('dotenv').config();
+const { requireAdmin } = require('../../lib/admin-auth');
+const { RUN_STATUSES, getRunHistory } = require('../../lib/run-history');
+
+const RUN_TYPES = ['event', 'full', 'delta'];
+const MAX_LIMIT = 200;
+
+const badRequest = (res, message) => res.status(400).json({ error: { code: 'BadRequest', message } });
+
+module.exports = async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).send('Method Not Allowed');
+  }
+  const { id, eventId, status, type, from, to, limit = '50' } = req.query || {};
+
+  if (status && !RUN_STATUSES.includes(status)) return badRequest(res, `'status' must be one of: ${RUN_STATUSES.join(', ')}.`);
+  if (type && !RUN_TYPES.includes(type)) return badRequest(res, `'type' must be one of: ${RUN_TYPES.join(', ')}.`);
+  const range = {};
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value === undefined) continue;
+    range[name] = Date.parse(value);
+    if (Number.isNaN(range[name])) return badRequest(res, `'${name}' must be an ISO date.`);
+  }
+  const max = Number(limit);
+  if (!Number.isInteger(max) || max < 1 || max > MAX_LIMIT) return badRequest(res, `'limit' must be between 1 and ${MAX_LIMIT}.`);
+
+  try {
+    const history = getRunHistory();
+    if (id) {
+      const run = await history.get(id);
+      if (!run) return res.status(404).json({ error: { code: 'NotFound', message: `No sync run ${id}.` } });
+      return res.status(200).json({ run });
+    }
+    const runs = await history.list({ recordId: eventId, status, type, ...range, limit: max });
+    return res.status(200).json({ runs });
+  } catch (err) {
+    console.error('❌ Sync run query failed:', err);
+    return res.status(500).json({ error: { code: 'InternalError', message: err.message } });
+  }
+};
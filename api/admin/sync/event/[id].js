@@ -0,0 +1,65 @@
+// api/admin/sync/event/[id].js (Serverless Function for Vercel)
+// Forces a sync of one event (scripts/sync_single.js), e.g. to fix a stale
+// event without shell access. The sync runs in the background; its progress
+// and outcome are reported by /api/admin/sync/status?runId=<runId>. A request
+// parked behind a running sync of the same event is answered with
+// `deferred: true` instead of a run ID.
+//
+//   POST /api/admin/sync/event/<crm-event-id>   body (optional): { "changeType": "Update", "renameSlugs": false }
+//
+// Requires the ADMIN_API_KEY in the `x-api-key` header, or a JWT with the admin role.
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { waitUntil } = require('@vercel/functions');
+const { requireAdmin } = require('../../../../lib/admin-auth');
+const syncSingleEvent = require('../../../../scripts/sync_single');
+
+const CHANGE_TYPES = ['Create', 'Update', 'Delete'];
+
+module.exports = async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).send('Method Not Allowed');
+  }
+  const { id } = req.query || {};
+  const { changeType = 'Update', renameSlugs = false } = (typeof req.body === 'object' && req.body) || {};
+  if (!id) {
+    return res.status(400).json({ error: { code: 'BadRequest', message: 'Missing event ID.' } });
+  }
+  if (!CHANGE_TYPES.includes(changeType)) {
+    return res.status(400).json({ error: { code: 'BadRequest', message: `'changeType' must be one of: ${CHANGE_TYPES.join(', ')}.` } });
+  }
+
+  const runId = crypto.randomUUID();
+  // Settles as soon as the sync holds the event lock (with the run ID of the
+  // request that runs) or our request has been parked behind a running sync.
+  let onStart;
+  const starting = new Promise(resolve => { onStart = resolve; });
+  const sync = syncSingleEvent(id, changeType, { renameSlugs: renameSlugs === true, trigger: 'admin', runId, onStart });
+  waitUntil(sync.catch(err => console.error(`❌ Admin sync of event ${id} failed:`, err)));
+
+  let startedRunId;
+  try {
+    startedRunId = await Promise.race([starting, sync.then(() => null)]);
+  } catch (err) {
+    console.error(`❌ Admin sync of event ${id} could not be started:`, err);
+    return res.status(500).json({ error: { code: 'SyncFailed', message: err.message } });
+  }
+  if (!startedRunId) {
+    // A later request may still replace the parked one, so there is no run ID to follow yet.
+    return res.status(202).json({
+      message: `A sync of event ${id} is already running; this one will run once it has finished.`,
+      eventId: id,
+      deferred: true,
+      statusUrl: `/api/admin/sync/status?eventId=${encodeURIComponent(id)}`,
+    });
+  }
+  return res.status(202).json({
+    message: `Sync of event ${id} started in the background.`,
+    eventId: id,
+    runId: startedRunId,
+    statusUrl: `/api/admin/sync/status?runId=${startedRunId}`,
+  });
+};
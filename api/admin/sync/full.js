@@ -0,0 +1,70 @@
+// api/admin/sync/full.js (Serverless Function for Vercel)
+// Starts a full or delta sync (scripts/sync_full.js) in the background. Full
+// and delta syncs share the `sync:full` lock with the delta cron: a sync
+// requested while another one is running starts once that one has finished,
+// and is answered with `deferred: true` instead of a run ID.
+//
+//   POST /api/admin/sync/full   body (optional): { "delta": false, "orphanPolicy": "unpublish" }
+//
+// Progress and outcome: /api/admin/sync/status?runId=<runId>. Requires the
+// ADMIN_API_KEY in the `x-api-key` header, or a JWT with the admin role.
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { waitUntil } = require('@vercel/functions');
+const { requireAdmin } = require('../../../lib/admin-auth');
+const { createLockManager } = require('../../../lib/lock');
+const { ORPHAN_POLICIES } = require('../../../lib/orphans');
+const syncFull = require('../../../scripts/sync_full');
+
+module.exports = async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).send('Method Not Allowed');
+  }
+  const { delta = false, orphanPolicy } = (typeof req.body === 'object' && req.body) || {};
+  if (orphanPolicy !== undefined && !ORPHAN_POLICIES.includes(orphanPolicy)) {
+    return res.status(400).json({ error: { code: 'BadRequest', message: `'orphanPolicy' must be one of: ${ORPHAN_POLICIES.join(', ')}.` } });
+  }
+
+  const runId = crypto.randomUUID();
+  const request = { delta: delta === true, ...(orphanPolicy && { orphanPolicy }), trigger: 'admin', runId };
+  const locks = createLockManager({ ttlMs: 5 * 60 * 1000 });
+  // Settles as soon as the lock is taken (with the request that runs: ours, or
+  // one parked earlier that took precedence) or our request has been parked.
+  let onStart;
+  const starting = new Promise(resolve => { onStart = resolve; });
+  const outcome = locks.runExclusive('sync:full', request, parked => {
+    onStart(parked);
+    return syncFull(parked);
+  });
+  waitUntil(
+    outcome
+      .then(({ status }) => {
+        if (status === 'deferred') console.log(`⏳ A sync is already running; admin sync ${runId} will run once it has finished.`);
+      })
+      .catch(err => console.error(`❌ Admin ${request.delta ? 'delta' : 'full'} sync failed:`, err))
+  );
+
+  let started;
+  try {
+    started = await Promise.race([starting, outcome.then(() => null)]);
+  } catch (err) {
+    console.error('❌ Admin sync could not be started:', err);
+    return res.status(500).json({ error: { code: 'SyncFailed', message: err.message } });
+  }
+  if (!started) {
+    // A later request may still replace the parked one, so there is no run ID to follow yet.
+    return res.status(202).json({
+      message: 'A sync is already running; this one will run once it has finished.',
+      deferred: true,
+      statusUrl: '/api/admin/sync/status',
+    });
+  }
+  return res.status(202).json({
+    message: `${started.delta ? 'Delta' : 'Full'} sync started in the background.`,
+    ...(started.runId && { runId: started.runId }),
+    statusUrl: started.runId ? `/api/admin/sync/status?runId=${started.runId}` : '/api/admin/sync/status',
+  });
+};
@@ -0,0 +1,46 @@
+// api/admin/sync/status.js (Serverless Function for Vercel)
+// Progress of the syncs started via /api/admin/sync/* and an overview of the
+// sync machinery, from the run history (lib/run-history.js).
+//
+//   GET /api/admin/sync/status?runId=<run>     one run (404 until it has started)
+//   GET /api/admin/sync/status[?eventId=<id>]  running and recent runs, queue counters, watermark
+//
+// Requires the ADMIN_API_KEY in the `x-api-key` header, or a JWT with the admin role.
+
+require('dotenv').config();
+const { requireAdmin } = require('../../../lib/admin-auth');
+const { getRunHistory } = require('../../../lib/run-history');
+const { getSyncQueue } = require('../../../lib/queue');
+const { getSyncWatermark } = require('../../../lib/delta');
+
+const RECENT_RUNS = 20;
+
+module.exports = async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).send('Method Not Allowed');
+  }
+  const { runId, eventId } = req.query || {};
+
+  try {
+    const history = getRunHistory();
+    if (runId) {
+      const run = await history.get(runId);
+      if (!run) {
+        return res.status(404).json({ error: { code: 'NotFound', message: `Run ${runId} has not started yet or does not exist.` } });
+      }
+      return res.status(200).json({ run });
+    }
+    const [running, recent, queue, lastSync] = await Promise.all([
+      history.list({ recordId: eventId, status: 'running', limit: RECENT_RUNS }),
+      history.list({ recordId: eventId, limit: RECENT_RUNS }),
+      getSyncQueue().stats(),
+      getSyncWatermark().watermark.get(),
+    ]);
+    return res.status(200).json({ running, recent, queue, lastSuccessfulSync: lastSync?.toISOString() ?? null });
+  } catch (err) {
+    console.error('❌ Sync status request failed:', err);
+    return res.status(500).json({ error: { code: 'InternalError', message: err.message } });
+  }
+};
@@ -1,10 +1,37 @@
 // api/crm-webhook.js (Serverless Function for Vercel)
+// v2.6 - Queued jobs are marked with source 'webhook' for the sync run history (lib/run-history.js)
+// v2.5 - Rotating JWT keys selected by `kid`, RS256/ES256 public keys, issuer/audience checks
+//        (lib/jwt-keys.js)
+// v2.4 - Also accepts native Dataverse webhooks (RemoteExecutionContext) authenticated with
+//        the webhook key; updates that touch no synced attribute are ignored
+// v2.3 - Location, category and airport changes are synced as well (lib/entity-handlers.js)
+// v2.2 - Short-lived tokens only (iat/exp), duplicate deliveries are ignored and bursts
+//        of changes to the same record are collapsed into one sync job
+// v2.1 - Changes are queued as sync jobs (lib/queue.js) and retried by the worker
 // v2.0 - Updated to handle targeted syncs for Create, Update, and Delete
 
 require('dotenv').config();
-const jwt = require('jsonwebtoken');
 const { waitUntil } = require('@vercel/functions');
-const syncSingleEvent = require('../scripts/sync_single'); // ⬅️ IMPORTANT: Points to the new script
+const { verifyWebhookToken, verifyWebhookKey } = require('../lib/webhook-auth');
+const { isRemoteExecutionContext, parseRemoteExecutionContext } = require('../lib/dataverse-webhook');
+const { getReplayGuard } = require('../lib/replay-guard');
+const { getSyncQueue } = require('../lib/queue');
+const { runSyncWorker } = require('../lib/worker');
+const { getEntityHandler } = require('../lib/entity-handlers');
+const { sleep } = require('../lib/retry');
+
+const debounceSeconds = Number(process.env.WEBHOOK_DEBOUNCE_SECONDS);
+const debounceMs = Number.isFinite(debounceSeconds) && debounceSeconds >= 0 ? debounceSeconds * 1000 : 3000;
+
+// Vercel parses JSON bodies; a raw string body is parsed here.
+function parseBody(body) {
+  if (typeof body !== 'string') return body;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return null;
+  }
+}
 
 module.exports = async (req, res) => {
   // 1. Validate HTTP Method
@@ -12,63 +39,100 @@ module.exports = async (req, res) => {
     return res.status(405).send('Method Not Allowed');
   }
 
-  // 2. Validate Authorization Header and JWT Secret
+  // 2. Authenticate and extract the payload: a JWT signed by our CRM plugin, or a
+  //    native Dataverse webhook (RemoteExecutionContext) carrying the shared key.
   const auth = req.headers.authorization;
-  const secret = process.env.JWT_SECRET;
-
-  if (!secret) {
-    console.error('JWT_SECRET missing in env');
-    return res.status(500).send('Server config error');
-  }
-
-  if (!auth?.startsWith('Bearer ')) {
-    return res.status(401).send('Unauthorized: Bearer token missing or malformed.');
+  const body = parseBody(req.body);
+  let payload;
+  try {
+    if (auth?.startsWith('Bearer ')) {
+      // 3. Verify the JWT (signature, iat/exp within the allowed window)
+      payload = verifyWebhookToken(auth.split(' ')[1]);
+    } else if (isRemoteExecutionContext(body)) {
+      // 3. Verify the webhook key and map the execution context
+      verifyWebhookKey(req);
+      const context = parseRemoteExecutionContext(body, typeof req.body === 'string' ? req.body : undefined);
+      if (context.ignoreReason) {
+        console.log(`  -> Ignoring Dataverse ${context.messageName} of ${context.logicalName} ${context.recordId}: ${context.ignoreReason}`);
+        return res.status(200).json({ message: 'ignored', reason: context.ignoreReason });
+      }
+      payload = context;
+    } else {
+      return res.status(401).send('Unauthorized: Bearer token missing or malformed.');
+    }
+  } catch (err) {
+    if (err.status === 500) {
+      console.error(err.message);
+      return res.status(500).send('Server config error');
+    }
+    console.error('Webhook authentication error:', err.message);
+    return res.status(401).send('Unauthorized: Invalid token.');
   }
 
-  try {
-    // 3. Verify the JWT and extract payload
-    const token = auth.split(' ')[1];
-    const payload = jwt.verify(token, secret);
+  // 4. Validate the Payload Content
+  const requiredFields = ['entityName', 'recordId', 'changeType'];
+  const missingFields = requiredFields.filter(field => !payload[field]);
 
-    // 4. Validate the Payload Content
-    const requiredFields = ['entityName', 'recordId', 'changeType'];
-    const missingFields = requiredFields.filter(field => !payload[field]);
+  if (missingFields.length > 0) {
+    console.warn(`Webhook rejected due to missing fields: ${missingFields.join(', ')}`);
+    return res.status(400).json({
+      message: 'Bad Request: Payload missing required fields.',
+      missing: missingFields,
+    });
+  }
 
-    if (missingFields.length > 0) {
-      console.warn(`Webhook rejected due to missing fields: ${missingFields.join(', ')}`);
-      return res.status(400).json({
-        message: 'Bad Request: Payload missing required fields.',
-        missing: missingFields,
-      });
-    }
+  // 5. If valid, accept the webhook and start the background task
+  console.log('✅ CRM webhook accepted:', payload);
 
-    // 5. If valid, accept the webhook and start the background task
-    console.log('✅ CRM webhook accepted:', payload);
+  // Only entities with a registered sync handler (Event, EventLocation, EventCategory, Airport)
+  if (!getEntityHandler(payload.entityName)) {
+      console.log(`  -> Ignoring webhook for entity '${payload.entityName}'. No action taken.`);
+      return res.status(200).json({ message: 'Webhook received but not applicable to this endpoint.'});
+  }
 
-    // We only care about the 'Event' entity for now
-    if (payload.entityName !== 'Event') {
-        console.log(`  -> Ignoring webhook for entity '${payload.entityName}'. No action taken.`);
-        return res.status(200).json({ message: 'Webhook received but not applicable to this endpoint.'});
+  // Repeated deliveries of the same webhook (same jti, or same record and
+  // modifiedon) are acknowledged without queueing another sync.
+  const replayGuard = getReplayGuard();
+  let job;
+  try {
+    if (!(await replayGuard.claim(payload))) {
+      console.log(`  -> Duplicate webhook for ${payload.recordId} (${payload.changeType}). No action taken.`);
+      return res.status(200).json({ message: 'duplicate' });
     }
 
     /*
-     * ✅ Use waitUntil() to trigger the targeted sync, passing both the
-     * recordId and the changeType for precise action.
+     * ✅ Persist the change as a job first, so a failed sync is retried by the
+     * worker instead of being lost. Changes to the same record arriving
+     * within the debounce window are collapsed into one job.
      */
-    waitUntil(
-      // Pass both the ID and the change type to the sync function
-      syncSingleEvent(payload.recordId, payload.changeType)
-        .then(() => console.log(`✔︎ Sync (${payload.changeType}) for ${payload.recordId} finished successfully.`))
-        .catch(err => console.error(`❌ A critical error occurred during the background sync for ${payload.recordId}:`, err))
-    );
-
-    // 6. Respond immediately to the sender.
-    return res.status(202).json({
-      message: 'Targeted sync triggered successfully and is running in the background.'
-    });
-
+    try {
+      job = await getSyncQueue().enqueue({
+        entity: payload.entityName,
+        recordId: payload.recordId,
+        changeType: payload.changeType,
+        source: 'webhook',
+      }, { delayMs: debounceMs, collapse: true });
+    } catch (err) {
+      await replayGuard.release(payload).catch(() => {});
+      throw err;
+    }
   } catch (err) {
-    console.error('JWT verification error:', err.message);
-    return res.status(401).send('Unauthorized: Invalid token.');
+    console.error(`❌ Could not queue the sync for ${payload.recordId}:`, err);
+    return res.status(503).json({ message: 'Sync could not be queued. Please retry.' });
   }
-};
\ No newline at end of file
+
+  // Work off the queue in the background once the debounce window is over.
+  waitUntil(
+    sleep(debounceMs)
+      .then(() => runSyncWorker())
+      .catch(err => console.error(`❌ A critical error occurred while processing the sync queue:`, err))
+  );
+
+  // 6. Respond immediately to the sender.
+  return res.status(202).json({
+    message: job.collapsed
+      ? 'Change merged into an already queued sync for this record.'
+      : 'Targeted sync queued and running in the background.',
+    jobId: job.id,
+  });
+};
@@ -0,0 +1,32 @@
+// api/cron/delta-sync.js (Serverless Function for Vercel)
+// Scheduled catch-up run that syncs the events and reference records modified
+// since the last successful sync (scripts/sync_full.js in delta mode). Catches
+// changes whose webhook was lost. Called by the Vercel cron (see vercel.json),
+// which authenticates with CRON_SECRET; overlapping runs (also with full syncs
+// started via /api/admin/sync/full) are serialized by a KV lock.
+
+require('dotenv').config();
+const { requireCron } = require('../../lib/admin-auth');
+const { createLockManager } = require('../../lib/lock');
+const syncFull = require('../../scripts/sync_full');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).send('Method Not Allowed');
+  }
+  if (!requireCron(req, res)) return;
+
+  try {
+    const locks = createLockManager({ ttlMs: 5 * 60 * 1000 });
+    // Shared with the admin full sync; a parked request runs with its own options.
+    const outcome = await locks.runExclusive('sync:full', { delta: true, trigger: 'cron' }, request => syncFull(request));
+    if (outcome.status === 'deferred') {
+      return res.status(202).json({ message: 'A delta sync is already running; it will run once more when it has finished.' });
+    }
+    return res.status(200).json({ stats: outcome.result });
+  } catch (err) {
+    console.error('❌ Delta sync failed:', err);
+    return res.status(500).json({ error: { code: 'DeltaSyncFailed', message: err.message } });
+  }
+};
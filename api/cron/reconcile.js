@@ -0,0 +1,41 @@
+// api/cron/reconcile.js (Serverless Function for Vercel)
+// Scheduled drift check between the CRM and Webflow (lib/reconcile.js): reports
+// events missing in Webflow, stale fields, orphaned items and broken references.
+// With self-healing (RECONCILE_SELF_HEAL=true or `?heal=true`), every drifted
+// event is enqueued as a single-event sync for the worker. Called by the Vercel
+// cron (see vercel.json), which authenticates with CRON_SECRET.
+
+require('dotenv').config();
+const { requireCron } = require('../../lib/admin-auth');
+const { getEvents } = require('../../lib/crm');
+const { getWebflowClient } = require('../../lib/webflow');
+const { getCollectionIds } = require('../../lib/sync');
+const { getSyncQueue } = require('../../lib/queue');
+const { reconcile } = require('../../lib/reconcile');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).send('Method Not Allowed');
+  }
+  if (!requireCron(req, res)) return;
+
+  const { heal } = req.query || {};
+  const selfHeal = heal !== undefined ? heal === 'true' : process.env.RECONCILE_SELF_HEAL === 'true';
+
+  try {
+    const result = await reconcile({
+      client: getWebflowClient(),
+      collectionIds: getCollectionIds(),
+      fetchEvents: () => getEvents(),
+      queue: selfHeal ? getSyncQueue() : null,
+      heal: selfHeal,
+    });
+    const { summary } = result;
+    console.log(`🔍 Reconciliation: ${summary.missing} missing, ${summary.stale} stale, ${summary.orphaned} orphaned, ${summary.brokenReferences} broken reference(s)${selfHeal ? `; ${result.enqueued.length} sync job(s) enqueued` : ''}.`);
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('❌ Reconciliation failed:', err);
+    return res.status(500).json({ error: { code: 'ReconcileFailed', message: err.message } });
+  }
+};
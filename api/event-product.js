@@ -4,7 +4,7 @@
 import cors from 'cors';
 
 // Import your CRM logic
-import { getEventPriceLevel } from '../lib/crm.js'; // Using ESM import
+import { getEventPriceLevel, crmErrorToHttp } from '../lib/crm.js'; // Using ESM import
 
 // Initialize CORS middleware with multiple origins
 const corsHandler = cors({
@@ -66,7 +66,16 @@ export default async function handler(req, res) {
 
   } catch (error) {
     console.error('[API Error] Failed to fetch event products from CRM:', error.message);
-    // Send a generic server error to the client
-    res.status(500).json({ msg: 'Server error while fetching product data.' });
+    // Map CRM failures to 400/503/502; anything else is a generic server error
+    const { status, retryAfter } = crmErrorToHttp(error);
+    if (retryAfter) {
+      res.setHeader('Retry-After', String(retryAfter));
+    }
+    const messages = {
+      400: 'The CRM rejected the request for product data.',
+      503: 'The CRM is temporarily busy. Please try again shortly.',
+      502: 'The CRM could not provide product data.',
+    };
+    res.status(status).json({ msg: messages[status] || 'Server error while fetching product data.' });
   }
 }
\ No newline at end of file
@@ -0,0 +1,64 @@
+// api/health.js (Serverless Function for Vercel)
+// Health probes for uptime monitoring (lib/health.js).
+//
+//   GET /api/health              liveness: the function runs; no dependency is called
+//   GET /api/health?mode=ready   readiness: configuration, CRM token + WhoAmI,
+//                                Webflow token + every configured collection, KV
+//
+// Readiness calls the dependencies with the production credentials, so it
+// requires the ADMIN_API_KEY in the `x-api-key` header, or a JWT with the admin
+// role. It answers 503 if any check is down, 200 otherwise (also when degraded).
+
+require('dotenv').config();
+const { requireAdmin } = require('../lib/admin-auth');
+const { getAccessToken, callCrm } = require('../lib/crm');
+const { createWebflowClient } = require('../lib/webflow');
+const { getCollectionIds } = require('../lib/sync');
+const { getKv } = require('../lib/kv');
+const { createDependencyChecks, runHealthChecks } = require('../lib/health');
+
+const MODES = ['live', 'ready'];
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', ['GET', 'HEAD']);
+    return res.status(405).send('Method Not Allowed');
+  }
+  res.setHeader('Cache-Control', 'no-store');
+  const { mode = 'live' } = req.query || {};
+  if (!MODES.includes(mode)) {
+    return res.status(400).json({ error: { code: 'BadRequest', message: `'mode' must be one of: ${MODES.join(', ')}.` } });
+  }
+  if (mode === 'live') {
+    return res.status(200).json({ status: 'ok', mode, timestamp: new Date().toISOString(), uptimeSeconds: Math.round(process.uptime()) });
+  }
+
+  if (!requireAdmin(req, res)) return;
+  const timeoutMs = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || undefined;
+  const startedAt = Date.now();
+  try {
+    const checks = createDependencyChecks({
+      crm: { getAccessToken, callCrm },
+      // No retries: the probe reports what a single request sees.
+      webflow: createWebflowClient({ maxRetries: 0, ...(timeoutMs && { timeoutMs }) }),
+      collectionIds: getCollectionIds(),
+      kv: getKv(),
+      timeoutMs,
+    });
+    const result = await runHealthChecks(checks, { timeoutMs });
+    if (result.status !== 'ok') {
+      const failing = Object.entries(result.checks).filter(([, check]) => check.status !== 'ok').map(([name, check]) => `${name} ${check.status}`);
+      console.warn(`⚠️ Health: ${result.status} (${failing.join(', ')}).`);
+    }
+    return res.status(result.status === 'down' ? 503 : 200).json({
+      status: result.status,
+      mode,
+      timestamp: new Date().toISOString(),
+      latencyMs: Date.now() - startedAt,
+      checks: result.checks,
+    });
+  } catch (err) {
+    console.error('❌ Health check failed:', err);
+    return res.status(500).json({ error: { code: 'InternalError', message: err.message } });
+  }
+};
@@ -1,6 +1,6 @@
 // /api/m8_SubmitSalesOrderV2.js – robust gegen doppelte Verkapselung
 import cors from 'cors';
-import { submitSalesOrder } from '../lib/crm.js';
+import { submitSalesOrder, CrmError, crmErrorToHttp } from '../lib/crm.js';
 
 // --- Updated CORS Configuration ---
 const corsHandler = cors({
@@ -79,20 +79,27 @@ export default async function handler(req, res) {
     // ------------------------------------------------------------------
     // Submit the sales order
     // ------------------------------------------------------------------
+    // Optionaler Idempotency-Key vom Frontend: nur dann darf bei 429/5xx
+    // automatisch wiederholt werden, ohne eine doppelte Bestellung zu riskieren.
+    const idempotencyKey = req.headers['idempotency-key'] || undefined;
     console.log('Submitting Sales Order to CRM …');
-    const crmResponse = await submitSalesOrder(finalPayload);
+    const crmResponse = await submitSalesOrder(finalPayload, { idempotencyKey });
     console.log('CRM Response:', JSON.stringify(crmResponse, null, 2));
 
     return res.status(200).json(crmResponse);
   } catch (err) {
     console.error('Handler error:', err);
-    try {
-      const parsed = JSON.parse(err.message.split(' failed: ')[1]);
-      console.error('Error response from CRM:', JSON.stringify(parsed, null, 2));
-      return res.status(500).json(parsed);
-    } catch {
-      console.error('Error while parsing CRM error response.');
-      return res.status(500).json({ error: { message: 'Internal server error.' } });
+    if (err instanceof CrmError) {
+      console.error('Error response from CRM:', JSON.stringify(err, null, 2));
     }
+
+    // ------------------------------------------------------------------
+    // CRM-Fehler auf sinnvolle HTTP-Status abbilden (400 / 503 / 502 / 500)
+    // ------------------------------------------------------------------
+    const { status, code, message, retryAfter } = crmErrorToHttp(err);
+    if (retryAfter) {
+      res.setHeader('Retry-After', String(retryAfter));
+    }
+    return res.status(status).json({ error: { code, message } });
   }
 }
\ No newline at end of file
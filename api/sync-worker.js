@@ -0,0 +1,25 @@
+// api/sync-worker.js (Serverless Function for Vercel)
+// Drains the sync job queue. Called every minute by the Vercel cron (see
+// vercel.json), which authenticates with CRON_SECRET.
+
+require('dotenv').config();
+const { requireCron } = require('../lib/admin-auth');
+const { getSyncQueue } = require('../lib/queue');
+const { runSyncWorker } = require('../lib/worker');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).send('Method Not Allowed');
+  }
+  if (!requireCron(req, res)) return;
+
+  try {
+    const queue = getSyncQueue();
+    const summary = await runSyncWorker({ queue });
+    return res.status(200).json({ ...summary, queue: await queue.stats() });
+  } catch (err) {
+    console.error('❌ Sync worker failed:', err);
+    return res.status(500).json({ error: { code: 'WorkerFailed', message: err.message } });
+  }
+};
@@ -0,0 +1,128 @@
+// lib/admin-auth.js
+// Authentication for the operational endpoints (/api/admin/*, the sync
+// worker). Secrets are compared in constant time. Besides the ADMIN_API_KEY,
+// the admin endpoints accept a JWT signed with a key from the admin keyring
+// (ADMIN_JWT_SECRET, ADMIN_JWT_KEYS, ADMIN_JWT_JWKS_FILE; see lib/jwt-keys.js)
+// that carries the ADMIN_JWT_ROLE in its `role` or `roles` claim. Webhook keys
+// are not accepted, so whoever can sign webhooks cannot act as an admin.
+
+const crypto = require('crypto');
+const { getAdminKeyring } = require('./jwt-keys');
+
+const DEFAULT_ADMIN_ROLE = 'sync-admin';
+const DEFAULT_ADMIN_TOKEN_MAX_AGE_SECONDS = 60 * 60;
+
+const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function bearerToken(req) {
+  const auth = req.headers.authorization;
+  return auth?.startsWith('Bearer ') ? auth.slice(7) : null;
+}
+
+const looksLikeJwt = value => /^[\w-]+\.[\w-]+\.[\w-]*$/.test(value);
+const list = value => String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+/**
+ * Verifies an admin JWT against the admin keyring: signature, lifetime and
+ * issuer/audience as for webhook tokens, plus the admin role.
+ * @param {string} token
+ * @param {object} [options]
+ * @param {Map<string, import('./jwt-keys').JwtKey>} [options.keyring]  Defaults to the admin keyring.
+ * @param {string[]} [options.issuer]       Accepted `iss` values (ADMIN_JWT_ISSUER).
+ * @param {string[]} [options.audience]     Accepted `aud` values (ADMIN_JWT_AUDIENCE).
+ * @param {string} [options.role]           Defaults to ADMIN_JWT_ROLE or "sync-admin".
+ * @param {number} [options.maxAgeSeconds]  Defaults to ADMIN_TOKEN_MAX_AGE_SECONDS or one hour.
+ * @returns {object} The verified payload.
+ * @throws {import('./webhook-auth').WebhookAuthError} status 401 if no admin key is configured,
+ *   status 403 (code Forbidden) if the role is missing.
+ */
+function verifyAdminToken(token, {
+  keyring,
+  issuer = list(process.env.ADMIN_JWT_ISSUER),
+  audience = list(process.env.ADMIN_JWT_AUDIENCE),
+  role = process.env.ADMIN_JWT_ROLE || DEFAULT_ADMIN_ROLE,
+  maxAgeSeconds = Number(process.env.ADMIN_TOKEN_MAX_AGE_SECONDS) > 0
+    ? Number(process.env.ADMIN_TOKEN_MAX_AGE_SECONDS)
+    : DEFAULT_ADMIN_TOKEN_MAX_AGE_SECONDS,
+  ...options
+} = {}) {
+  // Required here: lib/webhook-auth.js itself depends on this module.
+  const { WebhookAuthError, verifyWebhookToken } = require('./webhook-auth');
+  try {
+    keyring = keyring || getAdminKeyring();
+  } catch (err) {
+    throw new WebhookAuthError(err.message, { status: 500, code: 'ServerConfigError' });
+  }
+  if (!keyring.size) {
+    throw new WebhookAuthError('Admin tokens are not enabled (no ADMIN_JWT_SECRET, ADMIN_JWT_KEYS or ADMIN_JWT_JWKS_FILE).');
+  }
+  const payload = verifyWebhookToken(token, { keyring, issuer, audience, maxAgeSeconds, ...options });
+  const roles = [].concat(payload.roles || [], payload.role || []);
+  if (!roles.includes(role)) {
+    throw new WebhookAuthError(`Token lacks the "${role}" role.`, { status: 403, code: 'Forbidden' });
+  }
+  return payload;
+}
+
+/**
+ * Checks the `x-api-key` header (or a Bearer token) against ADMIN_API_KEY, or
+ * a Bearer JWT with the admin role (verifyAdminToken), and answers
+ * 401/403/500 itself if the request is not allowed.
+ * @returns {boolean} true if the handler may proceed.
+ */
+function requireAdmin(req, res) {
+  const expected = process.env.ADMIN_API_KEY;
+  const provided = req.headers['x-api-key'] || bearerToken(req);
+  if (provided && expected && safeEqual(provided, expected)) return true;
+
+  const token = bearerToken(req);
+  if (token && looksLikeJwt(token)) {
+    try {
+      verifyAdminToken(token);
+      return true;
+    } catch (err) {
+      if (err.status === 500) console.error(err.message);
+      const code = err.status === 500 ? 'ServerConfigError' : err.status === 403 ? 'Forbidden' : 'Unauthorized';
+      res.status(err.status || 401).json({ error: { code, message: err.status === 500 ? 'Admin API is not configured.' : err.message } });
+      return false;
+    }
+  }
+
+  if (!expected) {
+    console.error('ADMIN_API_KEY missing in env');
+    res.status(500).json({ error: { code: 'ServerConfigError', message: 'Admin API is not configured.' } });
+    return false;
+  }
+  res.status(401).json({ error: { code: 'Unauthorized', message: 'Missing or invalid API key.' } });
+  return false;
+}
+
+/**
+ * Vercel cron requests carry `Authorization: Bearer <CRON_SECRET>`.
+ * @returns {boolean} true if the handler may proceed.
+ */
+function requireCron(req, res) {
+  const expected = process.env.CRON_SECRET;
+  if (!expected) {
+    console.error('CRON_SECRET missing in env');
+    res.status(500).json({ error: { code: 'ServerConfigError', message: 'CRON_SECRET is not configured.' } });
+    return false;
+  }
+  const provided = bearerToken(req);
+  if (!provided || !safeEqual(provided, expected)) {
+    res.status(401).json({ error: { code: 'Unauthorized', message: 'Missing or invalid cron secret.' } });
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  safeEqual,
+  verifyAdminToken,
+  requireAdmin,
+  requireCron,
+};
@@ -0,0 +1,79 @@
+// lib/circuit-breaker.js
+// Minimal circuit breaker: after `failureThreshold` consecutive failures the
+// circuit opens and calls fail fast for `resetTimeoutMs`. Afterwards a single
+// trial call is let through (half-open); its outcome closes or re-opens it.
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.failureThreshold]
+ * @param {number} [options.resetTimeoutMs]
+ * @param {(error: any) => boolean} [options.isFailure] Which errors count against the circuit.
+ * @param {(retryInMs: number) => Error} [options.createOpenError]
+ * @param {() => number} [options.now]
+ */
+function createCircuitBreaker({
+  failureThreshold = 5,
+  resetTimeoutMs = 30000,
+  isFailure = () => true,
+  createOpenError = retryInMs => new Error(`Circuit open. Retry in ${Math.ceil(retryInMs / 1000)}s.`),
+  now = Date.now,
+} = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function onSuccess() {
+    failures = 0;
+    state = 'closed';
+  }
+
+  function onFailure() {
+    failures++;
+    if (state === 'half-open' || failures >= failureThreshold) {
+      state = 'open';
+      openedAt = now();
+    }
+  }
+
+  /**
+   * @template T
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  async function exec(fn) {
+    if (state === 'open') {
+      const elapsed = now() - openedAt;
+      if (elapsed < resetTimeoutMs) {
+        throw createOpenError(resetTimeoutMs - elapsed);
+      }
+      state = 'half-open';
+    }
+
+    const isTrial = state === 'half-open';
+    if (isTrial) {
+      if (trialInFlight) throw createOpenError(resetTimeoutMs);
+      trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      onSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) onFailure();
+      else if (isTrial) onSuccess();
+      throw error;
+    } finally {
+      if (isTrial) trialInFlight = false;
+    }
+  }
+
+  return {
+    exec,
+    getState: () => state,
+    reset: onSuccess,
+  };
+}
+
+module.exports = { createCircuitBreaker };
@@ -0,0 +1,289 @@
+// lib/crm-batch.js
+// Builds OData `$batch` requests for the Dataverse Web API and parses the
+// multipart response back into one result per request, in request order.
+//
+//   const results = await crm.batch()
+//     .get(crm.query('m8_events').select('m8_name'))
+//     .post('m8_GetEventPriceLevelV1', { eventId })
+//     .changeSet(cs => cs.patch('m8_events(…)', { m8_name: 'New' }))
+//     .execute();
+//
+// Requests inside a change set are executed transactionally: either all of
+// them succeed or the CRM rolls the whole change set back.
+
+const crypto = require('crypto');
+const { CrmError, crmErrorFromResponse } = require('./crm-errors');
+
+const CRLF = '\r\n';
+
+/**
+ * @typedef {object} BatchRequest
+ * @property {string} method
+ * @property {string} url      Relative to the service root (CRM_BASE_URL).
+ * @property {object|null} body
+ * @property {object} headers
+ */
+
+/**
+ * @typedef {object} BatchResult
+ * @property {number|null} status
+ * @property {object} headers   Lower-cased response headers.
+ * @property {any} body         Parsed JSON body (or raw text / null).
+ * @property {import('./crm-errors').CrmError|null} error
+ */
+
+function toRequest(method, target, body, headers = {}) {
+  // Accept CrmQuery instances for reads so query options are not duplicated.
+  if (target && typeof target.toUrl === 'function') {
+    return { method, url: target.toUrl(), body, headers: { ...target.headers(), ...headers } };
+  }
+  return { method, url: target, body, headers };
+}
+
+class ChangeSet {
+  constructor() {
+    /** @type {BatchRequest[]} */
+    this.requests = [];
+  }
+
+  post(url, body, headers) {
+    this.requests.push(toRequest('POST', url, body, headers));
+    return this;
+  }
+
+  patch(url, body, headers) {
+    this.requests.push(toRequest('PATCH', url, body, headers));
+    return this;
+  }
+
+  put(url, body, headers) {
+    this.requests.push(toRequest('PUT', url, body, headers));
+    return this;
+  }
+
+  delete(url, headers) {
+    this.requests.push(toRequest('DELETE', url, null, headers));
+    return this;
+  }
+}
+
+class CrmBatch {
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl  Service root, e.g. https://org.crm4.dynamics.com/api/data/v9.2
+   * @param {(body: string, contentType: string, options: object) => Promise<{ headers: object, text: string }>} options.send
+   */
+  constructor({ baseUrl, send }) {
+    this.baseUrl = baseUrl;
+    this.send = send;
+    /** @type {Array<BatchRequest | ChangeSet>} */
+    this.entries = [];
+  }
+
+  get(target, headers) {
+    this.entries.push(toRequest('GET', target, null, headers));
+    return this;
+  }
+
+  /** Adds a POST outside of a change set, e.g. a read-only custom action. */
+  post(url, body, headers) {
+    this.entries.push(toRequest('POST', url, body, headers));
+    return this;
+  }
+
+  /**
+   * Adds a transactional change set.
+   * @param {(cs: ChangeSet) => void} configure
+   */
+  changeSet(configure) {
+    const cs = new ChangeSet();
+    configure(cs);
+    if (cs.requests.length) this.entries.push(cs);
+    return this;
+  }
+
+  get size() {
+    return this.entries.reduce((n, e) => n + (e instanceof ChangeSet ? e.requests.length : 1), 0);
+  }
+
+  /** @returns {{ boundary: string, body: string }} */
+  serialize() {
+    const boundary = `batch_${crypto.randomUUID()}`;
+    const lines = [];
+    let contentId = 0;
+
+    for (const entry of this.entries) {
+      lines.push(`--${boundary}`);
+      if (entry instanceof ChangeSet) {
+        const csBoundary = `changeset_${crypto.randomUUID()}`;
+        lines.push(`Content-Type: multipart/mixed; boundary=${csBoundary}`, '');
+        for (const request of entry.requests) {
+          contentId++;
+          request.contentId = String(contentId);
+          lines.push(`--${csBoundary}`);
+          lines.push(...this.serializeRequest(request, contentId));
+        }
+        lines.push(`--${csBoundary}--`);
+      } else {
+        lines.push(...this.serializeRequest(entry));
+      }
+    }
+    lines.push(`--${boundary}--`, '');
+    return { boundary, body: lines.join(CRLF) };
+  }
+
+  serializeRequest(request, contentId) {
+    const lines = ['Content-Type: application/http', 'Content-Transfer-Encoding: binary'];
+    if (contentId) lines.push(`Content-ID: ${contentId}`);
+    lines.push('');
+    const url = /^https?:\/\//i.test(request.url) || request.url.startsWith('$')
+      ? request.url
+      : `${this.baseUrl}/${request.url}`;
+    lines.push(`${request.method} ${url} HTTP/1.1`);
+    lines.push('Accept: application/json');
+    for (const [name, value] of Object.entries(request.headers)) {
+      lines.push(`${name}: ${value}`);
+    }
+    if (request.body !== null && request.body !== undefined) {
+      lines.push('Content-Type: application/json; type=entry', '', JSON.stringify(request.body));
+    } else {
+      lines.push('');
+    }
+    return lines;
+  }
+
+  /**
+   * Sends the batch and returns one result per request in the order they were
+   * added. Failed requests carry a CrmError instead of throwing, so callers can
+   * decide per request how to react.
+   * @param {{ continueOnError?: boolean, idempotent?: boolean }} [options]
+   * @returns {Promise<BatchResult[]>}
+   */
+  async execute({ continueOnError = true, idempotent } = {}) {
+    if (!this.entries.length) return [];
+    const { boundary, body } = this.serialize();
+    const onlyReads = this.entries.every(e => !(e instanceof ChangeSet) && e.method === 'GET');
+    const response = await this.send(body, `multipart/mixed; boundary=${boundary}`, {
+      idempotent: idempotent ?? onlyReads,
+      headers: continueOnError ? { Prefer: 'odata.continue-on-error' } : {},
+    });
+    return this.matchResults(parseBatchResponse(response.text, response.headers['content-type']));
+  }
+
+  matchResults(parsed) {
+    const results = [];
+    let cursor = 0;
+    for (const entry of this.entries) {
+      const part = parsed[cursor++];
+      if (entry instanceof ChangeSet) {
+        const responses = Array.isArray(part) ? part : part ? [part] : [];
+        // A failed change set returns a single error response for all of its requests.
+        const failed = responses.length === 1 && responses[0].status >= 400 && entry.requests.length > 1;
+        entry.requests.forEach((request, i) => {
+          const res = failed
+            ? responses[0]
+            : responses.find(r => r.contentId === request.contentId) || responses[i];
+          results.push(toResult(request, res));
+        });
+      } else {
+        results.push(toResult(entry, Array.isArray(part) ? part[0] : part));
+      }
+    }
+    return results;
+  }
+}
+
+function toResult(request, res) {
+  if (!res) {
+    return {
+      status: null,
+      headers: {},
+      body: null,
+      error: new CrmError({
+        message: 'Request was not executed because an earlier request in the batch failed.',
+        endpoint: request.url,
+        code: 'NotExecuted',
+      }),
+    };
+  }
+  const error = res.status >= 400
+    ? crmErrorFromResponse({ endpoint: request.url, status: res.status, text: res.text, headers: { get: name => res.headers[name.toLowerCase()] || null } })
+    : null;
+  let body = null;
+  if (res.text) {
+    try {
+      body = JSON.parse(res.text);
+    } catch {
+      body = res.text;
+    }
+  }
+  return { status: res.status, headers: res.headers, body, error };
+}
+
+function splitHeadersAndBody(text) {
+  const match = /\r?\n\r?\n/.exec(text);
+  if (!match) return [text, ''];
+  return [text.slice(0, match.index), text.slice(match.index + match[0].length)];
+}
+
+function parseHeaderLines(raw) {
+  const headers = {};
+  for (const line of raw.split(/\r?\n/)) {
+    const idx = line.indexOf(':');
+    if (idx > 0) headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+  }
+  return headers;
+}
+
+function getBoundary(contentType) {
+  const match = /boundary=("?)([^";]+)\1/i.exec(contentType || '');
+  return match ? match[2] : null;
+}
+
+function splitMultipart(text, boundary) {
+  const delimiter = `--${boundary}`;
+  return text
+    .split(delimiter)
+    .slice(1)
+    .filter(part => !part.startsWith('--'))
+    .map(part => part.replace(/^\r?\n/, '').replace(/\r?\n$/, ''));
+}
+
+function parseHttpResponse(text) {
+  const [head, body] = splitHeadersAndBody(text);
+  const [statusLine, ...headerLines] = head.split(/\r?\n/);
+  const status = Number((/^HTTP\/\d\.\d\s+(\d{3})/.exec(statusLine) || [])[1]) || null;
+  return { status, headers: parseHeaderLines(headerLines.join('\n')), text: body.trim() };
+}
+
+/**
+ * Parses a multipart/mixed $batch response. Every top-level part becomes one
+ * entry; change set responses become an array of their individual responses.
+ * @param {string} text
+ * @param {string} contentType
+ * @returns {Array<object|object[]>}
+ */
+function parseBatchResponse(text, contentType) {
+  const boundary = getBoundary(contentType);
+  if (!boundary) {
+    throw new Error(`Unexpected $batch response content type: ${contentType}`);
+  }
+  return splitMultipart(text, boundary).map(part => {
+    const [rawHeaders, content] = splitHeadersAndBody(part);
+    const partHeaders = parseHeaderLines(rawHeaders);
+    const nestedBoundary = getBoundary(partHeaders['content-type']);
+    if (nestedBoundary) {
+      return splitMultipart(content, nestedBoundary).map(inner => {
+        const [innerHeaders, innerContent] = splitHeadersAndBody(inner);
+        return { contentId: parseHeaderLines(innerHeaders)['content-id'] || null, ...parseHttpResponse(innerContent) };
+      });
+    }
+    return parseHttpResponse(content);
+  });
+}
+
+module.exports = {
+  CrmBatch,
+  ChangeSet,
+  parseBatchResponse,
+};
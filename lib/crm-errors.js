@@ -0,0 +1,130 @@
+// lib/crm-errors.js
+// Typed errors for failed Dynamics 365 requests and the mapping of those
+// errors onto the HTTP responses our API handlers send to the frontend.
+
+const { parseRetryAfter } = require('./retry');
+
+// Service protection API limit error codes returned by Dataverse.
+const THROTTLING_CODES = new Set(['0x80072321', '0x80072322', '0x80072326']);
+// Errors raised by plugins / custom actions (InvalidPluginExecutionException)
+// and invalid arguments – these describe a problem with the submitted data.
+const VALIDATION_CODES = new Set(['0x80040265', '0x80040203']);
+
+class CrmError extends Error {
+  /**
+   * @param {object} details
+   * @param {string} details.message
+   * @param {number|null} [details.status]  HTTP status returned by the CRM.
+   * @param {string} [details.endpoint]     The endpoint that was called.
+   * @param {string|null} [details.code]    Dynamics error code, e.g. "0x80040265".
+   * @param {object|null} [details.innerError]
+   * @param {number|null} [details.retryAfter] Seconds, from the Retry-After header.
+   * @param {string|null} [details.body]    Raw response body.
+   */
+  constructor({ message, status = null, endpoint, code = null, innerError = null, retryAfter = null, body = null }) {
+    super(message);
+    this.name = 'CrmError';
+    this.status = status;
+    this.endpoint = endpoint;
+    this.code = code;
+    this.crmMessage = message;
+    this.innerError = innerError;
+    this.retryAfter = retryAfter;
+    this.body = body;
+  }
+
+  get isThrottling() {
+    return this.status === 429 || THROTTLING_CODES.has(this.code);
+  }
+
+  get isValidation() {
+    if (this.isThrottling || this.code === 'TokenRequestFailed') return false;
+    return this.status === 400 || VALIDATION_CODES.has(this.code);
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      status: this.status,
+      endpoint: this.endpoint,
+      code: this.code,
+      message: this.crmMessage,
+    };
+  }
+}
+
+/**
+ * Builds a CrmError from a failed response. Dataverse returns OData error
+ * bodies like `{"error":{"code":"0x80040265","message":"…","innererror":{…}}}`;
+ * anything else is kept as the raw text.
+ * @param {object} params
+ * @param {string} params.endpoint
+ * @param {number} params.status
+ * @param {string} params.text  Raw response body.
+ * @param {{ get(name: string): string|null }} [params.headers]
+ * @returns {CrmError}
+ */
+function crmErrorFromResponse({ endpoint, status, text, headers }) {
+  let parsed = null;
+  try {
+    parsed = text ? JSON.parse(text) : null;
+  } catch {
+    parsed = null;
+  }
+
+  const odataError = parsed && typeof parsed === 'object' ? parsed.error : null;
+  // Delta-seconds or an HTTP date; null if it is missing or cannot be parsed.
+  const retryAfterMs = parseRetryAfter(headers && headers.get('retry-after'));
+
+  return new CrmError({
+    message: (odataError && odataError.message) || text || `HTTP ${status}`,
+    status,
+    endpoint,
+    code: (odataError && odataError.code) || null,
+    innerError: (odataError && odataError.innererror) || null,
+    retryAfter: retryAfterMs === null ? null : Math.ceil(retryAfterMs / 1000),
+    body: text || null,
+  });
+}
+
+/**
+ * Maps any error thrown while talking to the CRM onto the HTTP status our
+ * API should answer with:
+ * - 400 for validation errors raised by the custom action,
+ * - 503 when the CRM throttles us or the circuit breaker is open,
+ * - 502 for any other upstream failure,
+ * - 500 for errors that did not come from the CRM at all.
+ * @param {Error} err
+ * @returns {{ status: number, code: string|null, message: string, retryAfter: number|null }}
+ */
+function crmErrorToHttp(err) {
+  if (!(err instanceof CrmError)) {
+    return { status: 500, code: null, message: 'Internal server error.', retryAfter: null };
+  }
+  if (err.isValidation) {
+    return { status: 400, code: err.code, message: err.crmMessage, retryAfter: null };
+  }
+  if (err.code === 'CircuitOpen') {
+    return {
+      status: 503,
+      code: err.code,
+      message: 'The CRM is temporarily unavailable. Please try again shortly.',
+      retryAfter: err.retryAfter,
+    };
+  }
+  if (err.isThrottling) {
+    return {
+      status: 503,
+      code: err.code,
+      message: 'The CRM is currently throttling requests. Please try again shortly.',
+      retryAfter: err.retryAfter,
+    };
+  }
+  return { status: 502, code: err.code, message: 'The CRM request failed.', retryAfter: null };
+}
+
+module.exports = {
+  CrmError,
+  crmErrorFromResponse,
+  crmErrorToHttp,
+};
@@ -0,0 +1,226 @@
+// lib/crm-query.js
+// Fluent builder for ad-hoc Dataverse Web API reads, e.g.
+//
+//   for await (const ev of crm.query('m8_events')
+//     .select('m8_eventid', 'm8_name')
+//     .where('statecode', 'eq', 0)
+//     .orderBy('m8_startdate', 'desc')
+//     .maxPageSize(500)) { … }
+//
+// The builder only produces URLs and headers; the actual request is delegated
+// to the `request` function passed in by lib/crm.js (which wraps callCrm).
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const COMPARISON_OPERATORS = new Set(['eq', 'ne', 'gt', 'ge', 'lt', 'le']);
+const FORMATTED_VALUE_ANNOTATION = 'OData.Community.Display.V1.FormattedValue';
+
+/**
+ * Formats a JavaScript value as an OData literal.
+ * Strings are quoted (with embedded quotes doubled), GUIDs and numbers are
+ * emitted as-is and dates are converted to ISO 8601.
+ * @param {string|number|boolean|Date|null} value
+ * @returns {string}
+ */
+function formatODataValue(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  const str = String(value);
+  if (GUID_PATTERN.test(str)) return str;
+  return `'${str.replace(/'/g, "''")}'`;
+}
+
+class CrmQuery {
+  /**
+   * @param {string} entitySet Entity set name, e.g. "m8_events".
+   * @param {object} options
+   * @param {(url: string, headers: object) => Promise<object>} options.request
+   */
+  constructor(entitySet, { request }) {
+    if (!entitySet) {
+      throw new Error('entitySet is required for a CRM query.');
+    }
+    this.entitySet = entitySet;
+    this.request = request;
+    this.recordId = null;
+    this.selectFields = [];
+    this.filters = [];
+    this.expands = [];
+    this.orderings = [];
+    this.topCount = null;
+    this.withCount = false;
+    this.pageSize = null;
+    this.annotations = [];
+  }
+
+  /** Restricts the query to a single record by primary key. */
+  id(recordId) {
+    this.recordId = recordId;
+    return this;
+  }
+
+  select(...fields) {
+    this.selectFields.push(...fields.flat());
+    return this;
+  }
+
+  /** Adds a raw OData filter expression; multiple filters are AND-ed. */
+  filter(expression) {
+    if (expression) this.filters.push(expression);
+    return this;
+  }
+
+  /** Adds a `field op value` comparison with the value formatted as an OData literal. */
+  where(field, operator, value) {
+    if (!COMPARISON_OPERATORS.has(operator)) {
+      throw new Error(`Unsupported OData operator "${operator}".`);
+    }
+    return this.filter(`${field} ${operator} ${formatODataValue(value)}`);
+  }
+
+  /**
+   * Expands a navigation property, optionally with nested query options:
+   * `.expand('m8_eventlocation', q => q.select('m8_name'))`.
+   * @param {string} navigationProperty
+   * @param {(q: CrmQuery) => CrmQuery} [configure]
+   */
+  expand(navigationProperty, configure) {
+    let nested = '';
+    if (configure) {
+      const sub = configure(new CrmQuery(navigationProperty, { request: null }));
+      const options = sub.queryOptions().map(([key, value]) => `${key}=${value}`);
+      if (options.length) nested = `(${options.join(';')})`;
+    }
+    this.expands.push(`${navigationProperty}${nested}`);
+    return this;
+  }
+
+  orderBy(field, direction = 'asc') {
+    this.orderings.push(direction === 'desc' ? `${field} desc` : field);
+    return this;
+  }
+
+  top(count) {
+    this.topCount = count;
+    return this;
+  }
+
+  count(enabled = true) {
+    this.withCount = enabled;
+    return this;
+  }
+
+  /** Sets `Prefer: odata.maxpagesize`; further pages are followed via @odata.nextLink. */
+  maxPageSize(size) {
+    this.pageSize = size;
+    return this;
+  }
+
+  /** Requests `<field>@OData.Community.Display.V1.FormattedValue` annotations (option set labels, currency, …). */
+  formattedValues(enabled = true) {
+    this.annotations = this.annotations.filter(a => a !== FORMATTED_VALUE_ANNOTATION);
+    if (enabled) this.annotations.push(FORMATTED_VALUE_ANNOTATION);
+    return this;
+  }
+
+  /** Requests arbitrary annotations, e.g. `'*'` or `'Microsoft.Dynamics.CRM.lookuplogicalname'`. */
+  includeAnnotations(pattern) {
+    this.annotations.push(pattern);
+    return this;
+  }
+
+  /** @returns {Array<[string, string]>} */
+  queryOptions() {
+    const options = [];
+    if (this.selectFields.length) options.push(['$select', this.selectFields.join(',')]);
+    if (this.filters.length) {
+      const filter = this.filters.length === 1
+        ? this.filters[0]
+        : this.filters.map(f => `(${f})`).join(' and ');
+      options.push(['$filter', filter]);
+    }
+    if (this.expands.length) options.push(['$expand', this.expands.join(',')]);
+    if (this.orderings.length) options.push(['$orderby', this.orderings.join(',')]);
+    if (this.topCount !== null) options.push(['$top', String(this.topCount)]);
+    if (this.withCount) options.push(['$count', 'true']);
+    return options;
+  }
+
+  /** @returns {string} URL relative to CRM_BASE_URL. */
+  toUrl() {
+    const path = this.recordId ? `${this.entitySet}(${this.recordId})` : this.entitySet;
+    const query = this.queryOptions()
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+    return query ? `${path}?${query}` : path;
+  }
+
+  /** @returns {object} Request headers required by this query. */
+  headers() {
+    const prefer = [];
+    if (this.pageSize) prefer.push(`odata.maxpagesize=${this.pageSize}`);
+    if (this.annotations.length) prefer.push(`odata.include-annotations="${this.annotations.join(',')}"`);
+    return prefer.length ? { Prefer: prefer.join(',') } : {};
+  }
+
+  /**
+   * Yields one response page at a time, following @odata.nextLink.
+   * @returns {AsyncGenerator<object>}
+   */
+  async *pages() {
+    if (!this.request) {
+      throw new Error('This query has no request function and cannot be executed.');
+    }
+    const headers = this.headers();
+    let url = this.toUrl();
+    while (url) {
+      const page = await this.request(url, headers);
+      yield page;
+      url = page && page['@odata.nextLink'];
+    }
+  }
+
+  /** Iterates over all records across all pages. */
+  async *[Symbol.asyncIterator]() {
+    for await (const page of this.pages()) {
+      if (this.recordId) {
+        yield page;
+        return;
+      }
+      for (const record of (page && page.value) || []) {
+        yield record;
+      }
+    }
+  }
+
+  /** @returns {Promise<object[]>} */
+  async all() {
+    const records = [];
+    for await (const record of this) records.push(record);
+    return records;
+  }
+
+  /** @returns {CrmQuery} An independent copy, so that changing it leaves this query as it is. */
+  clone() {
+    const copy = new CrmQuery(this.entitySet, { request: this.request });
+    Object.assign(copy, this, {
+      selectFields: [...this.selectFields],
+      filters: [...this.filters],
+      expands: [...this.expands],
+      orderings: [...this.orderings],
+      annotations: [...this.annotations],
+    });
+    return copy;
+  }
+
+  /** @returns {Promise<object|null>} The first record; the query itself is not limited. */
+  async first() {
+    for await (const record of this.clone().top(1)) return record;
+    return null;
+  }
+}
+
+module.exports = {
+  CrmQuery,
+  formatODataValue,
+};
@@ -1,7 +1,12 @@
 require('dotenv').config();
 const fetch = require('node-fetch');
-const fs = require('fs');
-const path = require('path');
+const { createTokenManager } = require('./token-manager');
+const { getKv } = require('./kv');
+const { CrmError, crmErrorFromResponse, crmErrorToHttp } = require('./crm-errors');
+const { withRetry } = require('./retry');
+const { createCircuitBreaker } = require('./circuit-breaker');
+const { CrmQuery, formatODataValue } = require('./crm-query');
+const { CrmBatch } = require('./crm-batch');
 
 const TENANT_ID = process.env.CRM_TENANT_ID;
 const CLIENT_ID = process.env.CRM_CLIENT_ID;
@@ -12,28 +17,9 @@ if (!TENANT_ID || !CLIENT_ID || !CLIENT_SECRET || !CRM_BASE_URL) {
   console.warn('CRM environment variables are not fully configured.');
 }
 
-// ----------------------------------------
-// Helper: Persist large responses to file
-// ----------------------------------------
-function saveResponseToFile(data, filenamePrefix = 'crm-response') {
-  try {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const outputDir = path.resolve(__dirname, '../logs');
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
-
-    const filePath = path.join(outputDir, `${filenamePrefix}-${timestamp}.json`);
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-    console.log(`\n📝 Full response saved to ${filePath}`);
-  } catch (err) {
-    console.error('❌ Failed to write output file:', err);
-  }
-}
-
 const tokenEndpoint = `https://login.microsoftonline.com/${TENANT_ID}/oauth2/v2.0/token`;
 
-async function getAccessToken() {
+async function requestAccessToken() {
   if (!TENANT_ID || !CLIENT_ID || !CLIENT_SECRET || !CRM_BASE_URL) {
     throw new Error('Cannot get access token: CRM environment variables are not fully configured.');
   }
@@ -56,57 +42,204 @@ async function getAccessToken() {
 
   if (!res.ok) {
     const text = await res.text();
-    throw new Error(`Token request failed: ${res.status} ${text}`);
+    throw new CrmError({
+      message: `Token request failed: ${res.status} ${text}`,
+      status: res.status,
+      endpoint: tokenEndpoint,
+      code: 'TokenRequestFailed',
+      body: text,
+    });
   }
 
-  const data = await res.json();
-  return data.access_token;
+  return res.json();
+}
+
+// ----------------------------------------
+// Token cache: one token per instance (or shared via KV when CRM_TOKEN_CACHE=kv)
+// ----------------------------------------
+const tokenManager = createTokenManager({
+  fetchToken: requestAccessToken,
+  store: process.env.CRM_TOKEN_CACHE === 'kv' ? getKv() : null,
+  storeKey: `crm:access-token:${CLIENT_ID}`,
+  refreshMarginMs: (Number(process.env.CRM_TOKEN_REFRESH_MARGIN_SECONDS) || 300) * 1000,
+});
+
+/**
+ * Returns a cached CRM access token, requesting a new one only when the
+ * cached token is about to expire.
+ * @param {{ forceRefresh?: boolean }} [options]
+ * @returns {Promise<string>}
+ */
+function getAccessToken(options) {
+  return tokenManager.getToken(options);
+}
+
+function invalidateAccessToken() {
+  return tokenManager.invalidate();
+}
+
+// ----------------------------------------
+// Transport: timeouts, retries and a circuit breaker around every CRM call
+// ----------------------------------------
+const DEFAULT_TIMEOUT_MS = Number(process.env.CRM_TIMEOUT_MS) || 30000;
+const DEFAULT_MAX_RETRIES = process.env.CRM_MAX_RETRIES !== undefined ? Number(process.env.CRM_MAX_RETRIES) : 3;
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+const crmCircuit = createCircuitBreaker({
+  failureThreshold: Number(process.env.CRM_CIRCUIT_FAILURE_THRESHOLD) || 5,
+  resetTimeoutMs: (Number(process.env.CRM_CIRCUIT_RESET_SECONDS) || 30) * 1000,
+  // Only unavailability counts against the circuit; a 400 still means the CRM is up.
+  isFailure: err => err instanceof CrmError
+    && (err.status >= 500 || err.code === 'Timeout' || err.code === 'NetworkError'),
+  createOpenError: retryInMs => new CrmError({
+    message: 'CRM circuit is open after repeated failures; failing fast.',
+    status: 503,
+    code: 'CircuitOpen',
+    retryAfter: Math.ceil(retryInMs / 1000),
+  }),
+});
+
+function isRetryableCrmError(err) {
+  if (!(err instanceof CrmError) || err.code === 'CircuitOpen') return false;
+  if (err.code === 'Timeout' || err.code === 'NetworkError') return true;
+  return err.isThrottling || RETRYABLE_STATUS.has(err.status);
 }
 
-async function callCrm(endpoint, token, method = 'POST', body = null) {
+async function sendCrmRequest(endpoint, fullUrl, options, timeoutMs, raw) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let res;
+  try {
+    res = await fetch(fullUrl, { ...options, signal: controller.signal });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new CrmError({ message: `CRM request to ${endpoint} timed out after ${timeoutMs}ms.`, endpoint, code: 'Timeout' });
+    }
+    throw new CrmError({ message: `CRM request to ${endpoint} failed: ${err.message}`, endpoint, code: 'NetworkError' });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!res.ok) {
+    const text = await res.text();
+    console.error(`CRM request to ${endpoint} failed: ${res.status} ${text}`);
+    throw crmErrorFromResponse({ endpoint, status: res.status, text, headers: res.headers });
+  }
+
+  if (raw) {
+    const headers = {};
+    res.headers.forEach((value, name) => { headers[name.toLowerCase()] = value; });
+    return { status: res.status, headers, text: await res.text() };
+  }
+
+  if (res.status === 204) {
+    return null;
+  }
+
+  try {
+    const jsonResponse = await res.json();
+    return jsonResponse;
+  } catch (e) {
+    console.error(`CRM request to ${endpoint} succeeded but response was not valid JSON. Status: ${res.status}`);
+    throw new CrmError({
+      message: `CRM request to ${endpoint} succeeded but response was not valid JSON. Status: ${res.status}`,
+      status: res.status,
+      endpoint,
+      code: 'InvalidResponse',
+    });
+  }
+}
+
+/**
+ * Calls the Dynamics Web API.
+ * GET requests are retried on 429/5xx/network errors. Other methods are only
+ * retried when marked `idempotent` (e.g. read-only custom actions) or when an
+ * `idempotencyKey` is given; the key is passed to plugins as the `tag` shared
+ * variable so the action can detect a repeated submission. A 401 drops the
+ * cached access token and repeats the call once with a new one.
+ * @param {string} endpoint Path relative to CRM_BASE_URL (or an absolute @odata.nextLink URL).
+ * @param {string} token
+ * @param {string} [method]
+ * @param {object|null} [body]
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.retries]
+ * @param {boolean} [options.idempotent]
+ * @param {string} [options.idempotencyKey]
+ * @param {object} [options.headers] Additional request headers (e.g. Prefer).
+ * @param {boolean} [options.raw] Resolve with `{ status, headers, text }` instead of parsed JSON.
+ */
+async function callCrm(endpoint, token, method = 'POST', body = null, options = {}) {
   if (!CRM_BASE_URL) {
     throw new Error('Cannot call CRM: CRM_BASE_URL is not configured.');
   }
-  const fullUrl = `${CRM_BASE_URL}/${endpoint}`;
+  const {
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_MAX_RETRIES,
+    idempotent = method === 'GET',
+    idempotencyKey = null,
+    headers = {},
+    raw = false,
+  } = options;
+
+  let fullUrl = `${CRM_BASE_URL}/${endpoint}`;
+  if (/^https?:\/\//i.test(endpoint)) {
+    // Absolute URLs (paging links) must point at our own CRM.
+    if (new URL(endpoint).origin !== new URL(CRM_BASE_URL).origin) {
+      throw new Error(`Refusing to call non-CRM URL: ${endpoint}`);
+    }
+    fullUrl = endpoint;
+  }
+  if (idempotencyKey) {
+    fullUrl += `${fullUrl.includes('?') ? '&' : '?'}tag=${encodeURIComponent(idempotencyKey)}`;
+  }
   console.log(`Calling CRM: ${method} ${fullUrl}`);
 
-  const options = {
+  const requestOptions = {
     method: method,
     headers: {
-      'Authorization': `Bearer ${token}`,
       'Accept': 'application/json',
       'OData-MaxVersion': '4.0',
-      'OData-Version': '4.0'
+      'OData-Version': '4.0',
+      ...headers,
     },
   };
 
-  if (body && method !== 'GET') {
+  if (typeof body === 'string' && method !== 'GET') {
+    // Pre-serialized bodies (e.g. multipart $batch) are sent as-is.
+    console.log('Request Body:', body);
+    requestOptions.body = body;
+  } else if (body && method !== 'GET') {
     console.log('Request Body:', JSON.stringify(body, null, 2));
-    options.headers['Content-Type'] = 'application/json; charset=utf-8';
-    options.body = JSON.stringify(body);
+    requestOptions.headers['Content-Type'] = 'application/json; charset=utf-8';
+    requestOptions.body = JSON.stringify(body);
   } else {
     console.log('Request Body: None');
   }
 
-  const res = await fetch(fullUrl, options);
-
-  if (!res.ok) {
-    const text = await res.text();
-    console.error(`CRM request to ${endpoint} failed: ${res.status} ${text}`);
-    // IMPORTANT: Throw the raw text so the handler can try to parse it as JSON
-    throw new Error(`CRM request to ${endpoint} failed: ${text}`);
-  }
-
-  if (res.status === 204) {
-    return null;
-  }
+  const maxRetries = idempotent || idempotencyKey ? retries : 0;
+  const send = authToken => withRetry(() => crmCircuit.exec(() => sendCrmRequest(endpoint, fullUrl, {
+    ...requestOptions,
+    headers: { ...requestOptions.headers, 'Authorization': `Bearer ${authToken}` },
+  }, timeoutMs, raw)), {
+    retries: maxRetries,
+    shouldRetry: isRetryableCrmError,
+    getRetryAfterMs: err => (err.retryAfter !== null ? err.retryAfter * 1000 : null),
+    onRetry: ({ attempt, delayMs, error }) =>
+      console.warn(`CRM request to ${endpoint} failed (${error.message}). Retrying in ${Math.round(delayMs)}ms (attempt ${attempt}/${maxRetries})...`),
+  });
 
   try {
-    const jsonResponse = await res.json();
-    return jsonResponse;
-  } catch (e) {
-    console.error(`CRM request to ${endpoint} succeeded but response was not valid JSON. Status: ${res.status}`);
-    throw new Error(`CRM request to ${endpoint} succeeded but response was not valid JSON. Status: ${res.status}`);
+    return await send(token);
+  } catch (err) {
+    // A 401 means the cached token was revoked before it expired. The request
+    // was not processed, so it is repeated once (also for non-idempotent
+    // calls) with a freshly requested token.
+    if (!(err instanceof CrmError) || err.status !== 401) throw err;
+    console.warn(`CRM rejected the access token for ${endpoint}. Requesting a new token and retrying once...`);
+    await invalidateAccessToken();
+    return send(await getAccessToken());
   }
 }
 
@@ -123,7 +256,7 @@ async function getEvents(filterIds) {
   if (filterIds && filterIds.length > 0) {
     body = { entityids: filterIds };
   }
-  return callCrm('m8_GetEventsV1', token, 'POST', body);
+  return callCrm('m8_GetEventsV1', token, 'POST', body, { idempotent: true });
 }
 
 async function getEventPriceLevel(eventId) {
@@ -132,7 +265,7 @@ async function getEventPriceLevel(eventId) {
   }
   const token = await getAccessToken();
   const body = { eventId: eventId }; 
-  return callCrm('m8_GetEventPriceLevelV1', token, 'POST', body);
+  return callCrm('m8_GetEventPriceLevelV1', token, 'POST', body, { idempotent: true });
 }
 
 async function getEventCategories(filterIds) {
@@ -141,7 +274,7 @@ async function getEventCategories(filterIds) {
   if (filterIds && filterIds.length > 0) {
     body = { entityids: filterIds };
   }
-  return callCrm('m8_GetEventCategoriesV1', token, 'POST', body);
+  return callCrm('m8_GetEventCategoriesV1', token, 'POST', body, { idempotent: true });
 }
 
 async function getEventLocations(filterIds) {
@@ -150,7 +283,7 @@ async function getEventLocations(filterIds) {
   if (filterIds && filterIds.length > 0) {
     body = { entityids: filterIds };
   }
-  return callCrm('m8_GetEventLocationsV1', token, 'POST', body);
+  return callCrm('m8_GetEventLocationsV1', token, 'POST', body, { idempotent: true });
 }
 
 async function getAirports(filterIds) {
@@ -159,16 +292,76 @@ async function getAirports(filterIds) {
   if (filterIds && filterIds.length > 0) {
     body = { entityids: filterIds };
   }
-  return callCrm('m8_GetAirportsV1', token, 'POST', body);
+  return callCrm('m8_GetAirportsV1', token, 'POST', body, { idempotent: true });
+}
+
+/**
+ * Starts a fluent Web API query against an entity set, e.g.
+ * `query('m8_events').select('m8_name').where('statecode', 'eq', 0).all()`.
+ * Paging via @odata.nextLink is followed automatically.
+ * @param {string} entitySet
+ * @returns {CrmQuery}
+ */
+function query(entitySet) {
+  return new CrmQuery(entitySet, {
+    request: async (url, headers) => callCrm(url, await getAccessToken(), 'GET', null, { headers }),
+  });
+}
+
+/**
+ * Starts an OData $batch that groups several requests into one round-trip.
+ * Results are returned in request order; failed requests carry a CrmError.
+ * @returns {CrmBatch}
+ */
+function batch() {
+  return new CrmBatch({
+    baseUrl: CRM_BASE_URL,
+    send: async (body, contentType, { idempotent, headers }) => callCrm('$batch', await getAccessToken(), 'POST', body, {
+      idempotent,
+      raw: true,
+      headers: { ...headers, 'Content-Type': contentType },
+    }),
+  });
+}
+
+const REFERENCE_ACTIONS = {
+  categories: 'm8_GetEventCategoriesV1',
+  locations: 'm8_GetEventLocationsV1',
+  airports: 'm8_GetAirportsV1',
+};
+
+/**
+ * Fetches event categories, locations and airports in a single $batch
+ * round-trip. With `filterIds`, an action only returns the given records, and
+ * an action with an empty list is left out (its result is null).
+ * @param {{ categories?: string[], locations?: string[], airports?: string[] }} [filterIds]
+ * @returns {Promise<{ categories: object|null, locations: object|null, airports: object|null }>}
+ */
+async function getReferenceData(filterIds = {}) {
+  const result = { categories: null, locations: null, airports: null };
+  const names = Object.keys(REFERENCE_ACTIONS).filter(name => !filterIds[name] || filterIds[name].length > 0);
+  if (!names.length) return result;
+
+  const request = batch();
+  for (const name of names) {
+    request.post(REFERENCE_ACTIONS[name], filterIds[name] ? { entityids: filterIds[name] } : null);
+  }
+  const responses = await request.execute({ idempotent: true });
+  const failed = responses.find(r => r.error);
+  if (failed) throw failed.error;
+  names.forEach((name, i) => { result[name] = responses[i].body; });
+  return result;
 }
 
 // --- NEW FUNCTION TO SUBMIT THE SALES ORDER ---
 /**
  * Submits the entire sales order payload to the CRM.
+ * Never retried automatically unless an idempotency key is provided.
  * @param {object} salesOrderData The complete 'salesorder' object.
+ * @param {{ idempotencyKey?: string }} [options]
  * @returns {Promise<object>} The response from the CRM.
  */
-async function submitSalesOrder(salesOrderData) {
+async function submitSalesOrder(salesOrderData, { idempotencyKey } = {}) {
   if (!salesOrderData) {
     throw new Error("salesOrderData is required.");
   }
@@ -177,7 +370,7 @@ async function submitSalesOrder(salesOrderData) {
   // The front-end is already sending {"salesorder":{...}}, but the crm.js library
   // needs to call the action with the raw salesOrderData object.
   // The `callCrm` function will stringify this.
-  return callCrm('m8_SubmitSalesOrderV2', token, 'POST', salesOrderData);
+  return callCrm('m8_SubmitSalesOrderV2', token, 'POST', salesOrderData, { idempotencyKey });
 }
 
 
@@ -185,6 +378,7 @@ async function submitSalesOrder(salesOrderData) {
 // We export all functions, including the new one.
 module.exports = {
   getAccessToken,
+  invalidateAccessToken,
   callCrm,
   getWhoAmI,
   getEvents,
@@ -192,73 +386,12 @@ module.exports = {
   getEventCategories,
   getEventLocations,
   getAirports,
-  submitSalesOrder // <-- Export the new function
+  submitSalesOrder, // <-- Export the new function
+  query,
+  formatODataValue,
+  batch,
+  getReferenceData,
+  CrmError,
+  crmErrorToHttp,
 };
 
-
-// --- UPDATED EXAMPLE USAGE ---
-(async () => {
-  if (require.main === module) {
-    const outputSummary = {}; // collect everything here
-
-    try {
-      console.log("--- Step 1: Checking User Identity ---");
-      const userInfo = await getWhoAmI();
-      outputSummary.userInfo = userInfo;
-
-      if (userInfo && userInfo.UserId) {
-        console.log(`✅ Successfully connected. UserID: ${userInfo.UserId}`);
-      } else {
-         console.warn("Could not determine UserID. Response was:", userInfo);
-      }
-
-      console.log("\n--- Step 2: Testing Get All Active Events ---");
-      const allEventsResponse = await getEvents();
-      outputSummary.allEvents = allEventsResponse;
-      console.log("Response for All Active Events:", JSON.stringify(allEventsResponse, null, 2));
-
-      // --- NEW: Test other endpoints if we have an event ID ---
-      if (allEventsResponse && allEventsResponse.value && allEventsResponse.value.length > 0) {
-        const testEventId = allEventsResponse.value[0].m8_eventid;
-        console.log(`\n--- Step 3: Testing other endpoints using Event ID: ${testEventId} ---`);
-
-        // Test GetEventPriceLevel
-        console.log("\n--- Testing GetEventPriceLevel ---");
-        const priceLevelResponse = await getEventPriceLevel(testEventId);
-        outputSummary.priceLevel = priceLevelResponse;
-        console.log("Response for GetEventPriceLevel:", JSON.stringify(priceLevelResponse, null, 2));
-      } else {
-        console.log("\nSkipping endpoint tests that require an Event ID, as no events were found.");
-      }
-
-      // --- NEW: Test endpoints that can be called without IDs ---
-      console.log("\n--- Step 4: Testing other list endpoints ---");
-
-      console.log("\n--- Testing GetEventCategories (All) ---");
-      const categoriesResponse = await getEventCategories();
-      outputSummary.categories = categoriesResponse;
-      console.log("Response for GetEventCategories:", JSON.stringify(categoriesResponse, null, 2));
-
-      console.log("\n--- Testing GetEventLocations (All) ---");
-      const locationsResponse = await getEventLocations();
-      outputSummary.locations = locationsResponse;
-      console.log("Response for GetEventLocations:", JSON.stringify(locationsResponse, null, 2));
-      
-      console.log("\n--- Testing GetAirports (All) ---");
-      const airportsResponse = await getAirports();
-      outputSummary.airports = airportsResponse;
-      console.log("Response for GetAirports:", JSON.stringify(airportsResponse, null, 2));
-
-      // ---------------------------------------------
-      // Persist everything we collected to a file
-      // ---------------------------------------------
-      saveResponseToFile(outputSummary);
-
-    } catch (error) {
-      console.error("\n❌ An error occurred in the main execution block:", error.message);
-      outputSummary.error = error.message;
-      // Try to persist even on error so we have context
-      saveResponseToFile(outputSummary, 'crm-error');
-    }
-  }
-})();
@@ -0,0 +1,131 @@
+// lib/dataverse-webhook.js
+// Support for native Dataverse webhooks: Dynamics POSTs the serialized
+// RemoteExecutionContext of the triggering plugin step to the endpoint. This
+// module turns that context into the same { entityName, recordId, changeType }
+// payload the JWT-signed webhooks carry, and tells which Update messages can
+// be ignored because none of the synced attributes changed.
+//
+// DataContract JSON serializes dictionaries (InputParameters, entity images,
+// Attributes) as arrays of { key, value } pairs.
+
+const crypto = require('crypto');
+const { getMappingForLogicalName, getWatchedAttributes } = require('./mappings');
+
+/** MessageName → changeType of the sync pipeline. */
+const MESSAGE_CHANGE_TYPES = {
+  Create: 'Create',
+  Update: 'Update',
+  Delete: 'Delete',
+  SetState: 'Update',
+  SetStateDynamicEntity: 'Update',
+};
+
+// Attributes Dataverse touches on every write.
+const SYSTEM_ATTRIBUTES = new Set(['modifiedon', 'modifiedby', 'modifiedonbehalfby', 'versionnumber']);
+
+/**
+ * @param {any} body
+ * @returns {boolean}
+ */
+function isRemoteExecutionContext(body) {
+  return Boolean(body && typeof body === 'object' && body.MessageName && body.PrimaryEntityName);
+}
+
+/**
+ * @param {Array<{ key: string, value: any }>|object|null|undefined} collection
+ * @returns {Object<string, any>}
+ */
+function toDictionary(collection) {
+  if (!collection) return {};
+  if (Array.isArray(collection)) {
+    return Object.fromEntries(collection.map(({ key, value }) => [key, value]));
+  }
+  return collection;
+}
+
+/** Attributes of a serialized Entity as a plain object. */
+const entityAttributes = entity => toDictionary(entity?.Attributes);
+
+/** The first image of an image collection (steps usually register one). */
+function firstImage(images) {
+  const [image] = Object.values(toDictionary(images));
+  return image ? entityAttributes(image) : null;
+}
+
+/**
+ * Attributes changed by the operation, from the pre and post images or,
+ * without both images, the Target of the request.
+ * @param {object} context  RemoteExecutionContext.
+ * @returns {string[]|null} null if the context does not tell.
+ */
+function getChangedAttributes(context) {
+  const pre = firstImage(context.PreEntityImages);
+  const post = firstImage(context.PostEntityImages);
+  if (pre && post) {
+    const keys = new Set([...Object.keys(pre), ...Object.keys(post)]);
+    return [...keys].filter(key => JSON.stringify(pre[key] ?? null) !== JSON.stringify(post[key] ?? null));
+  }
+  const target = toDictionary(context.InputParameters).Target;
+  if (target?.Attributes) {
+    return Object.keys(entityAttributes(target));
+  }
+  return null;
+}
+
+/**
+ * @typedef {object} DataverseWebhook
+ * @property {string|null} entityName   Null if the table is not synced.
+ * @property {string} recordId
+ * @property {string|null} changeType   Null if the message is not synced.
+ * @property {string} messageName
+ * @property {string} logicalName
+ * @property {string} jti               Identifies the operation for duplicate detection.
+ * @property {string|null} ignoreReason Set if the webhook requires no sync.
+ */
+
+/**
+ * @param {object} context  RemoteExecutionContext.
+ * @param {string} [rawBody]  Used for duplicate detection if the context has no operation ID.
+ * @returns {DataverseWebhook}
+ */
+function parseRemoteExecutionContext(context, rawBody = JSON.stringify(context)) {
+  const logicalName = context.PrimaryEntityName;
+  const messageName = context.MessageName;
+  const mapping = getMappingForLogicalName(logicalName);
+  const changeType = MESSAGE_CHANGE_TYPES[messageName] || null;
+  const operationId = context.OperationId || context.RequestId;
+  const result = {
+    entityName: mapping?.entity || null,
+    recordId: String(context.PrimaryEntityId || '').toLowerCase(),
+    changeType,
+    messageName,
+    logicalName,
+    jti: operationId
+      ? `dataverse:${operationId}:${messageName}`
+      : `dataverse:${crypto.createHash('sha256').update(rawBody).digest('hex')}`,
+    ignoreReason: null,
+  };
+
+  if (!mapping) {
+    result.ignoreReason = `Table '${logicalName}' is not synced.`;
+  } else if (!changeType) {
+    result.ignoreReason = `Message '${messageName}' is not synced.`;
+  } else if (messageName === 'Update') {
+    const changed = getChangedAttributes(context);
+    if (changed) {
+      const watched = getWatchedAttributes(mapping);
+      const relevant = changed.filter(attr => !SYSTEM_ATTRIBUTES.has(attr) && watched.has(attr));
+      if (!relevant.length) {
+        result.ignoreReason = `No synced attribute changed (changed: ${changed.join(', ') || 'none'}).`;
+      }
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  MESSAGE_CHANGE_TYPES,
+  isRemoteExecutionContext,
+  getChangedAttributes,
+  parseRemoteExecutionContext,
+};
@@ -0,0 +1,81 @@
+// lib/delta.js
+// Delta sync support. The watermark in KV records when the last successful
+// sync (full or delta) started; a delta run asks the CRM Web API only for the
+// events and reference records whose `modifiedon` is later than that, minus
+// an overlap that absorbs clock skew and transactions still in flight.
+// Re-syncing a record twice is cheap thanks to change detection.
+//
+// Deleted records cannot be found this way – they are handled by the webhook
+// and by the orphan reconciliation of the full sync.
+
+const { getKv, createMemoryStore } = require('./kv');
+const { MAPPINGS } = require('./mappings');
+
+const DEFAULT_OVERLAP_MS = 5 * 60 * 1000;
+
+let memoryStore = null;
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.store]  KV-compatible store. Defaults to Vercel KV or an in-process store.
+ * @param {string} [options.key]
+ */
+function createWatermark({ store = null, key = 'sync:watermark' } = {}) {
+  if (!store) {
+    store = getKv();
+    if (!store) {
+      memoryStore = memoryStore || createMemoryStore();
+      store = memoryStore;
+    }
+  }
+
+  return {
+    /** @returns {Promise<Date|null>} Start of the last successful sync. */
+    async get() {
+      const value = await store.get(key);
+      return value ? new Date(value) : null;
+    },
+
+    /** @param {Date} startedAt */
+    async set(startedAt) {
+      await store.set(key, startedAt.toISOString());
+    },
+  };
+}
+
+/**
+ * Queries the CRM for records modified after `since`.
+ * @param {object} params
+ * @param {Date} params.since
+ * @param {(entitySet: string) => import('./crm-query').CrmQuery} params.query  crm.query
+ * @param {string[]} [params.keys]  Collections to check; defaults to all.
+ * @param {number} [params.overlapMs]
+ * @returns {Promise<Object<string, string[]>>} CRM IDs per collection key.
+ */
+async function findModifiedRecords({ since, query, keys = Object.keys(MAPPINGS), overlapMs = DEFAULT_OVERLAP_MS }) {
+  const from = new Date(since.getTime() - overlapMs);
+  const modified = {};
+  for (const key of keys) {
+    const { entitySet, crmIdAttribute } = MAPPINGS[key];
+    const records = await query(entitySet).select(crmIdAttribute).where('modifiedon', 'gt', from).all();
+    modified[key] = records.map(record => record[crmIdAttribute]).filter(Boolean);
+  }
+  return modified;
+}
+
+/**
+ * The delta sync watermark, with the overlap from SYNC_DELTA_OVERLAP_SECONDS.
+ */
+function getSyncWatermark() {
+  const overlapSeconds = Number(process.env.SYNC_DELTA_OVERLAP_SECONDS);
+  return {
+    watermark: createWatermark(),
+    overlapMs: Number.isFinite(overlapSeconds) && overlapSeconds >= 0 ? overlapSeconds * 1000 : DEFAULT_OVERLAP_MS,
+  };
+}
+
+module.exports = {
+  createWatermark,
+  findModifiedRecords,
+  getSyncWatermark,
+};
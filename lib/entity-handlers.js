@@ -0,0 +1,48 @@
+// lib/entity-handlers.js
+// Registry of sync handlers per CRM entity. The webhook accepts an entityName
+// only if a handler is registered for it, and the worker dispatches queued
+// jobs through the same registry. New entities are supported by registering a
+// handler; nothing else has to change.
+
+const syncSingleEvent = require('../scripts/sync_single');
+const syncReferenceRecord = require('../scripts/sync_reference');
+
+/**
+ * @callback EntityHandler
+ * @param {import('./queue').SyncJob} job
+ * @returns {Promise<any>}
+ */
+
+/** @type {Map<string, EntityHandler>} */
+const handlers = new Map();
+
+/**
+ * @param {string} entityName  entityName as sent by the CRM webhook.
+ * @param {EntityHandler} handler
+ */
+function registerEntityHandler(entityName, handler) {
+  if (typeof handler !== 'function') {
+    throw new TypeError(`Handler for "${entityName}" must be a function.`);
+  }
+  handlers.set(entityName, handler);
+}
+
+/** @returns {EntityHandler|undefined} */
+function getEntityHandler(entityName) {
+  return handlers.get(entityName);
+}
+
+function listEntities() {
+  return [...handlers.keys()];
+}
+
+registerEntityHandler('Event', job => syncSingleEvent(job.recordId, job.changeType, { trigger: job.source || 'queue', jobId: job.id }));
+for (const entityName of ['EventLocation', 'EventCategory', 'Airport']) {
+  registerEntityHandler(entityName, job => syncReferenceRecord(entityName, job.recordId, job.changeType));
+}
+
+module.exports = {
+  registerEntityHandler,
+  getEntityHandler,
+  listEntities,
+};
@@ -0,0 +1,161 @@
+// lib/health.js
+// Dependency checks behind /api/health. Each check reports a status
+//   ok        the dependency works
+//   degraded  the middleware runs, but without it (e.g. KV not configured)
+//   down      syncs or webhooks fail until it is fixed
+// and its latency. Checks run in parallel, without retries, and are cut off
+// after a timeout so a hanging dependency cannot hang the probe.
+
+const { loadKeyring } = require('./jwt-keys');
+
+const HEALTH_STATUSES = ['ok', 'degraded', 'down'];
+const DEFAULT_TIMEOUT_MS = 5000;
+const PROBE_KEY = 'health:probe';
+
+const REQUIRED_ENV = [
+  'CRM_TENANT_ID',
+  'CRM_CLIENT_ID',
+  'CRM_CLIENT_SECRET',
+  'CRM_BASE_URL',
+  'WEBFLOW_API_TOKEN',
+  'WEBFLOW_COLLECTION_ID_EVENTS',
+  'WEBFLOW_COLLECTION_ID_LOCATIONS',
+  'WEBFLOW_COLLECTION_ID_CATEGORIES',
+  'WEBFLOW_COLLECTION_ID_AIRPORTS',
+];
+// Without these, the features they guard are unavailable, but syncs still run.
+const RECOMMENDED_ENV = ['KV_REST_API_URL', 'KV_REST_API_TOKEN', 'CRON_SECRET', 'ADMIN_API_KEY'];
+
+const worst = statuses => HEALTH_STATUSES[Math.max(0, ...statuses.map(status => HEALTH_STATUSES.indexOf(status)))];
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms.`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @typedef {object} CheckResult
+ * @property {'ok'|'degraded'|'down'} status
+ * @property {number} latencyMs
+ * @property {string} [error]
+ */
+
+/**
+ * Runs the checks in parallel. A check resolves with its details (and may set
+ * `status`, default ok); a check that throws or times out is down.
+ * @param {Object<string, () => Promise<object>>} checks
+ * @param {{ timeoutMs?: number, now?: () => number }} [options]
+ * @returns {Promise<{ status: 'ok'|'degraded'|'down', checks: Object<string, CheckResult> }>}
+ */
+async function runHealthChecks(checks, { timeoutMs = DEFAULT_TIMEOUT_MS, now = Date.now } = {}) {
+  const entries = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+    const startedAt = now();
+    try {
+      const { status = 'ok', ...details } = (await withTimeout(Promise.resolve().then(check), timeoutMs)) || {};
+      return [name, { status, latencyMs: now() - startedAt, ...details }];
+    } catch (err) {
+      return [name, { status: 'down', latencyMs: now() - startedAt, error: err.message }];
+    }
+  }));
+  const results = Object.fromEntries(entries);
+  return { status: worst(Object.values(results).map(result => result.status)), checks: results };
+}
+
+/**
+ * Configuration completeness: required variables, recommended ones, a
+ * usable webhook keyring and an admin keyring that loads (it may be empty).
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+function checkConfig(env = process.env) {
+  const missing = REQUIRED_ENV.filter(name => !env[name]);
+  const recommended = RECOMMENDED_ENV.filter(name => !env[name]);
+  let keyring = null;
+  try {
+    const size = loadKeyring(env).size;
+    if (!size) keyring = 'No webhook signing key configured (JWT_SECRET, JWT_KEYS or JWT_JWKS_FILE).';
+  } catch (err) {
+    keyring = err.message;
+  }
+  let adminKeyring = null;
+  try {
+    loadKeyring(env, { prefix: 'ADMIN_JWT' });
+  } catch (err) {
+    adminKeyring = err.message;
+  }
+  const status = missing.length || keyring ? 'down' : recommended.length || adminKeyring ? 'degraded' : 'ok';
+  return {
+    status,
+    ...(missing.length && { missing }),
+    ...(recommended.length && { recommended }),
+    ...(keyring && { keyring }),
+    ...(adminKeyring && { adminKeyring }),
+  };
+}
+
+/**
+ * Builds the readiness checks for /api/health.
+ * @param {object} deps
+ * @param {{ getAccessToken: Function, callCrm: Function }} deps.crm  lib/crm.js
+ * @param {ReturnType<import('./webflow').createWebflowClient>} deps.webflow  Should not retry.
+ * @param {Object<string, string>} deps.collectionIds
+ * @param {import('@vercel/kv').VercelKV|null} deps.kv
+ * @param {NodeJS.ProcessEnv} [deps.env]
+ * @param {number} [deps.timeoutMs]  Per request; also passed to the CRM call.
+ * @param {() => number} [deps.now]
+ * @returns {Object<string, () => Promise<object>>}
+ */
+function createDependencyChecks({ crm, webflow, collectionIds, kv, env = process.env, timeoutMs = DEFAULT_TIMEOUT_MS, now = Date.now }) {
+  return {
+    config: async () => checkConfig(env),
+
+    // Token acquisition and WhoAmI are timed separately: a slow token endpoint
+    // and a slow CRM look the same from outside.
+    crm: async () => {
+      let startedAt = now();
+      const token = await crm.getAccessToken();
+      const tokenLatencyMs = now() - startedAt;
+      startedAt = now();
+      const me = await crm.callCrm('WhoAmI', token, 'GET', null, { retries: 0, timeoutMs });
+      return { tokenLatencyMs, whoAmILatencyMs: now() - startedAt, userId: me?.UserId };
+    },
+
+    webflow: async () => {
+      const info = await webflow.getTokenInfo();
+      const collections = Object.fromEntries(await Promise.all(Object.entries(collectionIds).map(async ([key, id]) => {
+        if (!id) return [key, { status: 'down', error: `WEBFLOW_COLLECTION_ID_${key} is not set.` }];
+        const startedAt = now();
+        try {
+          const collection = await webflow.getCollection(id);
+          return [key, { status: 'ok', id, displayName: collection?.displayName, latencyMs: now() - startedAt }];
+        } catch (err) {
+          return [key, { status: 'down', id, error: err.message, latencyMs: now() - startedAt }];
+        }
+      })));
+      return {
+        status: worst(Object.values(collections).map(collection => collection.status)),
+        tokenExpiresAt: info?.authorization?.expiresAt ?? null,
+        collections,
+      };
+    },
+
+    // A write and a read: a read-only token passes a PING but breaks locks and the queue.
+    kv: async () => {
+      if (!kv) return { status: 'degraded', error: 'KV is not configured; locks, queue and caches only live in this instance.' };
+      const value = String(now());
+      await kv.set(PROBE_KEY, value, { ex: 60 });
+      const read = await kv.get(PROBE_KEY);
+      if (String(read) !== value) throw new Error('KV returned a different value than was written.');
+      return {};
+    },
+  };
+}
+
+module.exports = {
+  HEALTH_STATUSES,
+  checkConfig,
+  createDependencyChecks,
+  runHealthChecks,
+};
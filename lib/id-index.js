@@ -0,0 +1,182 @@
+// lib/id-index.js
+// Persistent CRM ID → Webflow item ID index, one KV hash per collection
+// ("webflow:id-index:EVENTS" etc.). A targeted sync looks up the handful of
+// items it needs and fetches them with getItem() instead of paginating whole
+// collections. The index is written on every create/delete by the sync code,
+// fully rewritten by every full sync, and rebuilt from Webflow whenever its
+// "built" marker is missing or has expired.
+
+const crypto = require('crypto');
+const { getKv, createMemoryStore } = require('./kv');
+const { MAPPINGS } = require('./mappings');
+
+const DEFAULT_PREFIX = 'webflow:id-index';
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Used when KV is not configured: the index then lasts as long as the process.
+let memoryStore = null;
+
+/**
+ * @param {object} options
+ * @param {ReturnType<import('./webflow').createWebflowClient>} options.client
+ * @param {Object<string, string>} options.collectionIds  Keyed like MAPPINGS.
+ * @param {object} options.store  KV-compatible store (`get`/`set`/`del`/`rename`/`hget`/`hset`/`hdel`).
+ * @param {string} [options.prefix]
+ * @param {number} [options.maxAgeMs] Rebuild from Webflow once the index is older than this.
+ * @param {() => number} [options.now]
+ */
+function createIdIndex({
+  client,
+  collectionIds,
+  store,
+  prefix = DEFAULT_PREFIX,
+  maxAgeMs = DEFAULT_MAX_AGE_MS,
+  now = Date.now,
+}) {
+  const hashKey = key => `${prefix}:${key}`;
+  const builtKey = key => `${prefix}:${key}:built`;
+  const rebuilding = new Map();
+
+  /**
+   * Replaces the index of a collection with the given Webflow items.
+   * @param {string} key  Collection key (EVENTS, LOCATIONS, …).
+   * @param {import('./webflow').WebflowItem[]} items
+   */
+  async function replace(key, items) {
+    const { crmIdSlug } = MAPPINGS[key];
+    const entries = {};
+    for (const item of items) {
+      const crmId = item.fieldData?.[crmIdSlug];
+      if (crmId) entries[crmId] = item.id;
+    }
+    if (Object.keys(entries).length) {
+      // Written aside and swapped in with RENAME, so concurrent lookups never
+      // see the hash missing or half-written (a miss would create a duplicate item).
+      const tempKey = `${hashKey(key)}:rebuild:${crypto.randomUUID()}`;
+      await store.hset(tempKey, entries);
+      try {
+        await store.rename(tempKey, hashKey(key));
+      } catch (err) {
+        await store.del(tempKey).catch(() => {});
+        throw err;
+      }
+    } else {
+      await store.del(hashKey(key));
+    }
+    await store.set(builtKey(key), new Date(now()).toISOString(), { px: maxAgeMs });
+  }
+
+  /**
+   * Lists the whole collection from Webflow and rewrites its index.
+   * Concurrent rebuilds of the same collection share one listing.
+   * @param {string} key
+   * @returns {Promise<import('./webflow').WebflowItem[]>}
+   */
+  function rebuild(key) {
+    if (!rebuilding.has(key)) {
+      const promise = (async () => {
+        const items = await client.listAllItems(collectionIds[key]);
+        await replace(key, items);
+        return items;
+      })().finally(() => rebuilding.delete(key));
+      rebuilding.set(key, promise);
+    }
+    return rebuilding.get(key);
+  }
+
+  async function isBuilt(key) {
+    return Boolean(await store.get(builtKey(key)));
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} crmId
+   * @returns {Promise<string|null>} The Webflow item ID.
+   */
+  async function lookup(key, crmId) {
+    if (!(await isBuilt(key))) {
+      console.log(`    ↳ ID index for ${key} is missing or expired. Rebuilding from Webflow...`);
+      await rebuild(key);
+    }
+    const itemId = await store.hget(hashKey(key), crmId);
+    return itemId ? String(itemId) : null;
+  }
+
+  // A failed index write must not leave a stale entry behind (a missed create
+  // would lead to a duplicate item), so the collection is marked for rebuild.
+  async function write(key, action, fn) {
+    try {
+      await fn();
+    } catch (err) {
+      console.warn(`ID index: could not ${action} (${err.message}). Forcing a rebuild of ${key}.`);
+      await store.del(builtKey(key)).catch(() => {});
+    }
+  }
+
+  function set(key, crmId, itemId) {
+    return write(key, `record ${crmId}`, () => store.hset(hashKey(key), { [crmId]: itemId }));
+  }
+
+  function remove(key, crmId) {
+    return write(key, `remove ${crmId}`, () => store.hdel(hashKey(key), crmId));
+  }
+
+  /**
+   * Looks up and fetches the Webflow items for the given CRM IDs. Index entries
+   * whose item no longer exists in Webflow are dropped.
+   * @param {string} key
+   * @param {string[]} crmIds
+   * @returns {Promise<Map<string, import('./webflow').WebflowItem>>} CRM ID → item, like buildItemCache().
+   */
+  async function getItems(key, crmIds) {
+    const cache = new Map();
+    await Promise.all([...new Set(crmIds)].map(async crmId => {
+      const itemId = await lookup(key, crmId);
+      if (!itemId) return;
+      try {
+        cache.set(crmId, await client.getItem(collectionIds[key], itemId));
+      } catch (err) {
+        if (err.status !== 404) throw err;
+        console.warn(`    ⚠️ ${key} item ${itemId} (CRM ID ${crmId}) no longer exists in Webflow. Dropping it from the index.`);
+        await remove(key, crmId);
+      }
+    }));
+    return cache;
+  }
+
+  return {
+    lookup,
+    getItems,
+    set,
+    remove,
+    replace,
+    rebuild,
+    isBuilt,
+  };
+}
+
+/**
+ * The ID index backed by Vercel KV, or by an in-process store if KV is not configured.
+ * @param {object} options
+ * @param {ReturnType<import('./webflow').createWebflowClient>} options.client
+ * @param {Object<string, string>} options.collectionIds
+ */
+function getIdIndex({ client, collectionIds }) {
+  let store = getKv();
+  if (!store) {
+    memoryStore = memoryStore || createMemoryStore();
+    store = memoryStore;
+  }
+  const maxAgeSeconds = Number(process.env.SYNC_ID_INDEX_MAX_AGE_SECONDS);
+  return createIdIndex({
+    client,
+    collectionIds,
+    store,
+    maxAgeMs: maxAgeSeconds > 0 ? maxAgeSeconds * 1000 : DEFAULT_MAX_AGE_MS,
+  });
+}
+
+module.exports = {
+  createIdIndex,
+  getIdIndex,
+};
@@ -0,0 +1,153 @@
+// lib/jwt-keys.js
+// Keyring for webhook JWTs. Several keys can be active at once and are
+// selected by the `kid` token header, so a key can be rotated by adding the
+// new one, switching the CRM plugin over and only then removing the old one.
+//
+// Sources (all optional, merged in this order):
+//   JWT_SECRET     legacy HS256 secret, kid "default"; also used for tokens without kid
+//   JWT_KEYS       JSON object kid → HMAC secret or PEM public key (RSA/EC)
+//   JWT_JWKS_FILE  path to a JWKS file ({ "keys": [{ "kid": …, "kty": … }] })
+//
+// Admin tokens (lib/admin-auth.js) have a keyring of their own from the same
+// variables prefixed with ADMIN_ (ADMIN_JWT_SECRET, ADMIN_JWT_KEYS,
+// ADMIN_JWT_JWKS_FILE), so a webhook signing key cannot mint admin tokens.
+//
+// Each key only accepts the algorithms matching its type (HS* for secrets,
+// RS*/PS* for RSA, ES* for EC) that are also listed in JWT_ALGORITHMS, which
+// rules out algorithm-confusion attacks such as an HS256 token "signed" with
+// a public key.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const DEFAULT_KID = 'default';
+const DEFAULT_ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+
+const ALGORITHMS_BY_TYPE = {
+  secret: ['HS256', 'HS384', 'HS512'],
+  rsa: ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512'],
+  ec: ['ES256', 'ES384', 'ES512'],
+};
+
+class KeyringError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeyringError';
+  }
+}
+
+/**
+ * @typedef {object} JwtKey
+ * @property {string} kid
+ * @property {crypto.KeyObject} key
+ * @property {string[]} algorithms  Algorithms this key may verify.
+ */
+
+function keyType(key) {
+  if (key.type === 'secret') return 'secret';
+  return key.asymmetricKeyType === 'ec' ? 'ec' : key.asymmetricKeyType?.startsWith('rsa') ? 'rsa' : null;
+}
+
+/**
+ * @param {string} kid
+ * @param {string|object} material  HMAC secret, PEM public key or JWK.
+ * @returns {crypto.KeyObject}
+ */
+function importKey(kid, material) {
+  try {
+    if (typeof material === 'object') {
+      if (material.kty === 'oct') return crypto.createSecretKey(Buffer.from(material.k, 'base64url'));
+      return crypto.createPublicKey({ key: material, format: 'jwk' });
+    }
+    if (material.includes('-----BEGIN')) return crypto.createPublicKey(material);
+    return crypto.createSecretKey(Buffer.from(material, 'utf8'));
+  } catch (err) {
+    throw new KeyringError(`Key "${kid}" could not be imported: ${err.message}`);
+  }
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.secret]      Legacy secret (kid "default").
+ * @param {Object<string, string>} [options.keys]  kid → secret or PEM public key.
+ * @param {object} [options.jwks]        Parsed JWKS.
+ * @param {string[]} [options.algorithms] Allowed algorithms.
+ * @returns {Map<string, JwtKey>}
+ */
+function createKeyring({ secret, keys = {}, jwks = null, algorithms = DEFAULT_ALGORITHMS } = {}) {
+  const keyring = new Map();
+  const add = (kid, material) => {
+    const key = importKey(kid, material);
+    const allowed = (ALGORITHMS_BY_TYPE[keyType(key)] || []).filter(alg => algorithms.includes(alg));
+    if (!allowed.length) {
+      throw new KeyringError(`Key "${kid}" (${keyType(key) || 'unsupported type'}) matches none of the allowed algorithms ${algorithms.join(', ')}.`);
+    }
+    keyring.set(kid, { kid, key, algorithms: allowed });
+  };
+
+  if (secret) add(DEFAULT_KID, secret);
+  for (const [kid, material] of Object.entries(keys)) add(kid, material);
+  for (const jwk of jwks?.keys || []) {
+    if (!jwk.kid) throw new KeyringError('Every key in the JWKS needs a "kid".');
+    if (jwk.use && jwk.use !== 'sig') continue;
+    add(jwk.kid, jwk);
+  }
+  return keyring;
+}
+
+const list = value => String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+/**
+ * Builds the keyring from the environment.
+ * @param {NodeJS.ProcessEnv} [env]
+ * @param {{ prefix?: string }} [options]  Prefix of the key variables: "JWT" (webhooks) or "ADMIN_JWT".
+ */
+function loadKeyring(env = process.env, { prefix = 'JWT' } = {}) {
+  let keys = {};
+  if (env[`${prefix}_KEYS`]) {
+    try {
+      keys = JSON.parse(env[`${prefix}_KEYS`]);
+    } catch (err) {
+      throw new KeyringError(`${prefix}_KEYS is not valid JSON: ${err.message}`);
+    }
+  }
+  let jwks = null;
+  if (env[`${prefix}_JWKS_FILE`]) {
+    try {
+      jwks = JSON.parse(fs.readFileSync(env[`${prefix}_JWKS_FILE`], 'utf8'));
+    } catch (err) {
+      throw new KeyringError(`${prefix}_JWKS_FILE could not be read: ${err.message}`);
+    }
+  }
+  const algorithms = list(env.JWT_ALGORITHMS);
+  return createKeyring({
+    secret: env[`${prefix}_SECRET`],
+    keys,
+    jwks,
+    algorithms: algorithms.length ? algorithms : DEFAULT_ALGORITHMS,
+  });
+}
+
+let cached = null;
+let cachedAdmin = null;
+
+/** The keyring from the environment, loaded once per instance. */
+function getKeyring() {
+  cached = cached || loadKeyring();
+  return cached;
+}
+
+/** The admin token keyring (ADMIN_JWT_*), loaded once per instance. */
+function getAdminKeyring() {
+  cachedAdmin = cachedAdmin || loadKeyring(process.env, { prefix: 'ADMIN_JWT' });
+  return cachedAdmin;
+}
+
+module.exports = {
+  DEFAULT_KID,
+  KeyringError,
+  createKeyring,
+  loadKeyring,
+  getKeyring,
+  getAdminKeyring,
+};
@@ -0,0 +1,153 @@
+// lib/kv.js
+// Shared access to the Vercel KV store. Every module that persists state
+// (token cache, locks, queues, …) goes through getKv() so that running
+// without KV configured degrades gracefully instead of crashing.
+
+const { createClient } = require('@vercel/kv');
+
+let client = null;
+
+function isKvConfigured() {
+  return Boolean(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+}
+
+/**
+ * Returns the shared KV client, or null if KV is not configured.
+ * @returns {import('@vercel/kv').VercelKV | null}
+ */
+function getKv() {
+  if (!isKvConfigured()) {
+    return null;
+  }
+  if (!client) {
+    client = createClient({
+      url: process.env.KV_REST_API_URL,
+      token: process.env.KV_REST_API_TOKEN,
+    });
+  }
+  return client;
+}
+
+/**
+ * In-process stand-in for the subset of KV commands the middleware uses. It
+ * backs the same code paths when KV is not configured (state then only lives
+ * as long as the process) and in tests.
+ * @param {{ now?: () => number }} [options]
+ */
+function createMemoryStore({ now = Date.now } = {}) {
+  const data = new Map();
+
+  const read = key => {
+    const entry = data.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt && entry.expiresAt <= now()) {
+      data.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+  const write = (key, value, expiresAt = data.get(key)?.expiresAt ?? null) => {
+    data.set(key, { value, expiresAt });
+  };
+
+  return {
+    async get(key) {
+      const value = read(key);
+      return value === undefined ? null : value;
+    },
+    async set(key, value, { px, ex, nx } = {}) {
+      if (nx && read(key) !== undefined) return null;
+      const ttlMs = px ?? (ex ? ex * 1000 : null);
+      write(key, value, ttlMs ? now() + ttlMs : null);
+      return 'OK';
+    },
+    async getdel(key) {
+      const value = read(key);
+      data.delete(key);
+      return value === undefined ? null : value;
+    },
+    async incr(key) {
+      const value = Number(read(key) || 0) + 1;
+      write(key, value);
+      return value;
+    },
+    async del(...keys) {
+      return keys.filter(key => read(key) !== undefined && data.delete(key)).length;
+    },
+    async pexpire(key, ms) {
+      const value = read(key);
+      if (value === undefined) return 0;
+      write(key, value, now() + Number(ms));
+      return 1;
+    },
+    async rename(key, newKey) {
+      const entry = data.get(key);
+      if (read(key) === undefined) throw new Error('ERR no such key');
+      data.delete(key);
+      data.set(newKey, entry);
+      return 'OK';
+    },
+    async hget(key, field) {
+      const hash = read(key);
+      return hash && Object.hasOwn(hash, field) ? hash[field] : null;
+    },
+    async hset(key, values) {
+      const hash = { ...(read(key) || {}) };
+      const added = Object.keys(values).filter(field => !Object.hasOwn(hash, field)).length;
+      write(key, Object.assign(hash, values));
+      return added;
+    },
+    async hdel(key, ...fields) {
+      const hash = read(key);
+      if (!hash) return 0;
+      const removed = fields.filter(field => Object.hasOwn(hash, field) && delete hash[field]).length;
+      if (!Object.keys(hash).length) data.delete(key);
+      return removed;
+    },
+    async hmget(key, ...fields) {
+      const hash = read(key) || {};
+      // Like Upstash: null when none of the fields exists.
+      if (!fields.some(field => Object.hasOwn(hash, field))) return null;
+      return Object.fromEntries(fields.map(field => [field, Object.hasOwn(hash, field) ? hash[field] : null]));
+    },
+    async hgetall(key) {
+      const hash = read(key);
+      return hash ? { ...hash } : null;
+    },
+    async zadd(key, ...entries) {
+      const zset = new Map(read(key) || []);
+      const added = entries.filter(({ member }) => !zset.has(member)).length;
+      entries.forEach(({ score, member }) => zset.set(member, Number(score)));
+      write(key, zset);
+      return added;
+    },
+    async zrem(key, ...members) {
+      const zset = read(key);
+      if (!zset) return 0;
+      return members.filter(member => zset.delete(member)).length;
+    },
+    async zscore(key, member) {
+      return read(key)?.get(member) ?? null;
+    },
+    async zcard(key) {
+      return read(key)?.size ?? 0;
+    },
+    // Only the `byScore` form is supported. With `rev`, the range is given as max, min (as in Redis).
+    async zrange(key, start, stop, { rev = false, offset = 0, count = Infinity } = {}) {
+      const [min, max] = rev ? [stop, start] : [start, stop];
+      const lo = min === '-inf' ? -Infinity : Number(min);
+      const hi = max === '+inf' ? Infinity : Number(max);
+      return [...(read(key) || [])]
+        .filter(([, score]) => score >= lo && score <= hi)
+        .sort((a, b) => (rev ? b[1] - a[1] : a[1] - b[1]))
+        .slice(offset, offset + count)
+        .map(([member]) => member);
+    },
+  };
+}
+
+module.exports = {
+  getKv,
+  isKvConfigured,
+  createMemoryStore,
+};
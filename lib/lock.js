@@ -0,0 +1,198 @@
+// lib/lock.js
+// Per-record locks in Vercel KV so that concurrent webhooks for the same CRM
+// record cannot run overlapping syncs (e.g. two "Create" webhooks creating two
+// Webflow items).
+//
+//   lock:<name>         SET NX PX; value "<fencing token>:<random id>"
+//   lock:<name>:fence   INCR on every acquisition (the fencing token)
+//   lock:<name>:rerun   set by callers that found the lock taken
+//
+// A holder whose lock expired and was taken over by someone else notices via
+// the fencing token (assertHeld) and stops before writing. Work requested while
+// the lock was held is not dropped: the request is parked in the rerun key and
+// the holder (or the waiter itself, if the lock frees up in the meantime) runs
+// it once more after the current run.
+
+const crypto = require('crypto');
+const { getKv, createMemoryStore } = require('./kv');
+
+const DEFAULT_TTL_MS = 60 * 1000;
+
+// Compare-and-delete / compare-and-extend, so a holder never touches a lock
+// that has already passed to someone else.
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+const EXTEND_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0`;
+
+class LockLostError extends Error {
+  constructor(name, token) {
+    super(`Lock "${name}" (fencing token ${token}) was lost to a newer holder.`);
+    this.name = 'LockLostError';
+    this.lockName = name;
+    this.token = token;
+  }
+}
+
+let memoryStore = null;
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.store]  KV-compatible store. Defaults to Vercel KV or an in-process store.
+ * @param {string} [options.prefix]
+ * @param {number} [options.ttlMs]  Lock lifetime; extended while the holder is still running.
+ */
+function createLockManager({ store = null, prefix = 'lock', ttlMs = DEFAULT_TTL_MS } = {}) {
+  if (!store) {
+    store = getKv();
+    if (!store) {
+      memoryStore = memoryStore || createMemoryStore();
+      store = memoryStore;
+    }
+  }
+  const keys = name => ({
+    lock: `${prefix}:${name}`,
+    fence: `${prefix}:${name}:fence`,
+    rerun: `${prefix}:${name}:rerun`,
+  });
+
+  // Stores without scripting (the in-process store) get the same semantics
+  // from get + del/set; they are only shared within one process anyway.
+  async function compareAnd(script, key, value, args, fallback) {
+    if (typeof store.eval === 'function') {
+      return Number(await store.eval(script, [key], [value, ...args])) > 0;
+    }
+    if ((await store.get(key)) !== value) return false;
+    await fallback();
+    return true;
+  }
+
+  /**
+   * Tries to take the lock once.
+   * @param {string} name
+   * @param {{ ttlMs?: number }} [options]
+   * @returns {Promise<Lock|null>} null if someone else holds it.
+   */
+  async function acquire(name, { ttlMs: lockTtlMs = ttlMs } = {}) {
+    const k = keys(name);
+    const nonce = crypto.randomUUID();
+    const claimed = await store.set(k.lock, `pending:${nonce}`, { nx: true, px: lockTtlMs });
+    if (!claimed) return null;
+    const token = Number(await store.incr(k.fence));
+    const value = `${token}:${nonce}`;
+    await store.set(k.lock, value, { px: lockTtlMs });
+
+    /** @typedef {typeof lock} Lock */
+    const lock = {
+      name,
+      token,
+      /** Extends the lock; false if it is no longer ours. */
+      extend(extendMs = lockTtlMs) {
+        return compareAnd(EXTEND_SCRIPT, k.lock, value, [extendMs], () => store.set(k.lock, value, { px: extendMs }));
+      },
+      /** Releases the lock if it is still ours. */
+      release() {
+        return compareAnd(RELEASE_SCRIPT, k.lock, value, [], () => store.del(k.lock));
+      },
+      /** Throws LockLostError if a newer holder has acquired the lock since. */
+      async assertHeld() {
+        if (Number(await store.get(k.fence)) !== token) throw new LockLostError(name, token);
+      },
+    };
+    return lock;
+  }
+
+  /**
+   * Runs `fn` while holding the lock and keeps extending it until `fn` settles.
+   * If the lock is taken, `request` is parked and runs once more after the
+   * current holder is done – also if the current run fails; the latest parked
+   * request wins. If a run fails, the parked requests still run and the first
+   * error is thrown afterwards.
+   * @template T
+   * @param {string} name
+   * @param {any} request  JSON-serializable input for `fn`.
+   * @param {(request: any, lock: Lock) => Promise<T>} fn
+   * @returns {Promise<{ status: 'done', runs: number, result: T } | { status: 'deferred' }>}
+   */
+  async function runExclusive(name, request, fn) {
+    const k = keys(name);
+    const parkTtlMs = ttlMs * 2;
+    let lock = await acquire(name);
+    if (!lock) {
+      await store.set(k.rerun, request, { px: parkTtlMs });
+      // The holder may have checked for parked requests just before we parked
+      // ours, so try once more before leaving it to them.
+      lock = await acquire(name);
+      if (!lock) return { status: 'deferred' };
+      request = (await store.getdel(k.rerun)) ?? request;
+    }
+
+    let runs = 0;
+    let result;
+    let failure = null;
+    while (lock) {
+      // A parked request must outlive the run it waits for, however long that takes.
+      const heartbeat = () => Promise.all([lock.extend(), store.pexpire(k.rerun, parkTtlMs)]);
+      const timer = setInterval(() => {
+        heartbeat().catch(err => console.warn(`Lock "${name}": extension failed (${err.message}).`));
+      }, Math.max(1000, Math.floor(ttlMs / 3)));
+      timer.unref?.();
+      try {
+        result = await fn(request, lock);
+        runs++;
+      } catch (err) {
+        failure = failure || err;
+      } finally {
+        clearInterval(timer);
+        await lock.release().catch(err => console.warn(`Lock "${name}": release failed (${err.message}).`));
+      }
+
+      lock = null;
+      if (await store.get(k.rerun)) {
+        lock = await acquire(name);
+        // If that failed, the new holder will pick the parked request up.
+        if (lock) request = (await store.getdel(k.rerun)) ?? request;
+        if (lock) console.log(`Lock "${name}": re-running for a request that arrived during the previous run.`);
+      }
+    }
+    if (failure) throw failure;
+    return { status: 'done', runs, result };
+  }
+
+  return {
+    acquire,
+    runExclusive,
+  };
+}
+
+/**
+ * Wraps the given methods of `target` so that each call first verifies the
+ * lock is still held – writes of a holder that lost its lock are stopped.
+ * @template T
+ * @param {T} target
+ * @param {{ assertHeld: () => Promise<void> }} lock
+ * @param {string[]} methods
+ * @returns {T}
+ */
+function fence(target, lock, methods) {
+  const fenced = { ...target };
+  for (const method of methods) {
+    fenced[method] = async (...args) => {
+      await lock.assertHeld();
+      return target[method](...args);
+    };
+  }
+  return fenced;
+}
+
+module.exports = {
+  LockLostError,
+  createLockManager,
+  fence,
+};
@@ -0,0 +1,238 @@
+// lib/mappings.js
+// Declarative CRM → Webflow field mappings, one definition per collection.
+// Both sync scripts build Webflow `fieldData` exclusively from these
+// definitions, so adding or renaming a field is a change in this file only.
+//
+// Collection definition:
+//   key, label      Collection key (as in MAPPINGS) and display name.
+//   entity          entityName the CRM webhook sends for records of this collection.
+//   logicalName     Dataverse table (PrimaryEntityName of native webhooks).
+//   entitySet       Web API entity set of the table, for crm.query() (delta sync).
+//   watchAttributes Table attributes besides the mapped ones whose change requires a sync.
+//   crmIdAttribute  CRM primary key attribute; crmIdSlug is the Webflow field holding it.
+//   slugDateAttribute  Optional CRM date appended to the slug when the plain slug is taken.
+//
+// Field definition:
+//   slug       Webflow field slug.
+//   crm        CRM attribute read from the record returned by the m8_Get* actions.
+//   type       Webflow field type the value is written as (PlainText, RichText, Number,
+//              Switch, DateTime, MultiReference); checked against the live schema by lib/schema.js.
+//   transform  Optional (value, record) => value.
+//   required   The record is rejected if the mapped value is empty.
+//   reference  Key of the mapping whose items this (Multi)Reference field points to.
+
+const { slugify } = require('./slug');
+
+class MappingError extends Error {
+  constructor(message, { collection, crmId, missing }) {
+    super(message);
+    this.name = 'MappingError';
+    this.collection = collection;
+    this.crmId = crmId;
+    this.missing = missing;
+  }
+}
+
+const MAPPINGS = {
+  LOCATIONS: {
+    key: 'LOCATIONS',
+    entity: 'EventLocation',
+    logicalName: 'm8_eventlocation',
+    entitySet: 'm8_eventlocations',
+    watchAttributes: ['statecode', 'statuscode'],
+    label: 'Location',
+    crmIdAttribute: 'm8_eventlocationid',
+    crmIdSlug: 'eventlocationid',
+    fields: [
+      { slug: 'name', crm: 'm8_name', type: 'PlainText', required: true },
+      { slug: 'slug', crm: 'm8_name', type: 'PlainText', transform: slugify, required: true },
+      { slug: 'eventlocationid', crm: 'm8_eventlocationid', type: 'PlainText', required: true },
+      { slug: 'address1city', crm: 'm8_address1city', type: 'PlainText' },
+      { slug: 'address1country', crm: 'm8_address1country', type: 'PlainText' },
+    ],
+  },
+
+  CATEGORIES: {
+    key: 'CATEGORIES',
+    entity: 'EventCategory',
+    logicalName: 'm8_eventcategory',
+    entitySet: 'm8_eventcategories',
+    watchAttributes: ['statecode', 'statuscode'],
+    label: 'Category',
+    crmIdAttribute: 'm8_eventcategoryid',
+    crmIdSlug: 'category-id',
+    fields: [
+      { slug: 'name', crm: 'm8_name', type: 'PlainText', required: true },
+      { slug: 'slug', crm: 'm8_name', type: 'PlainText', transform: slugify, required: true },
+      { slug: 'category-id', crm: 'm8_eventcategoryid', type: 'PlainText', required: true },
+    ],
+  },
+
+  AIRPORTS: {
+    key: 'AIRPORTS',
+    entity: 'Airport',
+    logicalName: 'm8_airport',
+    entitySet: 'm8_airports',
+    watchAttributes: ['statecode', 'statuscode'],
+    label: 'Airport',
+    crmIdAttribute: 'm8_airportid',
+    crmIdSlug: 'airportid',
+    fields: [
+      { slug: 'name', crm: 'm8_name', type: 'PlainText', required: true },
+      { slug: 'slug', crm: 'm8_name', type: 'PlainText', transform: slugify, required: true },
+      { slug: 'airportid', crm: 'm8_airportid', type: 'PlainText', required: true },
+      { slug: 'iataairport', crm: 'm8_iataairport', type: 'PlainText' },
+      { slug: 'iataairportcode', crm: 'm8_iataairportcode', type: 'PlainText' },
+      { slug: 'note', crm: 'm8_note', type: 'PlainText' },
+      { slug: 'address1city', crm: 'm8_address1city', type: 'PlainText' },
+      { slug: 'address1country', crm: 'm8_address1country', type: 'PlainText' },
+    ],
+  },
+
+  EVENTS: {
+    key: 'EVENTS',
+    entity: 'Event',
+    logicalName: 'm8_event',
+    entitySet: 'm8_events',
+    watchAttributes: ['statecode', 'statuscode'],
+    label: 'Event',
+    crmIdAttribute: 'm8_eventid',
+    crmIdSlug: 'eventid',
+    slugDateAttribute: 'm8_startdate',
+    fields: [
+      { slug: 'name', crm: 'm8_name', type: 'PlainText', required: true },
+      { slug: 'slug', crm: 'm8_name', type: 'PlainText', transform: slugify, required: true },
+      { slug: 'description-3', crm: 'm8_description', type: 'RichText' },
+      { slug: 'eventid', crm: 'm8_eventid', type: 'PlainText', required: true },
+      { slug: 'startdate', crm: 'm8_startdate', type: 'DateTime' },
+      { slug: 'enddate', crm: 'm8_enddate', type: 'DateTime' },
+      { slug: 'startingamount', crm: 'm8_startingamount', type: 'Number' },
+      { slug: 'drivingdays', crm: 'm8_drivingdays', type: 'Number' },
+      { slug: 'eventbookingstatuscode', crm: 'm8_eventbookingstatuscode', type: 'Number' },
+      { slug: 'eventbookingpercentage', crm: 'm8_eventbookingpercentage', type: 'Number' },
+      { slug: 'isflightincluded', crm: 'm8_isflightincluded', type: 'Switch' },
+      { slug: 'iseventpublished', crm: 'm8_iseventpublished', type: 'Switch' },
+      { slug: 'isaccommodationandcateringincluded', crm: 'm8_isaccommodationandcateringincluded', type: 'Switch' },
+      { slug: 'isfullybooked', crm: 'm8_isfullybooked', type: 'Switch' },
+      { slug: 'isfullybookedboleantext', crm: 'm8_isfullybooked', type: 'PlainText', transform: v => (v ? 'true' : 'false') },
+      { slug: 'availablevehicles', crm: 'm8_availablevehicles', type: 'Number' },
+      { slug: 'categorie', crm: 'm8_eventcategories', type: 'MultiReference', reference: 'CATEGORIES' },
+      { slug: 'airport', crm: 'm8_airports', type: 'MultiReference', reference: 'AIRPORTS' },
+      { slug: 'location', crm: 'm8_eventlocation', type: 'MultiReference', reference: 'LOCATIONS' },
+    ],
+  },
+};
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+const toArray = value => (Array.isArray(value) ? value : isEmpty(value) ? [] : [value]);
+
+/**
+ * Returns the CRM ID of a record for the given mapping.
+ * @param {object} mapping
+ * @param {object} record
+ */
+function getCrmId(mapping, record) {
+  return record ? record[mapping.crmIdAttribute] : undefined;
+}
+
+/**
+ * Lists the related CRM records a record references, grouped by field, so the
+ * sync can upsert them before mapping the record itself.
+ * @param {object} mapping
+ * @param {object} record
+ * @returns {Array<{ field: object, target: object, records: object[] }>}
+ */
+function getReferencedRecords(mapping, record) {
+  return mapping.fields
+    .filter(field => field.reference)
+    .map(field => ({
+      field,
+      target: MAPPINGS[field.reference],
+      records: toArray(record[field.crm]).filter(ref => getCrmId(MAPPINGS[field.reference], ref)),
+    }));
+}
+
+/**
+ * Builds Webflow fieldData for a CRM record.
+ * @param {object} mapping  One of MAPPINGS.
+ * @param {object} record   CRM record.
+ * @param {object} [options]
+ * @param {(targetKey: string, crmId: string) => string|null|undefined} [options.resolveReference]
+ *   Returns the Webflow item ID for a referenced CRM record.
+ * @returns {Object<string, any>}
+ * @throws {MappingError} If a required field is empty.
+ */
+function mapRecord(mapping, record, { resolveReference = () => null } = {}) {
+  const fieldData = {};
+  const missing = [];
+
+  for (const field of mapping.fields) {
+    const raw = record[field.crm];
+    let value;
+    if (field.reference) {
+      const target = MAPPINGS[field.reference];
+      value = toArray(raw)
+        .map(ref => resolveReference(field.reference, getCrmId(target, ref)))
+        .filter(Boolean);
+    } else {
+      value = field.transform ? field.transform(raw, record) : raw;
+    }
+
+    if (field.required && isEmpty(value)) {
+      missing.push(field.slug);
+    }
+    fieldData[field.slug] = value;
+  }
+
+  if (missing.length) {
+    const crmId = getCrmId(mapping, record);
+    throw new MappingError(
+      `${mapping.label} ${crmId || '(no id)'} is missing required field(s): ${missing.join(', ')}`,
+      { collection: mapping.key, crmId, missing },
+    );
+  }
+  return fieldData;
+}
+
+/**
+ * @param {string} entityName  entityName of a CRM webhook, e.g. "EventLocation".
+ * @returns {object|undefined} The mapping of the collection that entity syncs to.
+ */
+function getMappingForEntity(entityName) {
+  return Object.values(MAPPINGS).find(mapping => mapping.entity === entityName);
+}
+
+/**
+ * @param {string} logicalName  Dataverse table name, e.g. "m8_eventlocation".
+ * @returns {object|undefined}
+ */
+function getMappingForLogicalName(logicalName) {
+  return Object.values(MAPPINGS).find(mapping => mapping.logicalName === logicalName);
+}
+
+/**
+ * Dataverse attributes whose change is relevant for the collection: the mapped
+ * attributes (for references also the "<name>id" lookup form) and watchAttributes.
+ * @param {object} mapping
+ * @returns {Set<string>}
+ */
+function getWatchedAttributes(mapping) {
+  const attributes = new Set(mapping.watchAttributes || []);
+  for (const field of mapping.fields) {
+    attributes.add(field.crm);
+    if (field.reference) attributes.add(`${field.crm}id`);
+  }
+  return attributes;
+}
+
+module.exports = {
+  MAPPINGS,
+  MappingError,
+  getCrmId,
+  getReferencedRecords,
+  getMappingForEntity,
+  getMappingForLogicalName,
+  getWatchedAttributes,
+  mapRecord,
+};
@@ -0,0 +1,133 @@
+// lib/orphans.js
+// Finds Webflow items whose CRM record no longer exists (or is no longer
+// published) and cleans them up according to a policy:
+//   unpublish  remove from the live site, keep as draft (default)
+//   archive    unpublish and archive in the CMS
+//   delete     delete the CMS item
+//   none       only report
+// Reference items (locations, categories, airports) count as orphaned when no
+// published CRM event references them any more.
+
+const { MAPPINGS, getCrmId, getReferencedRecords } = require('./mappings');
+const { isLive } = require('./sync');
+
+const ORPHAN_POLICIES = ['unpublish', 'archive', 'delete', 'none'];
+
+class OrphanThresholdError extends Error {
+  constructor(message, { violations }) {
+    super(message);
+    this.name = 'OrphanThresholdError';
+    this.violations = violations;
+  }
+}
+
+/**
+ * @param {object[]} crmEvents  All published events returned by the CRM.
+ * @returns {Object<string, Set<string>>} CRM IDs that must stay, per collection.
+ */
+function collectActiveCrmIds(crmEvents) {
+  const active = {};
+  for (const key of Object.keys(MAPPINGS)) active[key] = new Set();
+  for (const ev of crmEvents) {
+    active.EVENTS.add(getCrmId(MAPPINGS.EVENTS, ev));
+    for (const { target, records } of getReferencedRecords(MAPPINGS.EVENTS, ev)) {
+      records.forEach(ref => active[target.key].add(getCrmId(target, ref)));
+    }
+  }
+  return active;
+}
+
+/**
+ * Items that already are in the state the policy would put them in are not
+ * reported, so repeated runs do not keep "removing" the same items.
+ */
+function needsCleanup(item, policy) {
+  if (policy === 'unpublish') return isLive(item);
+  if (policy === 'archive') return !item.isArchived;
+  return true;
+}
+
+/**
+ * @param {object} params
+ * @param {object[]} params.crmEvents
+ * @param {Object<string, Map<string, import('./webflow').WebflowItem>>} params.caches  CRM ID → item, per collection.
+ * @param {string} params.policy
+ * @returns {Object<string, import('./webflow').WebflowItem[]>}
+ */
+function findOrphans({ crmEvents, caches, policy }) {
+  const active = collectActiveCrmIds(crmEvents);
+  const orphans = {};
+  for (const [key, cache] of Object.entries(caches)) {
+    orphans[key] = [];
+    for (const [crmId, item] of cache) {
+      // Items without a CRM ID were created by hand in Webflow – leave them alone.
+      if (!crmId || active[key].has(crmId)) continue;
+      if (needsCleanup(item, policy)) orphans[key].push(item);
+    }
+  }
+  return orphans;
+}
+
+/**
+ * Throws if any collection would lose more than `maxPercent` of its items.
+ * @param {Object<string, object[]>} orphans
+ * @param {Object<string, { size: number }>} caches  Items per collection; only their number is read.
+ * @param {number} maxPercent
+ */
+function assertOrphanThreshold(orphans, caches, maxPercent) {
+  const violations = Object.entries(orphans)
+    .map(([key, items]) => {
+      const total = caches[key].size;
+      const percent = total ? (items.length / total) * 100 : 0;
+      return { collection: key, orphans: items.length, total, percent };
+    })
+    .filter(v => v.orphans > 0 && v.percent > maxPercent);
+
+  if (violations.length) {
+    const details = violations
+      .map(v => `${v.collection}: ${v.orphans}/${v.total} (${v.percent.toFixed(1)}%)`)
+      .join(', ');
+    throw new OrphanThresholdError(
+      `Orphan cleanup aborted: it would remove more than ${maxPercent}% of items (${details}).`,
+      { violations },
+    );
+  }
+}
+
+/**
+ * Applies the policy to every orphaned item.
+ * @param {object} params
+ * @param {ReturnType<import('./webflow').createWebflowClient>} params.client
+ * @param {Object<string, string>} params.collectionIds
+ * @param {Object<string, object[]>} params.orphans
+ * @param {string} params.policy
+ * @param {object} params.stats
+ * @param {ReturnType<import('./id-index').createIdIndex>|null} [params.index] Forgets deleted items.
+ */
+async function removeOrphans({ client, collectionIds, orphans, policy, stats, index = null }) {
+  // Events first, so reference items are no longer linked from live events.
+  const order = ['EVENTS', ...Object.keys(orphans).filter(k => k !== 'EVENTS')];
+  for (const key of order) {
+    const collectionId = collectionIds[key];
+    for (const item of orphans[key] || []) {
+      const label = `${key} ${item.fieldData?.name || ''} (${item.id})`;
+      if (policy === 'delete') {
+        await client.deleteItem(collectionId, item.id);
+        if (index) await index.remove(key, item.fieldData?.[MAPPINGS[key].crmIdSlug]);
+      } else {
+        if (isLive(item)) await client.unpublishItem(collectionId, item.id);
+        if (policy === 'archive') await client.updateItem(collectionId, item.id, { isArchived: true });
+      }
+      console.log(`   ✗ ${policy}: ${label}`);
+      stats[key].orphaned++;
+    }
+  }
+}
+
+module.exports = {
+  ORPHAN_POLICIES,
+  OrphanThresholdError,
+  findOrphans,
+  assertOrphanThreshold,
+  removeOrphans,
+};
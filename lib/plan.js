@@ -0,0 +1,339 @@
+// lib/plan.js
+// Dry-run support for the sync scripts.
+//
+// createPlanningClient() wraps a Webflow client: reads go to Webflow as usual,
+// but every mutating call (create/update/delete/publish/unpublish) is only
+// recorded as an operation. Items created during planning get placeholder IDs
+// ("$new:1") so that later operations – e.g. an event referencing a new
+// location – can refer to them. applyPlan() replays a saved plan against the
+// real client and substitutes the placeholders with the IDs Webflow returns.
+
+const fs = require('fs');
+const { diffFieldData, getCollectionIds, getCollectionNames } = require('./sync');
+const { getWebflowClient } = require('./webflow');
+const { MAPPINGS } = require('./mappings');
+const { getIdIndex } = require('./id-index');
+
+const PLAN_VERSION = 1;
+const PLACEHOLDER = /^\$new:\d+$/;
+
+/**
+ * @typedef {object} PlanOperation
+ * @property {'create'|'update'|'delete'|'publish'|'unpublish'} op
+ * @property {string} collectionId
+ * @property {string} [itemId]
+ * @property {string[]} [itemIds]
+ * @property {string} [ref]        Placeholder ID of a created item.
+ * @property {object} [body]       Request body for create/update.
+ * @property {string} [name]       Item name, for display.
+ * @property {Array<{ field: string, from: any, to: any }>} [diff]
+ */
+
+/**
+ * @typedef {object} SyncPlan
+ * @property {number} version
+ * @property {string} source     e.g. "sync_full" or "sync_single:<eventId>"
+ * @property {string} createdAt
+ * @property {object} [stats]
+ * @property {PlanOperation[]} ops
+ */
+
+/**
+ * @param {ReturnType<import('./webflow').createWebflowClient>} client
+ */
+function createPlanningClient(client) {
+  /** @type {PlanOperation[]} */
+  const ops = [];
+  const seen = new Map();
+  let nextId = 0;
+
+  const remember = (collectionId, item) => {
+    if (item && item.id) seen.set(`${collectionId}/${item.id}`, item);
+    return item;
+  };
+
+  return {
+    ...client,
+
+    async listAllItems(collectionId, options) {
+      const items = await client.listAllItems(collectionId, options);
+      items.forEach(item => remember(collectionId, item));
+      return items;
+    },
+
+    async listItems(collectionId, options) {
+      const page = await client.listItems(collectionId, options);
+      (page?.items || []).forEach(item => remember(collectionId, item));
+      return page;
+    },
+
+    async getItem(collectionId, itemId, options) {
+      const created = seen.get(`${collectionId}/${itemId}`);
+      if (PLACEHOLDER.test(itemId) && created) return created;
+      return remember(collectionId, await client.getItem(collectionId, itemId, options));
+    },
+
+    async findItemBySlug(collectionId, slug, options) {
+      // Items created or renamed earlier in the plan are not in Webflow yet.
+      for (const [key, item] of seen) {
+        if (key.startsWith(`${collectionId}/`) && item.fieldData?.slug === slug) return item;
+      }
+      const item = await client.findItemBySlug(collectionId, slug, options);
+      const planned = item && seen.get(`${collectionId}/${item.id}`);
+      return planned ? (planned.fieldData?.slug === slug ? planned : null) : remember(collectionId, item);
+    },
+
+    async createItem(collectionId, { fieldData, isDraft = false, isArchived = false }) {
+      const ref = `$new:${++nextId}`;
+      const item = { id: ref, fieldData, isDraft, isArchived, lastPublished: null };
+      ops.push({ op: 'create', collectionId, ref, name: fieldData.name, body: { isArchived, isDraft, fieldData } });
+      return remember(collectionId, item);
+    },
+
+    async updateItem(collectionId, itemId, body) {
+      const before = seen.get(`${collectionId}/${itemId}`);
+      const diff = body.fieldData ? diffFieldData(body.fieldData, before?.fieldData) : [];
+      for (const flag of ['isArchived', 'isDraft']) {
+        if (flag in body && before && Boolean(before[flag]) !== body[flag]) {
+          diff.push({ field: flag, from: Boolean(before[flag]), to: body[flag] });
+        }
+      }
+      ops.push({ op: 'update', collectionId, itemId, name: before?.fieldData?.name, body, diff });
+      if (before) remember(collectionId, { ...before, ...body, fieldData: { ...before.fieldData, ...body.fieldData } });
+      return { id: itemId, ...body };
+    },
+
+    async deleteItem(collectionId, itemId) {
+      ops.push({ op: 'delete', collectionId, itemId, name: seen.get(`${collectionId}/${itemId}`)?.fieldData?.name });
+    },
+
+    async publishItems(collectionId, itemIds) {
+      ops.push({ op: 'publish', collectionId, itemIds });
+    },
+
+    async unpublishItem(collectionId, itemId) {
+      ops.push({ op: 'unpublish', collectionId, itemId, name: seen.get(`${collectionId}/${itemId}`)?.fieldData?.name });
+    },
+
+    /** @returns {PlanOperation[]} */
+    getOperations() {
+      return ops;
+    },
+  };
+}
+
+/**
+ * @param {PlanOperation[]} ops
+ * @param {object} meta
+ * @returns {SyncPlan}
+ */
+function buildPlan(ops, { source, stats }) {
+  return { version: PLAN_VERSION, source, createdAt: new Date().toISOString(), stats, ops };
+}
+
+const show = value => (value === undefined ? '∅' : JSON.stringify(value));
+
+/**
+ * Renders a human-readable, field-level summary of a plan.
+ * @param {SyncPlan} plan
+ * @param {Object<string, string>} [collectionNames] Collection ID → display name.
+ * @returns {string}
+ */
+function formatPlan(plan, collectionNames = {}) {
+  const col = id => collectionNames[id] || id;
+  const lines = [`📋 Dry-run plan from ${plan.source} (${plan.ops.length} operation(s))`];
+  for (const op of plan.ops) {
+    const name = op.name ? ` “${op.name}”` : '';
+    switch (op.op) {
+      case 'create':
+        lines.push(`  + create    ${col(op.collectionId)}${name} (${op.ref})`);
+        for (const [field, value] of Object.entries(op.body.fieldData)) {
+          lines.push(`      ${field}: ${show(value)}`);
+        }
+        break;
+      case 'update':
+        lines.push(`  ~ update    ${col(op.collectionId)} ${op.itemId}${name}`);
+        for (const change of op.diff || []) {
+          lines.push(`      ${change.field}: ${show(change.from)} → ${show(change.to)}`);
+        }
+        break;
+      case 'publish':
+        lines.push(`  ↑ publish   ${col(op.collectionId)} ${op.itemIds.join(', ')}`);
+        break;
+      case 'unpublish':
+        lines.push(`  ↓ unpublish ${col(op.collectionId)} ${op.itemId}${name}`);
+        break;
+      case 'delete':
+        lines.push(`  ✗ delete    ${col(op.collectionId)} ${op.itemId}${name}`);
+        break;
+      default:
+        lines.push(`  ? ${op.op}`);
+    }
+  }
+  if (!plan.ops.length) lines.push('  (no changes)');
+  return lines.join('\n');
+}
+
+function writePlanFile(plan, file) {
+  fs.writeFileSync(file, JSON.stringify(plan, null, 2), 'utf8');
+  console.log(`\n📝 Plan written to ${file}`);
+}
+
+function readPlanFile(file) {
+  const plan = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (plan.version !== PLAN_VERSION || !Array.isArray(plan.ops)) {
+    throw new Error(`${file} is not a sync plan (expected version ${PLAN_VERSION}).`);
+  }
+  return plan;
+}
+
+/**
+ * Ends a dry run: prints the recorded plan, optionally writes it to a file and
+ * returns it.
+ * @param {ReturnType<typeof createPlanningClient>} planner
+ * @param {{ source: string, stats?: object, planFile?: string|null }} meta
+ * @returns {SyncPlan}
+ */
+function finishDryRun(planner, { source, stats, planFile = null }) {
+  const plan = buildPlan(planner.getOperations(), { source, stats });
+  console.log(`\n${formatPlan(plan, getCollectionNames())}`);
+  if (planFile) writePlanFile(plan, planFile);
+  return plan;
+}
+
+/** The item, or null if it is no longer in Webflow. */
+async function getItemIfExists(client, collectionId, itemId) {
+  try {
+    return await client.getItem(collectionId, itemId);
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * @typedef {object} SkippedOperation
+ * @property {string} collectionId
+ * @property {string} itemId
+ * @property {string} [name]
+ * @property {string} reason
+ */
+
+/**
+ * Executes a plan against the real Webflow client, in order. An update is
+ * skipped if the item has changed in Webflow since the plan was made, i.e. a
+ * field no longer has the value its diff starts from; the item is then left
+ * out of later publishes, too.
+ * @param {SyncPlan} plan
+ * @param {ReturnType<import('./webflow').createWebflowClient>} client
+ * @param {ReturnType<import('./id-index').createIdIndex>|null} [index] Kept in step with creates/deletes.
+ * @returns {Promise<{ applied: number, skipped: SkippedOperation[], ids: Object<string, string> }>}
+ *   `ids` maps placeholders to real IDs.
+ */
+async function applyPlan(plan, client, index = null) {
+  const ids = {};
+  /** @type {SkippedOperation[]} */
+  const skipped = [];
+  const isSkipped = (collectionId, itemId) => skipped.some(s => s.collectionId === collectionId && s.itemId === itemId);
+  const names = getCollectionNames();
+  const crmIdOf = (op, fieldData) => fieldData?.[MAPPINGS[names[op.collectionId]]?.crmIdSlug];
+  const resolve = value => {
+    if (typeof value === 'string' && PLACEHOLDER.test(value)) {
+      if (!ids[value]) throw new Error(`Plan refers to ${value} before it was created.`);
+      return ids[value];
+    }
+    if (Array.isArray(value)) return value.map(resolve);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolve(v)]));
+    }
+    return value;
+  };
+
+  const findDrift = (op, current) => (op.diff || [])
+    .filter(({ field, from }) => (field === 'isArchived' || field === 'isDraft'
+      ? Boolean(current[field]) !== from
+      : diffFieldData({ [field]: resolve(from) }, current.fieldData).length > 0))
+    .map(({ field }) => field);
+
+  let applied = 0;
+  for (const op of plan.ops) {
+    switch (op.op) {
+      case 'create': {
+        const created = await client.createItem(op.collectionId, resolve(op.body));
+        ids[op.ref] = created.id;
+        const crmId = crmIdOf(op, op.body.fieldData);
+        if (index && crmId) await index.set(names[op.collectionId], crmId, created.id);
+        break;
+      }
+      case 'update': {
+        const itemId = resolve(op.itemId);
+        // Items created by this plan cannot have been changed by anyone else.
+        if (!PLACEHOLDER.test(op.itemId)) {
+          const current = await getItemIfExists(client, op.collectionId, itemId);
+          const drift = current ? findDrift(op, current) : [];
+          if (!current || drift.length) {
+            const reason = current ? `changed in Webflow since the plan was made (${drift.join(', ')})` : 'no longer in Webflow';
+            skipped.push({ collectionId: op.collectionId, itemId, name: op.name, reason });
+            continue;
+          }
+        }
+        await client.updateItem(op.collectionId, itemId, resolve(op.body));
+        break;
+      }
+      case 'delete': {
+        const itemId = resolve(op.itemId);
+        const item = index ? await getItemIfExists(client, op.collectionId, itemId) : null;
+        try {
+          await client.deleteItem(op.collectionId, itemId);
+        } catch (err) {
+          if (err.status !== 404) throw err;
+          console.warn(`    ⚠️ Item ${itemId} was already gone from Webflow.`);
+        }
+        const crmId = crmIdOf(op, item?.fieldData);
+        if (crmId) await index.remove(names[op.collectionId], crmId);
+        break;
+      }
+      case 'publish': {
+        const itemIds = resolve(op.itemIds).filter(id => !isSkipped(op.collectionId, id));
+        if (!itemIds.length) continue;
+        await client.publishItems(op.collectionId, itemIds);
+        break;
+      }
+      case 'unpublish':
+        await client.unpublishItem(op.collectionId, resolve(op.itemId));
+        break;
+      default:
+        throw new Error(`Unknown plan operation "${op.op}".`);
+    }
+    applied++;
+  }
+  return { applied, skipped, ids };
+}
+
+/**
+ * Loads a plan written by `--dry-run --plan=<file>`, prints it and applies it.
+ * @param {string} file
+ * @param {ReturnType<import('./webflow').createWebflowClient>} [client]
+ */
+async function applyPlanFile(file, client = getWebflowClient()) {
+  const plan = readPlanFile(file);
+  console.log(formatPlan(plan, getCollectionNames()));
+  console.log('\n▶ Applying plan…');
+  const result = await applyPlan(plan, client, getIdIndex({ client, collectionIds: getCollectionIds() }));
+  for (const op of result.skipped) {
+    console.warn(`⚠️ Skipped the update of ${op.itemId}${op.name ? ` “${op.name}”` : ''}: ${op.reason}.`);
+  }
+  console.log(`✅  Applied ${result.applied} operation(s)${result.skipped.length ? `, skipped ${result.skipped.length}` : ''}.`);
+  return result;
+}
+
+module.exports = {
+  createPlanningClient,
+  buildPlan,
+  formatPlan,
+  finishDryRun,
+  writePlanFile,
+  readPlanFile,
+  applyPlan,
+  applyPlanFile,
+};
@@ -0,0 +1,295 @@
+// lib/queue.js
+// Durable queue for sync jobs in Vercel KV. Webhooks enqueue a job instead of
+// syncing fire-and-forget, and the worker (api/sync-worker.js) drains it:
+// failed jobs are retried with exponential backoff and, after maxAttempts,
+// moved to a dead-letter list where they can be inspected, retried or purged
+// (scripts/dead_letters.js, api/admin/dead-letters.js).
+//
+//   <prefix>:jobs        hash   job ID → job
+//   <prefix>:pending     zset   job ID, scored by the time it is due
+//   <prefix>:processing  zset   job ID, scored by when its claim expires
+//   <prefix>:dead        hash   job ID → job (with the last error)
+//   <prefix>:records     hash   "<entity>:<recordId>" → ID of its latest job
+//
+// Bursts of changes to the same record collapse into one job: while a job
+// for the record is still pending, enqueue({ collapse: true }) only updates
+// its change type (the latest one wins) instead of adding another job.
+
+const crypto = require('crypto');
+const { getKv, createMemoryStore } = require('./kv');
+const { computeBackoff } = require('./retry');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_VISIBILITY_MS = 5 * 60 * 1000;
+
+/**
+ * @typedef {object} SyncJob
+ * @property {string} id
+ * @property {string} entity       e.g. "Event"
+ * @property {string} recordId
+ * @property {string} changeType   Create | Update | Delete
+ * @property {string} [source]     What enqueued the job (webhook, reconcile, …), for the run history.
+ * @property {number} attempts     Failed attempts so far.
+ * @property {string} createdAt
+ * @property {string} [lastError]
+ * @property {string} [failedAt]
+ * @property {number} [collapsed]  Number of later changes merged into this job.
+ */
+
+let memoryStore = null;
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.store]  KV-compatible store. Defaults to Vercel KV or an in-process store.
+ * @param {string} [options.prefix]
+ * @param {number} [options.maxAttempts]   Attempts before a job is dead-lettered.
+ * @param {number} [options.baseDelayMs]   First retry delay; doubles per attempt.
+ * @param {number} [options.maxDelayMs]
+ * @param {number} [options.visibilityMs]  A claimed job that is neither completed nor failed
+ *   within this time (e.g. because the function was killed) becomes due again.
+ * @param {() => number} [options.now]
+ */
+function createJobQueue({
+  store = null,
+  prefix = 'queue:sync',
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelayMs = 30 * 1000,
+  maxDelayMs = 60 * 60 * 1000,
+  visibilityMs = DEFAULT_VISIBILITY_MS,
+  now = Date.now,
+} = {}) {
+  if (!store) {
+    store = getKv();
+    if (!store) {
+      memoryStore = memoryStore || createMemoryStore();
+      store = memoryStore;
+    }
+  }
+  const JOBS = `${prefix}:jobs`;
+  const PENDING = `${prefix}:pending`;
+  const PROCESSING = `${prefix}:processing`;
+  const DEAD = `${prefix}:dead`;
+  const RECORDS = `${prefix}:records`;
+
+  const recordKey = job => `${job.entity}:${job.recordId}`;
+  const isPending = async id => (await store.zscore(PENDING, id)) !== null;
+
+  async function forgetRecord(job) {
+    if ((await store.hget(RECORDS, recordKey(job))) === job.id) {
+      await store.hdel(RECORDS, recordKey(job));
+    }
+  }
+
+  /**
+   * Merges a change into the record's pending job, if there is one.
+   * @returns {Promise<SyncJob|null>}
+   */
+  async function collapseInto({ entity, recordId, changeType }) {
+    const id = await store.hget(RECORDS, recordKey({ entity, recordId }));
+    if (!id || !(await isPending(id))) return null;
+    const job = await store.hget(JOBS, id);
+    if (!job) return null;
+    const merged = { ...job, changeType, collapsed: (job.collapsed || 0) + 1 };
+    await store.hset(JOBS, { [id]: merged });
+    // A worker that claimed the job meanwhile may have read the old change
+    // type; a fresh job makes sure this change is not lost.
+    return (await isPending(id)) ? merged : null;
+  }
+
+  /**
+   * @param {{ entity: string, recordId: string, changeType: string, source?: string }} payload
+   * @param {{ delayMs?: number, collapse?: boolean }} [options]
+   *   `collapse` merges the change into a pending job for the same record.
+   * @returns {Promise<SyncJob>} The new job, or the pending job it was merged into.
+   */
+  async function enqueue({ entity, recordId, changeType, source }, { delayMs = 0, collapse = false } = {}) {
+    if (collapse) {
+      const merged = await collapseInto({ entity, recordId, changeType });
+      if (merged) return merged;
+    }
+    const job = {
+      id: crypto.randomUUID(),
+      entity,
+      recordId,
+      changeType,
+      ...(source && { source }),
+      attempts: 0,
+      createdAt: new Date(now()).toISOString(),
+    };
+    await store.hset(JOBS, { [job.id]: job });
+    await store.zadd(PENDING, { score: now() + delayMs, member: job.id });
+    await store.hset(RECORDS, { [recordKey(job)]: job.id });
+    return job;
+  }
+
+  /** Puts jobs whose claim has expired back into the pending set. */
+  async function recoverExpired() {
+    const expired = await store.zrange(PROCESSING, 0, now(), { byScore: true, offset: 0, count: 100 });
+    for (const id of expired) {
+      if (await store.zrem(PROCESSING, id)) {
+        await store.zadd(PENDING, { score: now(), member: id });
+      }
+    }
+    return expired.length;
+  }
+
+  /**
+   * Claims the next due job. The claim is exclusive: of several workers
+   * racing for the same job, only the one whose ZREM succeeds gets it.
+   * @returns {Promise<SyncJob|null>}
+   */
+  async function claim() {
+    for (;;) {
+      const [id] = await store.zrange(PENDING, 0, now(), { byScore: true, offset: 0, count: 1 });
+      if (!id) return null;
+      if (!(await store.zrem(PENDING, id))) continue;
+      const job = await store.hget(JOBS, id);
+      if (!job) continue;
+      await store.zadd(PROCESSING, { score: now() + visibilityMs, member: id });
+      return job;
+    }
+  }
+
+  /** @param {SyncJob} job */
+  async function complete(job) {
+    await store.zrem(PROCESSING, job.id);
+    await store.hdel(JOBS, job.id);
+    await forgetRecord(job);
+  }
+
+  /**
+   * Schedules a retry with backoff, or dead-letters the job after maxAttempts.
+   * @param {SyncJob} job
+   * @param {Error} error
+   * @returns {Promise<{ dead: boolean, retryInMs?: number }>}
+   */
+  async function fail(job, error) {
+    const failed = {
+      ...job,
+      attempts: job.attempts + 1,
+      lastError: error?.message || String(error),
+      failedAt: new Date(now()).toISOString(),
+    };
+    await store.zrem(PROCESSING, job.id);
+    if (failed.attempts >= maxAttempts) {
+      await store.hset(DEAD, { [job.id]: failed });
+      await store.hdel(JOBS, job.id);
+      await forgetRecord(job);
+      return { dead: true };
+    }
+    const retryInMs = Math.round(computeBackoff(failed.attempts, { baseDelayMs, maxDelayMs }));
+    await store.hset(JOBS, { [job.id]: failed });
+    await store.zadd(PENDING, { score: now() + retryInMs, member: job.id });
+    return { dead: false, retryInMs };
+  }
+
+  /**
+   * Processes due jobs one after another until none is left, `maxJobs` were
+   * processed or `deadline` (epoch ms) has passed.
+   * @param {(job: SyncJob) => Promise<void>} handler
+   * @param {{ maxJobs?: number, deadline?: number }} [options]
+   * @returns {Promise<{ processed: number, succeeded: number, retried: number, dead: number }>}
+   */
+  async function drain(handler, { maxJobs = Infinity, deadline = Infinity } = {}) {
+    const summary = { processed: 0, succeeded: 0, retried: 0, dead: 0 };
+    await recoverExpired();
+    while (summary.processed < maxJobs && now() < deadline) {
+      const job = await claim();
+      if (!job) break;
+      summary.processed++;
+      try {
+        await handler(job);
+        await complete(job);
+        summary.succeeded++;
+      } catch (err) {
+        const { dead, retryInMs } = await fail(job, err);
+        if (dead) {
+          console.error(`❌ Job ${job.id} (${job.entity} ${job.recordId}, ${job.changeType}) failed ${maxAttempts} times and was moved to the dead-letter list: ${err.message}`);
+          summary.dead++;
+        } else {
+          console.warn(`⚠️ Job ${job.id} (${job.entity} ${job.recordId}) failed (attempt ${job.attempts + 1}/${maxAttempts}): ${err.message}. Retrying in ${Math.round(retryInMs / 1000)}s.`);
+          summary.retried++;
+        }
+      }
+    }
+    return summary;
+  }
+
+  // --- Dead letters ---------------------------------------------------------
+
+  /** @returns {Promise<SyncJob[]>} Oldest failure first. */
+  async function listDead() {
+    const dead = Object.values((await store.hgetall(DEAD)) || {});
+    return dead.sort((a, b) => String(a.failedAt).localeCompare(String(b.failedAt)));
+  }
+
+  async function deadIds(id) {
+    if (id) return (await store.hget(DEAD, id)) ? [id] : [];
+    return (await listDead()).map(job => job.id);
+  }
+
+  /**
+   * Re-enqueues dead-lettered jobs with a fresh attempt count.
+   * @param {string} [id] Retry only this job; all if omitted.
+   * @returns {Promise<number>} Number of jobs re-enqueued.
+   */
+  async function retryDead(id) {
+    const ids = await deadIds(id);
+    for (const jobId of ids) {
+      const job = await store.hget(DEAD, jobId);
+      await store.hset(JOBS, { [jobId]: { ...job, attempts: 0 } });
+      await store.zadd(PENDING, { score: now(), member: jobId });
+      await store.hdel(DEAD, jobId);
+    }
+    return ids.length;
+  }
+
+  /**
+   * @param {string} [id] Purge only this job; all if omitted.
+   * @returns {Promise<number>} Number of jobs removed.
+   */
+  async function purgeDead(id) {
+    const ids = await deadIds(id);
+    if (ids.length) await store.hdel(DEAD, ...ids);
+    return ids.length;
+  }
+
+  async function stats() {
+    const [pending, processing, dead] = await Promise.all([
+      store.zcard(PENDING),
+      store.zcard(PROCESSING),
+      store.hgetall(DEAD).then(all => Object.keys(all || {}).length),
+    ]);
+    return { pending, processing, dead };
+  }
+
+  return {
+    enqueue,
+    claim,
+    complete,
+    fail,
+    drain,
+    recoverExpired,
+    listDead,
+    retryDead,
+    purgeDead,
+    stats,
+  };
+}
+
+/**
+ * The sync job queue, configured from the environment.
+ */
+function getSyncQueue() {
+  const maxAttempts = Number(process.env.SYNC_QUEUE_MAX_ATTEMPTS);
+  const baseDelaySeconds = Number(process.env.SYNC_QUEUE_RETRY_BASE_SECONDS);
+  return createJobQueue({
+    maxAttempts: maxAttempts > 0 ? maxAttempts : undefined,
+    baseDelayMs: baseDelaySeconds > 0 ? baseDelaySeconds * 1000 : undefined,
+  });
+}
+
+module.exports = {
+  createJobQueue,
+  getSyncQueue,
+};
@@ -0,0 +1,187 @@
+// lib/reconcile.js
+// Safety net for missed webhooks: compares the published CRM events with the
+// Webflow collections field by field, using the same mapping as the syncs,
+// and reports the drift:
+//   missing           published CRM events without a Webflow item
+//   stale             items whose mapped fields differ, or that are not live
+//   orphaned          items without a published CRM record (see lib/orphans.js)
+//   brokenReferences  references to CRM records that are not in Webflow, and
+//                     reference fields pointing to Webflow items that no longer exist
+// With self-healing, every drifted event is enqueued as a single-event sync
+// (lib/queue.js); the worker then fixes it like a webhook change. Orphaned
+// events are only enqueued under the rules of the full sync's orphan cleanup:
+// not with the policy 'none', and not beyond SYNC_ORPHAN_MAX_PERCENT. Orphaned
+// reference items are only reported – the full sync cleans them up.
+
+const { MAPPINGS, MappingError, getCrmId, getReferencedRecords } = require('./mappings');
+const { buildItemCache, diffFieldData, mapEvent, isLive } = require('./sync');
+const { findOrphans, assertOrphanThreshold } = require('./orphans');
+
+// The slug is chosen by the sync (lib/slug.js) and may carry a suffix, so it
+// is not compared.
+const IGNORED_FIELDS = ['slug'];
+
+const toArray = value => (Array.isArray(value) ? value : value ? [value] : []);
+
+/**
+ * @typedef {object} DriftReport
+ * @property {Array<{ crmId: string, name: string }>} missing
+ * @property {Array<{ crmId: string, itemId: string, name: string, fields: string[], live: boolean }>} stale
+ * @property {Object<string, Array<{ crmId: string, itemId: string, name: string }>>} orphaned  Per collection.
+ * @property {Array<{ crmId: string, itemId?: string, field: string, target: string, ref: string, problem: 'missing'|'dangling' }>} brokenReferences
+ *   `missing`: the referenced CRM record (ref = CRM ID) has no Webflow item;
+ *   `dangling`: the Webflow item references an item ID (ref) that does not exist.
+ * @property {Array<{ crmId: string, reason: string }>} skipped  Events the sync would skip as well.
+ */
+
+/**
+ * Builds the drift report from the published CRM events and complete
+ * collection listings.
+ * @param {object} params
+ * @param {object[]} params.crmEvents
+ * @param {Object<string, Map<string, import('./webflow').WebflowItem>>} params.caches  CRM ID → item, keyed like MAPPINGS.
+ * @param {string} [params.orphanPolicy]  Items already in the state the policy leaves them in are not reported.
+ * @returns {DriftReport}
+ */
+function buildDriftReport({ crmEvents, caches, orphanPolicy = 'none' }) {
+  const report = { missing: [], stale: [], orphaned: {}, brokenReferences: [], skipped: [] };
+  const mapping = MAPPINGS.EVENTS;
+
+  for (const ev of crmEvents) {
+    const crmId = getCrmId(mapping, ev);
+    const item = caches.EVENTS.get(crmId);
+    for (const { field, target, records } of getReferencedRecords(mapping, ev)) {
+      for (const ref of records) {
+        const refId = getCrmId(target, ref);
+        if (!caches[target.key].has(refId)) {
+          report.brokenReferences.push({ crmId, itemId: item?.id, field: field.slug, target: target.key, ref: refId, problem: 'missing' });
+        }
+      }
+    }
+
+    if (!item) {
+      report.missing.push({ crmId, name: ev.m8_name });
+      continue;
+    }
+    let fieldData;
+    try {
+      fieldData = mapEvent(ev, caches);
+    } catch (err) {
+      if (!(err instanceof MappingError)) throw err;
+      report.skipped.push({ crmId, reason: err.message });
+      continue;
+    }
+    const fields = diffFieldData(fieldData, item.fieldData)
+      .map(change => change.field)
+      .filter(field => !IGNORED_FIELDS.includes(field));
+    if (fields.length || !isLive(item)) {
+      report.stale.push({ crmId, itemId: item.id, name: ev.m8_name, fields, live: isLive(item) });
+    }
+  }
+
+  // Reference fields of Webflow items pointing to deleted items.
+  const itemIds = Object.fromEntries(Object.entries(caches).map(([key, cache]) => [key, new Set([...cache.values()].map(item => item.id))]));
+  for (const [crmId, item] of caches.EVENTS) {
+    if (!crmId) continue;
+    for (const field of mapping.fields.filter(f => f.reference)) {
+      for (const ref of toArray(item.fieldData?.[field.slug])) {
+        if (!itemIds[field.reference].has(ref)) {
+          report.brokenReferences.push({ crmId, itemId: item.id, field: field.slug, target: field.reference, ref, problem: 'dangling' });
+        }
+      }
+    }
+  }
+
+  const orphans = findOrphans({ crmEvents, caches, policy: orphanPolicy });
+  for (const [key, items] of Object.entries(orphans)) {
+    report.orphaned[key] = items.map(item => ({
+      crmId: item.fieldData?.[MAPPINGS[key].crmIdSlug],
+      itemId: item.id,
+      name: item.fieldData?.name,
+    }));
+  }
+  return report;
+}
+
+/**
+ * @param {DriftReport} report
+ * @param {{ orphans?: boolean }} [options]  `orphans: false` leaves out orphaned events.
+ * @returns {string[]} CRM IDs of the events a single-event sync would fix.
+ */
+function getDriftedEventIds(report, { orphans = true } = {}) {
+  const orphanIds = (report.orphaned.EVENTS || []).map(entry => entry.crmId);
+  const ids = [
+    ...report.missing.map(entry => entry.crmId),
+    ...report.stale.map(entry => entry.crmId),
+    ...report.brokenReferences.map(entry => entry.crmId),
+    ...orphanIds,
+  ];
+  return [...new Set(ids)].filter(id => orphans || !orphanIds.includes(id));
+}
+
+/**
+ * @param {DriftReport} report
+ */
+function summarizeDrift(report) {
+  return {
+    missing: report.missing.length,
+    stale: report.stale.length,
+    orphaned: Object.values(report.orphaned).reduce((sum, items) => sum + items.length, 0),
+    brokenReferences: report.brokenReferences.length,
+    skipped: report.skipped.length,
+    drifted: getDriftedEventIds(report).length,
+  };
+}
+
+/**
+ * Lists all collections, fetches the published CRM events and reports the
+ * drift; with `heal`, enqueues a sync job for every drifted event.
+ * @param {object} params
+ * @param {ReturnType<import('./webflow').createWebflowClient>} params.client
+ * @param {Object<string, string>} params.collectionIds
+ * @param {() => Promise<{ value?: object[] }>} params.fetchEvents  crm.getEvents
+ * @param {ReturnType<import('./queue').createJobQueue>} [params.queue]  Required with `heal`.
+ * @param {boolean} [params.heal]
+ * @param {string} [params.orphanPolicy]  Defaults to SYNC_ORPHAN_POLICY or 'unpublish'. With
+ *   'none', orphaned events are reported but not enqueued.
+ * @param {number} [params.maxOrphanPercent]  Defaults to SYNC_ORPHAN_MAX_PERCENT or 20.
+ * @returns {Promise<{ summary: ReturnType<typeof summarizeDrift>, report: DriftReport, enqueued: string[] }>}
+ * @throws {import('./orphans').OrphanThresholdError} With `heal`, before anything is enqueued, if
+ *   the orphaned events exceed the threshold.
+ */
+async function reconcile({
+  client,
+  collectionIds,
+  fetchEvents,
+  queue = null,
+  heal = false,
+  orphanPolicy = process.env.SYNC_ORPHAN_POLICY || 'unpublish',
+  maxOrphanPercent = Number(process.env.SYNC_ORPHAN_MAX_PERCENT) || 20,
+}) {
+  const caches = {};
+  for (const key of Object.keys(MAPPINGS)) {
+    caches[key] = buildItemCache(MAPPINGS[key], await client.listAllItems(collectionIds[key]));
+  }
+  const crmEvents = (await fetchEvents())?.value ?? [];
+  const report = buildDriftReport({ crmEvents, caches, orphanPolicy });
+
+  const enqueued = [];
+  if (heal) {
+    // The single-event sync removes an orphaned event per the policy, so it is
+    // queued only where the full sync would remove it as well.
+    const healOrphans = orphanPolicy !== 'none';
+    if (healOrphans) assertOrphanThreshold({ EVENTS: report.orphaned.EVENTS }, caches, maxOrphanPercent);
+    for (const recordId of getDriftedEventIds(report, { orphans: healOrphans })) {
+      await queue.enqueue({ entity: MAPPINGS.EVENTS.entity, recordId, changeType: 'Update', source: 'reconcile' }, { collapse: true });
+      enqueued.push(recordId);
+    }
+  }
+  return { summary: summarizeDrift(report), report, enqueued };
+}
+
+module.exports = {
+  buildDriftReport,
+  getDriftedEventIds,
+  summarizeDrift,
+  reconcile,
+};
@@ -0,0 +1,64 @@
+// lib/replay-guard.js
+// Remembers processed webhooks in KV so that repeated deliveries of the same
+// change are acknowledged without syncing again. A webhook is identified by
+// its `jti` claim or, without one, by a hash of entity, record, change type
+// and `modifiedon` (or `iat`, which is the same for a replayed token).
+
+const crypto = require('crypto');
+const { getKv, createMemoryStore } = require('./kv');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+let memoryStore = null;
+
+/**
+ * @param {object} payload  Verified webhook payload.
+ * @returns {string}
+ */
+function webhookFingerprint(payload) {
+  if (payload.jti) return `jti:${payload.jti}`;
+  const parts = [payload.entityName, payload.recordId, payload.changeType, payload.modifiedon ?? payload.iat];
+  return `sha256:${crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex')}`;
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.store]  KV-compatible store. Defaults to Vercel KV or an in-process store.
+ * @param {string} [options.prefix]
+ * @param {number} [options.ttlMs]  How long a processed webhook is remembered.
+ */
+function createReplayGuard({ store = null, prefix = 'webhook:seen', ttlMs = DEFAULT_TTL_MS } = {}) {
+  if (!store) {
+    store = getKv();
+    if (!store) {
+      memoryStore = memoryStore || createMemoryStore();
+      store = memoryStore;
+    }
+  }
+  const key = payload => `${prefix}:${webhookFingerprint(payload)}`;
+
+  return {
+    /**
+     * Marks the webhook as seen.
+     * @returns {Promise<boolean>} false if it had been seen before.
+     */
+    async claim(payload) {
+      return Boolean(await store.set(key(payload), new Date().toISOString(), { nx: true, px: ttlMs }));
+    },
+    /** Forgets the webhook again, e.g. because it could not be processed. */
+    async release(payload) {
+      await store.del(key(payload));
+    },
+  };
+}
+
+function getReplayGuard() {
+  const ttlSeconds = Number(process.env.WEBHOOK_DEDUPE_TTL_SECONDS);
+  return createReplayGuard({ ttlMs: ttlSeconds > 0 ? ttlSeconds * 1000 : undefined });
+}
+
+module.exports = {
+  webhookFingerprint,
+  createReplayGuard,
+  getReplayGuard,
+};
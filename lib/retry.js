@@ -0,0 +1,88 @@
+// lib/retry.js
+// Generic retry helper with exponential backoff, jitter and support for
+// server-provided Retry-After hints. Used by the CRM and Webflow clients.
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parses a Retry-After header value (delta-seconds or an HTTP date).
+ * @param {string|number|null|undefined} value
+ * @param {() => number} [now]
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid.
+ */
+function parseRetryAfter(value, now = Date.now) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now());
+}
+
+/**
+ * Exponential backoff with "equal jitter": half of the delay is fixed, the
+ * other half is random, so retries from many instances do not line up.
+ * @param {number} attempt 1-based retry attempt.
+ * @param {{ baseDelayMs?: number, maxDelayMs?: number, random?: () => number }} [options]
+ * @returns {number} Delay in milliseconds.
+ */
+function computeBackoff(attempt, { baseDelayMs = 500, maxDelayMs = 30000, random = Math.random } = {}) {
+  const exp = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return exp / 2 + random() * (exp / 2);
+}
+
+/**
+ * Runs `fn` and retries it while `shouldRetry(error)` returns true.
+ * @template T
+ * @param {(attempt: number) => Promise<T>} fn
+ * @param {object} [options]
+ * @param {number} [options.retries] Maximum number of retries (not counting the first attempt).
+ * @param {(error: any) => boolean} [options.shouldRetry]
+ * @param {(error: any) => number|null} [options.getRetryAfterMs] Server-provided delay, if any.
+ * @param {number} [options.maxRetryAfterMs] Give up instead of waiting longer than this.
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {(info: { attempt: number, delayMs: number, error: any }) => void} [options.onRetry]
+ * @param {AbortSignal} [options.signal] Stops retrying once aborted.
+ * @param {(ms: number) => Promise<void>} [options.sleep]
+ * @returns {Promise<T>}
+ */
+async function withRetry(fn, {
+  retries = 3,
+  shouldRetry = () => true,
+  getRetryAfterMs = () => null,
+  maxRetryAfterMs = 60000,
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+  onRetry = () => {},
+  signal,
+  sleep: wait = sleep,
+} = {}) {
+  let attempt = 0;
+  while (true) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      attempt++;
+      if (attempt > retries || (signal && signal.aborted) || !shouldRetry(error)) {
+        throw error;
+      }
+      const retryAfterMs = getRetryAfterMs(error);
+      if (retryAfterMs !== null && retryAfterMs > maxRetryAfterMs) {
+        throw error;
+      }
+      const delayMs = retryAfterMs !== null
+        ? retryAfterMs
+        : computeBackoff(attempt, { baseDelayMs, maxDelayMs });
+      onRetry({ attempt, delayMs, error });
+      await wait(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  sleep,
+  parseRetryAfter,
+  computeBackoff,
+  withRetry,
+};
@@ -0,0 +1,267 @@
+// lib/run-history.js
+// Structured history of sync runs in Vercel KV, so a sync can be audited after
+// Vercel's log stream has expired. Every run of scripts/sync_single.js and
+// scripts/sync_full.js records who triggered it, the decisions it took, the
+// Webflow items it wrote, its counters, duration and error.
+//
+//   <prefix>:entries          hash   run ID → run
+//   <prefix>:index            zset   run ID, scored by start time
+//   <prefix>:record:<id>      zset   run ID, scored by start time, per CRM record
+//
+// Runs older than the retention are pruned whenever a run finishes. Recording
+// is best effort: a KV failure is logged but never fails the sync itself.
+
+const crypto = require('crypto');
+const { getKv, createMemoryStore } = require('./kv');
+
+const DEFAULT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_ITEMS = 200;
+const MAX_DECISIONS = 100;
+const LIST_PAGE_SIZE = 100;
+const RUN_STATUSES = ['running', 'succeeded', 'failed'];
+
+/** Webflow client method → action recorded for the items it touches. */
+const WRITE_ACTIONS = {
+  createItem: 'created',
+  updateItem: 'updated',
+  deleteItem: 'deleted',
+  publishItems: 'published',
+  unpublishItem: 'unpublished',
+};
+
+/**
+ * @typedef {object} SyncRun
+ * @property {string} id
+ * @property {'event'|'full'|'delta'} type
+ * @property {string} trigger       e.g. webhook, reconcile, cron, cli, admin, manual
+ * @property {string|null} recordId  CRM ID for single-event runs.
+ * @property {string|null} changeType
+ * @property {string} [jobId]       Queue job that started the run.
+ * @property {boolean} dryRun
+ * @property {'running'|'succeeded'|'failed'} status
+ * @property {string} startedAt
+ * @property {string} [finishedAt]
+ * @property {number} [durationMs]
+ * @property {string[]} decisions
+ * @property {Array<{ collection: string, itemId: string, action: string }>} items  Webflow items written.
+ * @property {number} [itemsTruncated]  Writes beyond MAX_ITEMS that were not listed.
+ * @property {object} [stats]       Per-collection counters.
+ * @property {{ name: string, message: string, status?: number }} [error]
+ */
+
+let memoryStore = null;
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.store]  KV-compatible store. Defaults to Vercel KV or an in-process store.
+ * @param {string} [options.prefix]
+ * @param {number} [options.retentionMs]
+ * @param {() => number} [options.now]
+ */
+function createRunHistory({ store = null, prefix = 'sync:runs', retentionMs = DEFAULT_RETENTION_MS, now = Date.now } = {}) {
+  if (!store) {
+    store = getKv();
+    if (!store) {
+      memoryStore = memoryStore || createMemoryStore();
+      store = memoryStore;
+    }
+  }
+  const ENTRIES = `${prefix}:entries`;
+  const INDEX = `${prefix}:index`;
+  const recordKey = recordId => `${prefix}:record:${recordId}`;
+
+  async function save(run) {
+    const score = Date.parse(run.startedAt);
+    await store.hset(ENTRIES, { [run.id]: run });
+    await store.zadd(INDEX, { score, member: run.id });
+    if (run.recordId) await store.zadd(recordKey(run.recordId), { score, member: run.id });
+  }
+
+  async function saveQuietly(run) {
+    try {
+      await save(run);
+    } catch (err) {
+      console.warn(`⚠️ Could not record sync run ${run.id}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Removes runs older than the retention, 100 at a time.
+   * @returns {Promise<number>} Number of runs removed.
+   */
+  async function prune() {
+    const expired = await store.zrange(INDEX, 0, now() - retentionMs, { byScore: true, offset: 0, count: 100 });
+    for (const id of expired) {
+      const run = await store.hget(ENTRIES, id);
+      await store.hdel(ENTRIES, id);
+      await store.zrem(INDEX, id);
+      if (run?.recordId) await store.zrem(recordKey(run.recordId), id);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Records the start of a run and returns its recorder.
+   * @param {object} params
+   * @param {string} [params.id]  Run ID chosen by the caller, e.g. to report it before the run starts.
+   * @param {SyncRun['type']} params.type
+   * @param {string} [params.trigger]
+   * @param {string} [params.recordId]
+   * @param {string} [params.changeType]
+   * @param {string} [params.jobId]
+   * @param {boolean} [params.dryRun]
+   */
+  async function start({ id = crypto.randomUUID(), type, trigger = 'manual', recordId = null, changeType = null, jobId, dryRun = false }) {
+    /** @type {SyncRun} */
+    const run = {
+      id,
+      type,
+      trigger,
+      recordId,
+      changeType,
+      ...(jobId && { jobId }),
+      dryRun,
+      status: 'running',
+      startedAt: new Date(now()).toISOString(),
+      decisions: [],
+      items: [],
+    };
+    const seen = new Set();
+    await saveQuietly(run);
+
+    function touch(collection, itemId, action) {
+      const key = `${collection}:${itemId}:${action}`;
+      if (!itemId || seen.has(key)) return;
+      seen.add(key);
+      if (run.items.length < MAX_ITEMS) run.items.push({ collection, itemId, action });
+      else run.itemsTruncated = (run.itemsTruncated || 0) + 1;
+    }
+
+    async function end(fields) {
+      Object.assign(run, fields, { finishedAt: new Date(now()).toISOString() });
+      run.durationMs = Date.parse(run.finishedAt) - Date.parse(run.startedAt);
+      await saveQuietly(run);
+      await prune().catch(err => console.warn(`⚠️ Could not prune the sync run history: ${err.message}`));
+      return run;
+    }
+
+    return {
+      id: run.id,
+
+      /** Updates top-level fields, e.g. the type once a delta run fell back to a full sync. */
+      set(fields) {
+        Object.assign(run, fields);
+      },
+
+      /** @param {string} message  A decision in plain words, e.g. why an item was unpublished. */
+      decide(message) {
+        if (run.decisions.length < MAX_DECISIONS) run.decisions.push(message);
+      },
+
+      touch,
+
+      /**
+       * Wraps a Webflow client so that every successful write is recorded.
+       * @template T
+       * @param {T} client
+       * @param {Object<string, string>} collectionIds  Keyed like MAPPINGS.
+       * @returns {T}
+       */
+      track(client, collectionIds) {
+        const names = Object.fromEntries(Object.entries(collectionIds).map(([key, id]) => [id, key]));
+        const tracked = { ...client };
+        for (const [method, action] of Object.entries(WRITE_ACTIONS)) {
+          if (typeof client[method] !== 'function') continue;
+          tracked[method] = async (collectionId, target, ...rest) => {
+            const result = await client[method](collectionId, target, ...rest);
+            const collection = names[collectionId] || collectionId;
+            if (method === 'createItem') touch(collection, result?.id, action);
+            else if (method === 'publishItems') target.forEach(id => touch(collection, id, action));
+            else touch(collection, target, action);
+            return result;
+          };
+        }
+        return tracked;
+      },
+
+      /** @param {{ stats?: object }} [result] */
+      finish({ stats } = {}) {
+        return end({ status: 'succeeded', ...(stats && { stats }) });
+      },
+
+      /**
+       * @param {Error} err
+       * @param {{ stats?: object }} [result]
+       */
+      fail(err, { stats } = {}) {
+        return end({
+          status: 'failed',
+          ...(stats && { stats }),
+          error: { name: err?.name || 'Error', message: err?.message || String(err), ...(err?.status && { status: err.status }) },
+        });
+      },
+    };
+  }
+
+  /** @returns {Promise<SyncRun|null>} */
+  async function get(id) {
+    return (await store.hget(ENTRIES, id)) || null;
+  }
+
+  /**
+   * Lists runs, newest first. The index is read a page at a time and each page
+   * fetched with one HMGET, until `limit` runs match the filter.
+   * @param {object} [filter]
+   * @param {string} [filter.recordId]
+   * @param {SyncRun['status']} [filter.status]
+   * @param {SyncRun['type']} [filter.type]
+   * @param {Date|number} [filter.from]  Earliest start time.
+   * @param {Date|number} [filter.to]    Latest start time.
+   * @param {number} [filter.limit]
+   * @returns {Promise<SyncRun[]>}
+   */
+  async function list({ recordId, status, type, from, to, limit = 50 } = {}) {
+    const min = from === undefined ? '-inf' : Number(from);
+    const max = to === undefined ? '+inf' : Number(to);
+    const key = recordId ? recordKey(recordId) : INDEX;
+    const pageSize = Math.max(limit, LIST_PAGE_SIZE);
+    const runs = [];
+    // Runs started meanwhile shift the pages by one; `seen` skips the repeats.
+    const seen = new Set();
+    for (let offset = 0; runs.length < limit; offset += pageSize) {
+      const ids = await store.zrange(key, max, min, { byScore: true, rev: true, offset, count: pageSize });
+      if (!ids.length) break;
+      const entries = (await store.hmget(ENTRIES, ...ids)) || {};
+      for (const id of ids) {
+        const run = entries[id];
+        if (seen.has(id) || !run || (status && run.status !== status) || (type && run.type !== type)) continue;
+        seen.add(id);
+        runs.push(run);
+        if (runs.length >= limit) break;
+      }
+      if (ids.length < pageSize) break;
+    }
+    return runs;
+  }
+
+  return {
+    start,
+    get,
+    list,
+    prune,
+  };
+}
+
+/**
+ * The sync run history, with the retention from SYNC_RUN_RETENTION_DAYS.
+ */
+function getRunHistory() {
+  const retentionDays = Number(process.env.SYNC_RUN_RETENTION_DAYS);
+  return createRunHistory({ retentionMs: retentionDays > 0 ? retentionDays * 24 * 60 * 60 * 1000 : undefined });
+}
+
+module.exports = {
+  RUN_STATUSES,
+  createRunHistory,
+  getRunHistory,
+};
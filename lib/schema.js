@@ -0,0 +1,131 @@
+// lib/schema.js
+// Checks the Webflow collection schemas against lib/mappings.js before a sync
+// writes anything: every mapped field must exist with a compatible type, and
+// reference fields must point to the collection configured for their target.
+// A renamed field slug (like description → description-3) then fails the run
+// up front with one report instead of erroring item by item mid-sync.
+//
+// SYNC_SCHEMA_VALIDATION: strict (default) fails the run, warn only logs the
+// report, off skips the check. Successful checks are cached per instance for
+// SCHEMA_CACHE_MS.
+
+const { MAPPINGS } = require('./mappings');
+
+const SCHEMA_CACHE_MS = 10 * 60 * 1000;
+const VALIDATION_MODES = ['strict', 'warn', 'off'];
+
+/** Mapped field type → Webflow field types that accept its values. */
+const COMPATIBLE_TYPES = {
+  PlainText: ['PlainText', 'RichText'],
+  RichText: ['RichText', 'PlainText'],
+  Number: ['Number'],
+  Switch: ['Switch'],
+  DateTime: ['DateTime'],
+  Reference: ['Reference'],
+  MultiReference: ['MultiReference'],
+};
+
+/**
+ * @typedef {object} SchemaProblem
+ * @property {string} collection  Collection key, e.g. EVENTS.
+ * @property {string} field       Field slug.
+ * @property {'missing'|'type'|'reference'} problem
+ * @property {string} [expected]
+ * @property {string} [actual]
+ */
+
+class SchemaValidationError extends Error {
+  /** @param {SchemaProblem[]} problems */
+  constructor(problems) {
+    super(`Webflow collection schema does not match the field mappings:\n${formatSchemaReport(problems)}`);
+    this.name = 'SchemaValidationError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * @param {SchemaProblem[]} problems
+ * @returns {string}
+ */
+function formatSchemaReport(problems) {
+  return problems.map(({ collection, field, problem, expected, actual }) => {
+    if (problem === 'missing') return `  • ${collection}.${field}: field does not exist in Webflow`;
+    if (problem === 'type') return `  • ${collection}.${field}: expected ${expected}, Webflow field is ${actual}`;
+    return `  • ${collection}.${field}: references collection ${actual}, expected ${expected}`;
+  }).join('\n');
+}
+
+/**
+ * @param {object} mapping  One of MAPPINGS.
+ * @param {import('./webflow').WebflowCollection} collection
+ * @param {Object<string, string>} collectionIds  Keyed like MAPPINGS.
+ * @returns {SchemaProblem[]}
+ */
+function validateCollectionSchema(mapping, collection, collectionIds) {
+  const fields = new Map((collection?.fields || []).map(field => [field.slug, field]));
+  const problems = [];
+  for (const { slug, type, reference } of mapping.fields) {
+    const field = fields.get(slug);
+    if (!field) {
+      problems.push({ collection: mapping.key, field: slug, problem: 'missing', expected: type });
+    } else if (type && !(COMPATIBLE_TYPES[type] || [type]).includes(field.type)) {
+      problems.push({ collection: mapping.key, field: slug, problem: 'type', expected: type, actual: field.type });
+    } else if (reference && field.validations?.collectionId && field.validations.collectionId !== collectionIds[reference]) {
+      problems.push({
+        collection: mapping.key,
+        field: slug,
+        problem: 'reference',
+        expected: `${reference} (${collectionIds[reference]})`,
+        actual: field.validations.collectionId,
+      });
+    }
+  }
+  return problems;
+}
+
+const validatedAt = new Map();
+
+/**
+ * Fetches the schemas of the given collections and validates them.
+ * @param {object} params
+ * @param {ReturnType<import('./webflow').createWebflowClient>} params.client
+ * @param {Object<string, string>} params.collectionIds
+ * @param {string[]} [params.keys]  Collections to check; defaults to all.
+ * @param {'strict'|'warn'|'off'} [params.mode]  Defaults to SYNC_SCHEMA_VALIDATION or strict.
+ * @param {() => number} [params.now]
+ * @returns {Promise<SchemaProblem[]>}
+ * @throws {SchemaValidationError} In strict mode, if there are problems.
+ */
+async function validateSchemas({
+  client,
+  collectionIds,
+  keys = Object.keys(MAPPINGS),
+  mode = process.env.SYNC_SCHEMA_VALIDATION || 'strict',
+  now = Date.now,
+}) {
+  if (!VALIDATION_MODES.includes(mode)) {
+    throw new Error(`Unknown schema validation mode "${mode}". Use one of: ${VALIDATION_MODES.join(', ')}.`);
+  }
+  if (mode === 'off') return [];
+  const problems = [];
+  for (const key of keys) {
+    const collectionId = collectionIds[key];
+    if (now() - (validatedAt.get(collectionId) ?? -Infinity) < SCHEMA_CACHE_MS) continue;
+    const found = validateCollectionSchema(MAPPINGS[key], await client.getCollection(collectionId), collectionIds);
+    if (found.length) problems.push(...found);
+    else validatedAt.set(collectionId, now());
+  }
+  if (problems.length) {
+    if (mode === 'strict') throw new SchemaValidationError(problems);
+    console.warn(`⚠️ Webflow collection schema does not match the field mappings:\n${formatSchemaReport(problems)}`);
+  }
+  return problems;
+}
+
+module.exports = {
+  COMPATIBLE_TYPES,
+  SchemaValidationError,
+  formatSchemaReport,
+  validateCollectionSchema,
+  validateSchemas,
+};
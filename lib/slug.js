@@ -0,0 +1,112 @@
+// lib/slug.js
+// Slug helpers for Webflow items.
+//
+// Webflow slugs are unique per collection and are part of the item's URL, so
+// the sync treats them specially (see upsertItem in lib/sync.js):
+//   - a new item gets the first free slug of slugCandidates(): the slugified
+//     name, then with the event date, then with a short CRM ID appended;
+//   - a renamed record keeps its slug unless renaming is explicitly requested;
+//   - a slug that is replaced is recorded in the slug history, from which
+//     scripts/slug_redirects.js generates redirects.
+//
+//   <prefix>:<COLLECTION>  hash  old slug → { slug, crmId, changedAt }
+
+const { getKv, createMemoryStore } = require('./kv');
+
+const TRANSLITERATIONS = { ä: 'ae', ö: 'oe', ü: 'ue', ß: 'ss', æ: 'ae', ø: 'oe', å: 'aa', œ: 'oe', ł: 'l', đ: 'd', þ: 'th' };
+
+/**
+ * Transliterates German umlauts and ß (ä → ae, ß → ss) and strips accents
+ * from other letters (é → e) instead of dropping them.
+ * @param {string} txt
+ */
+const transliterate = txt => txt
+  .normalize('NFC')
+  .toLowerCase()
+  .replace(/[äöüßæøåœłđþ]/g, ch => TRANSLITERATIONS[ch])
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+const slugify = txt =>
+  transliterate((txt || '').toString())
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Slugs to try, in order, until one is free: `base`, `base-2026`,
+ * `base-2026-06-14` (if the record has a date), `base-1a2b3c4d` and finally
+ * `base-<full CRM id>`.
+ * @param {string} base
+ * @param {{ date?: string|Date|null, id?: string|null }} [suffixes]
+ * @returns {string[]}
+ */
+function slugCandidates(base, { date = null, id = null } = {}) {
+  const candidates = [base];
+  const day = date && !Number.isNaN(new Date(date).getTime()) ? new Date(date).toISOString().slice(0, 10) : null;
+  if (day) candidates.push(`${base}-${day.slice(0, 4)}`, `${base}-${day}`);
+  const compactId = id ? slugify(id).replace(/-/g, '') : '';
+  if (compactId) candidates.push(`${base}-${compactId.slice(0, 8)}`, `${base}-${compactId}`);
+  return [...new Set(candidates)];
+}
+
+let memoryStore = null;
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.store]  KV-compatible store. Defaults to Vercel KV or an in-process store.
+ * @param {string} [options.prefix]
+ * @param {() => number} [options.now]
+ */
+function createSlugHistory({ store = null, prefix = 'webflow:slug-history', now = Date.now } = {}) {
+  if (!store) {
+    store = getKv();
+    if (!store) {
+      memoryStore = memoryStore || createMemoryStore();
+      store = memoryStore;
+    }
+  }
+  const keyFor = collectionKey => `${prefix}:${collectionKey}`;
+
+  /**
+   * Remembers that `from` now redirects to `to`. If the record gets an old
+   * slug back, that slug no longer redirects.
+   * @param {string} collectionKey
+   * @param {{ from: string, to: string, crmId: string }} change
+   */
+  async function record(collectionKey, { from, to, crmId }) {
+    await store.hset(keyFor(collectionKey), { [from]: { slug: to, crmId, changedAt: new Date(now()).toISOString() } });
+    await store.hdel(keyFor(collectionKey), to);
+  }
+
+  /**
+   * Old slugs with their current slug. Chains (a → b → c) are resolved, so
+   * every old slug points to the slug in use today.
+   * @param {string} collectionKey
+   * @returns {Promise<Array<{ from: string, to: string, crmId: string, changedAt: string }>>}
+   */
+  async function list(collectionKey) {
+    const entries = (await store.hgetall(keyFor(collectionKey))) || {};
+    return Object.entries(entries)
+      .map(([from, entry]) => {
+        let to = entry.slug;
+        const visited = new Set([from]);
+        while (entries[to] && !visited.has(to)) {
+          visited.add(to);
+          to = entries[to].slug;
+        }
+        return { from, to, crmId: entry.crmId, changedAt: entry.changedAt };
+      })
+      .filter(({ from, to }) => from !== to)
+      .sort((a, b) => a.from.localeCompare(b.from));
+  }
+
+  return { record, list };
+}
+
+module.exports = {
+  transliterate,
+  slugify,
+  slugCandidates,
+  createSlugHistory,
+};
@@ -0,0 +1,325 @@
+// lib/sync.js
+// Building blocks shared by scripts/sync_full.js and scripts/sync_single.js.
+
+const { MAPPINGS, getCrmId, getReferencedRecords, mapRecord } = require('./mappings');
+const { slugCandidates } = require('./slug');
+
+/**
+ * Reads the Webflow collection IDs from the environment.
+ * @returns {{ EVENTS: string, LOCATIONS: string, CATEGORIES: string, AIRPORTS: string }}
+ */
+function getCollectionIds() {
+  return {
+    EVENTS: process.env.WEBFLOW_COLLECTION_ID_EVENTS,
+    LOCATIONS: process.env.WEBFLOW_COLLECTION_ID_LOCATIONS,
+    CATEGORIES: process.env.WEBFLOW_COLLECTION_ID_CATEGORIES,
+    AIRPORTS: process.env.WEBFLOW_COLLECTION_ID_AIRPORTS,
+  };
+}
+
+/**
+ * @returns {Object<string, string>} Webflow collection ID → collection key (EVENTS, …).
+ */
+function getCollectionNames() {
+  return Object.fromEntries(Object.entries(getCollectionIds()).map(([key, id]) => [id, key]));
+}
+
+// --- Item caches & run statistics ------------------------------------------
+
+/**
+ * Builds a CRM ID → Webflow item map from existing Webflow items.
+ * @param {object} mapping
+ * @param {import('./webflow').WebflowItem[]} items
+ * @returns {Map<string, import('./webflow').WebflowItem>}
+ */
+function buildItemCache(mapping, items) {
+  return new Map(items.map(item => [item.fieldData[mapping.crmIdSlug], item]));
+}
+
+/**
+ * Per-run counters, one set per collection.
+ * @returns {Object<string, { created: number, updated: number, unchanged: number, skipped: number, orphaned: number }>}
+ */
+function createSyncStats() {
+  const stats = {};
+  for (const key of Object.keys(MAPPINGS)) {
+    stats[key] = { created: 0, updated: 0, unchanged: 0, skipped: 0, orphaned: 0 };
+  }
+  return stats;
+}
+
+function formatSyncStats(stats) {
+  return Object.entries(stats)
+    .map(([key, c]) => `${key}: ${c.created} created, ${c.updated} updated, ${c.unchanged} unchanged, ${c.skipped} skipped, ${c.orphaned} orphaned`)
+    .join('\n');
+}
+
+// --- Change detection -------------------------------------------------------
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+function normalizeValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) {
+    const items = value.filter(v => v !== null && v !== undefined).map(String).sort();
+    return items.length ? items : null;
+  }
+  if (typeof value === 'string') {
+    if (ISO_DATE.test(value) && !Number.isNaN(Date.parse(value))) return new Date(value).toISOString();
+    return value.trim();
+  }
+  return value;
+}
+
+function isSameValue(desired, current) {
+  const a = normalizeValue(desired);
+  const b = normalizeValue(current);
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  // Webflow leaves unset switches out of fieldData.
+  if (a === false && b === null) return true;
+  // A cleared number (null) is not the same as 0 – Number(null) would be.
+  if (a === null || b === null) return a === b;
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+  return a === b;
+}
+
+/**
+ * Compares mapped fieldData with the fieldData of the current Webflow item.
+ * Only fields present in `desired` are compared.
+ * @param {object} desired
+ * @param {object} current
+ * @returns {Array<{ field: string, from: any, to: any }>} The fields that differ.
+ */
+function diffFieldData(desired, current = {}) {
+  return Object.keys(desired)
+    .filter(field => !isSameValue(desired[field], current[field]))
+    .map(field => ({ field, from: current[field], to: desired[field] }));
+}
+
+// --- Slugs ------------------------------------------------------------------
+
+/** Webflow rejects a duplicate slug with a validation error naming the field. */
+const isSlugConflict = err => (err.status === 400 || err.status === 409) && /slug/i.test(JSON.stringify(err.data || ''));
+
+async function isSlugTaken({ client, mapping, collectionId, cache, crmId, slug }) {
+  for (const [otherId, item] of cache) {
+    if (otherId !== crmId && item.fieldData?.slug === slug) return true;
+  }
+  const item = await client.findItemBySlug(collectionId, slug);
+  return Boolean(item) && item.fieldData?.[mapping.crmIdSlug] !== crmId;
+}
+
+/**
+ * Picks the slug for an item: an existing item keeps its slug unless
+ * `rename` is set and the slug no longer matches the name; otherwise the
+ * first free candidate of slugCandidates() is used.
+ * @returns {Promise<string>}
+ */
+async function chooseSlug({ client, mapping, collectionId, cache, crmId, record, base, current, rename, exclude = new Set() }) {
+  const candidates = slugCandidates(base, { date: record?.[mapping.slugDateAttribute], id: crmId });
+  if (current && !exclude.has(current) && (!rename || candidates.includes(current))) return current;
+  for (const slug of candidates) {
+    if (!exclude.has(slug) && !(await isSlugTaken({ client, mapping, collectionId, cache, crmId, slug }))) return slug;
+  }
+  throw new Error(`No free slug for ${mapping.label} ${crmId} (tried ${candidates.join(', ')}).`);
+}
+
+/** Published, and neither a draft nor archived. Webflow keeps `lastPublished` after an unpublish. */
+function isLive(item) {
+  return Boolean(item.lastPublished) && !item.isDraft && !item.isArchived;
+}
+
+/**
+ * Creates, updates or leaves an item alone depending on whether its mapped
+ * fieldData differs from what is in Webflow, and publishes it only when it
+ * was written or is not live yet. The mapped `slug` is only a starting point:
+ * see chooseSlug() and lib/slug.js.
+ * @param {object} params
+ * @param {ReturnType<import('./webflow').createWebflowClient>} params.client
+ * @param {object} params.mapping
+ * @param {string} params.collectionId
+ * @param {Map<string, import('./webflow').WebflowItem>} params.cache
+ * @param {string} params.crmId
+ * @param {object} params.fieldData
+ * @param {ReturnType<typeof createSyncStats>} params.stats
+ * @param {ReturnType<import('./id-index').createIdIndex>|null} [params.index] Records newly created items.
+ * @param {object} [params.record]        The CRM record, for the slug date suffix.
+ * @param {boolean} [params.renameSlugs]  Give renamed records a new slug instead of keeping the old one.
+ * @param {ReturnType<import('./slug').createSlugHistory>|null} [params.slugHistory] Records replaced slugs.
+ * @returns {Promise<{ id: string, action: 'created'|'updated'|'published'|'unchanged', changes: object[] }>}
+ */
+async function upsertItem({
+  client, mapping, collectionId, cache, crmId, fieldData, stats, index = null,
+  record = null, renameSlugs = false, slugHistory = null,
+}) {
+  const counters = stats[mapping.key];
+  const existing = cache.get(crmId);
+  const slugParams = { client, mapping, collectionId, cache, crmId, record, base: fieldData.slug };
+  if (fieldData.slug) {
+    fieldData = { ...fieldData, slug: await chooseSlug({ ...slugParams, current: existing?.fieldData?.slug, rename: renameSlugs }) };
+  }
+
+  if (!existing) {
+    let created;
+    for (const taken = new Set(); ;) {
+      try {
+        created = await client.createItem(collectionId, { fieldData });
+        break;
+      } catch (err) {
+        // Another item took the slug since it was checked.
+        if (!fieldData.slug || !isSlugConflict(err)) throw err;
+        taken.add(fieldData.slug);
+        fieldData = { ...fieldData, slug: await chooseSlug({ ...slugParams, exclude: taken }) };
+      }
+    }
+    if (index) await index.set(mapping.key, crmId, created.id);
+    await client.publishItems(collectionId, [created.id]);
+    cache.set(crmId, { ...created, fieldData, lastPublished: new Date().toISOString(), isDraft: false, isArchived: false });
+    counters.created++;
+    return { id: created.id, action: 'created', changes: [] };
+  }
+
+  const changes = diffFieldData(fieldData, existing.fieldData);
+  const live = isLive(existing);
+
+  if (!changes.length && live) {
+    counters.unchanged++;
+    return { id: existing.id, action: 'unchanged', changes };
+  }
+
+  if (changes.length || existing.isDraft || existing.isArchived) {
+    await client.updateItem(collectionId, existing.id, { isArchived: false, isDraft: false, fieldData });
+  }
+  const oldSlug = existing.fieldData?.slug;
+  if (fieldData.slug && oldSlug && fieldData.slug !== oldSlug) {
+    console.log(`    ↳ Slug of ${mapping.label} ${crmId} changed: ${oldSlug} → ${fieldData.slug}`);
+    if (slugHistory) await slugHistory.record(mapping.key, { from: oldSlug, to: fieldData.slug, crmId });
+  }
+  await client.publishItems(collectionId, [existing.id]);
+  cache.set(crmId, {
+    ...existing,
+    fieldData: { ...existing.fieldData, ...fieldData },
+    lastPublished: new Date().toISOString(),
+    isDraft: false,
+    isArchived: false,
+  });
+
+  if (changes.length) {
+    counters.updated++;
+    return { id: existing.id, action: 'updated', changes };
+  }
+  // Content was already current; the item only had to go live.
+  counters.unchanged++;
+  return { id: existing.id, action: 'published', changes };
+}
+
+// --- Reference items --------------------------------------------------------
+
+/**
+ * Creates or updates a reference item (location, category, airport).
+ * @param {object} params
+ * @param {ReturnType<import('./webflow').createWebflowClient>} params.client
+ * @param {object} params.mapping  Mapping of the reference collection (see lib/mappings.js).
+ * @param {string} params.collectionId
+ * @param {Map<string, import('./webflow').WebflowItem>} params.cache
+ * @param {object} params.record   The referenced CRM record.
+ * @param {ReturnType<typeof createSyncStats>} params.stats
+ * @param {ReturnType<import('./id-index').createIdIndex>|null} [params.index]
+ * @param {boolean} [params.renameSlugs]
+ * @param {ReturnType<import('./slug').createSlugHistory>|null} [params.slugHistory]
+ * @returns {Promise<string|null>} The Webflow item ID.
+ */
+async function upsertReferenceItem({
+  client, mapping, collectionId, cache, record, stats, index = null, renameSlugs = false, slugHistory = null,
+}) {
+  const crmId = getCrmId(mapping, record);
+  if (!crmId) return null;
+  const fieldData = mapRecord(mapping, record);
+  const { id, action } = await upsertItem({
+    client, mapping, collectionId, cache, crmId, fieldData, stats, index, record, renameSlugs, slugHistory,
+  });
+  if (action === 'created') {
+    console.log(`    ↳ Created new reference item: “${fieldData.name}” (${crmId})`);
+  } else if (action === 'updated') {
+    console.log(`    ↳ Updated reference item: “${fieldData.name}” (${crmId})`);
+  }
+  return id;
+}
+
+/**
+ * Upserts every item referenced by `record` (per its mapping) so that the
+ * record's reference fields can be resolved from `caches` afterwards.
+ * @param {object} params
+ * @param {ReturnType<import('./webflow').createWebflowClient>} params.client
+ * @param {object} params.mapping
+ * @param {object} params.record
+ * @param {Object<string, string>} params.collectionIds
+ * @param {Object<string, Map<string, import('./webflow').WebflowItem>>} params.caches  Keyed like MAPPINGS.
+ * @param {ReturnType<typeof createSyncStats>} params.stats
+ * @param {ReturnType<import('./id-index').createIdIndex>|null} [params.index]
+ * @param {boolean} [params.renameSlugs]
+ * @param {ReturnType<import('./slug').createSlugHistory>|null} [params.slugHistory]
+ */
+async function syncReferences({
+  client, mapping, record, collectionIds, caches, stats, index = null, renameSlugs = false, slugHistory = null,
+}) {
+  for (const { target, records } of getReferencedRecords(mapping, record)) {
+    await Promise.all(records.map(ref => upsertReferenceItem({
+      client,
+      mapping: target,
+      collectionId: collectionIds[target.key],
+      cache: caches[target.key],
+      record: ref,
+      stats,
+      index,
+      renameSlugs,
+      slugHistory,
+    })));
+  }
+}
+
+/**
+ * Looks up the Webflow items a record references through the ID index, for
+ * targeted syncs that do not list whole collections.
+ * @param {object} params
+ * @param {ReturnType<import('./id-index').createIdIndex>} params.index
+ * @param {object} params.mapping
+ * @param {object} params.record
+ * @returns {Promise<Object<string, Map<string, import('./webflow').WebflowItem>>>} Keyed like MAPPINGS.
+ */
+async function loadReferenceCaches({ index, mapping, record }) {
+  const caches = Object.fromEntries(mapping.fields.filter(field => field.reference).map(field => [field.reference, new Map()]));
+  for (const { target, records } of getReferencedRecords(mapping, record)) {
+    const found = await index.getItems(target.key, records.map(ref => getCrmId(target, ref)));
+    found.forEach((item, crmId) => caches[target.key].set(crmId, item));
+  }
+  return caches;
+}
+
+/**
+ * Maps a CRM event to Webflow fieldData, resolving references from `caches`.
+ * @param {object} ev
+ * @param {Object<string, Map<string, import('./webflow').WebflowItem>>} caches
+ */
+function mapEvent(ev, caches) {
+  return mapRecord(MAPPINGS.EVENTS, ev, {
+    resolveReference: (targetKey, crmId) => caches[targetKey].get(crmId)?.id,
+  });
+}
+
+module.exports = {
+  getCollectionIds,
+  getCollectionNames,
+  buildItemCache,
+  createSyncStats,
+  formatSyncStats,
+  diffFieldData,
+  upsertItem,
+  upsertReferenceItem,
+  syncReferences,
+  loadReferenceCaches,
+  mapEvent,
+  isLive,
+};
@@ -0,0 +1,117 @@
+// lib/token-manager.js
+// Caches OAuth client-credentials tokens in memory (and optionally in a
+// shared store such as Vercel KV), refreshes them shortly before they
+// expire and makes sure concurrent callers share a single refresh request.
+
+const DEFAULT_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const DEFAULT_EXPIRES_IN_SECONDS = 3600;
+
+/**
+ * @typedef {object} CachedToken
+ * @property {string} accessToken
+ * @property {number} expiresAt  Epoch milliseconds.
+ */
+
+/**
+ * @param {object} options
+ * @param {() => Promise<{ access_token: string, expires_in?: number|string }>} options.fetchToken
+ *   Performs the actual token request against the identity provider.
+ * @param {object|null} [options.store] Shared store with `get(key)` / `set(key, value, { px })` (e.g. Vercel KV).
+ * @param {string} [options.storeKey] Key under which the token is shared.
+ * @param {number} [options.refreshMarginMs] Refresh this long before the token expires.
+ * @param {() => number} [options.now]
+ */
+function createTokenManager({
+  fetchToken,
+  store = null,
+  storeKey = 'crm:access-token',
+  refreshMarginMs = DEFAULT_REFRESH_MARGIN_MS,
+  now = Date.now,
+}) {
+  if (typeof fetchToken !== 'function') {
+    throw new Error('createTokenManager requires a fetchToken function.');
+  }
+
+  /** @type {CachedToken|null} */
+  let cached = null;
+  /** @type {Promise<string>|null} */
+  let inflight = null;
+
+  const isFresh = token =>
+    Boolean(token && token.accessToken && token.expiresAt - refreshMarginMs > now());
+
+  async function readShared() {
+    if (!store) return null;
+    try {
+      return await store.get(storeKey);
+    } catch (err) {
+      console.warn(`Token cache: could not read shared token (${err.message}).`);
+      return null;
+    }
+  }
+
+  async function writeShared(token) {
+    if (!store) return;
+    const ttlMs = token.expiresAt - refreshMarginMs - now();
+    if (ttlMs <= 0) return;
+    try {
+      await store.set(storeKey, token, { px: ttlMs });
+    } catch (err) {
+      console.warn(`Token cache: could not persist shared token (${err.message}).`);
+    }
+  }
+
+  async function refresh(skipShared) {
+    if (!skipShared) {
+      const shared = await readShared();
+      if (isFresh(shared)) {
+        cached = shared;
+        return shared.accessToken;
+      }
+    }
+
+    const data = await fetchToken();
+    if (!data || !data.access_token) {
+      throw new Error('Token response did not contain an access_token.');
+    }
+    const expiresIn = Number(data.expires_in) || DEFAULT_EXPIRES_IN_SECONDS;
+    cached = { accessToken: data.access_token, expiresAt: now() + expiresIn * 1000 };
+    await writeShared(cached);
+    return cached.accessToken;
+  }
+
+  /**
+   * Returns a valid access token, refreshing it if necessary.
+   * @param {{ forceRefresh?: boolean }} [options]
+   * @returns {Promise<string>}
+   */
+  function getToken({ forceRefresh = false } = {}) {
+    if (!forceRefresh && isFresh(cached)) {
+      return Promise.resolve(cached.accessToken);
+    }
+    if (!inflight) {
+      inflight = refresh(forceRefresh).finally(() => {
+        inflight = null;
+      });
+    }
+    return inflight;
+  }
+
+  /**
+   * Drops the cached token (e.g. after the API rejected it with a 401).
+   * @returns {Promise<void>}
+   */
+  async function invalidate() {
+    cached = null;
+    if (!store) return;
+    try {
+      await store.del(storeKey);
+    } catch (err) {
+      console.warn(`Token cache: could not delete shared token (${err.message}).`);
+    }
+  }
+
+  return { getToken, invalidate };
+}
+
+module.exports = { createTokenManager };
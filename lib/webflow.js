@@ -0,0 +1,360 @@
+// lib/webflow.js
+// Shared Webflow Data API v2 client used by the sync scripts.
+// - A token-bucket limiter paces requests and follows Webflow's
+//   X-RateLimit-Limit / X-RateLimit-Remaining headers instead of sleeping a
+//   fixed amount before every call.
+// - 429 responses are retried (honouring Retry-After); 5xx and network errors
+//   are retried for requests that are safe to repeat.
+// - Every method accepts an AbortSignal for cancellation.
+
+const axios = require('axios');
+const { withRetry, parseRetryAfter, sleep } = require('./retry');
+
+const WEBFLOW_API_BASE = 'https://api.webflow.com/v2';
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+const PAGE_LIMIT = 100;
+
+/**
+ * @typedef {object} WebflowItem
+ * @property {string} id
+ * @property {string|null} [cmsLocaleId]
+ * @property {string|null} [lastPublished]
+ * @property {string} [lastUpdated]
+ * @property {string} [createdOn]
+ * @property {boolean} [isArchived]
+ * @property {boolean} [isDraft]
+ * @property {Object<string, any>} fieldData
+ */
+
+/**
+ * @typedef {object} WebflowField
+ * @property {string} id
+ * @property {string} slug
+ * @property {string} displayName
+ * @property {string} type  e.g. PlainText, RichText, Number, Switch, DateTime, Reference, MultiReference
+ * @property {boolean} isRequired
+ * @property {object} [validations]
+ */
+
+/**
+ * @typedef {object} WebflowCollection
+ * @property {string} id
+ * @property {string} displayName
+ * @property {string} singularName
+ * @property {string} slug
+ * @property {WebflowField[]} fields
+ */
+
+/**
+ * @typedef {object} WebflowAsset
+ * @property {string} id
+ * @property {string} [displayName]
+ * @property {string} [originalFileName]
+ * @property {string} [hostedUrl]
+ * @property {string} [contentType]
+ * @property {number} [size]
+ */
+
+/**
+ * @typedef {object} ItemInput
+ * @property {Object<string, any>} fieldData
+ * @property {boolean} [isDraft]
+ * @property {boolean} [isArchived]
+ */
+
+class WebflowApiError extends Error {
+  constructor({ message, status = null, method, endpoint, data = null }) {
+    super(message);
+    this.name = 'WebflowApiError';
+    this.status = status;
+    this.method = method;
+    this.endpoint = endpoint;
+    this.data = data;
+  }
+}
+
+/**
+ * Token bucket that starts full and refills continuously. Whenever a response
+ * carries rate-limit headers the bucket is corrected to what Webflow reports.
+ * @param {object} [options]
+ * @param {number} [options.limitPerMinute]
+ * @param {() => number} [options.now]
+ * @param {(ms: number) => Promise<void>} [options.sleep]
+ */
+function createRateLimiter({ limitPerMinute = DEFAULT_RATE_LIMIT_PER_MINUTE, now = Date.now, sleep: wait = sleep } = {}) {
+  let capacity = limitPerMinute;
+  let tokens = capacity;
+  let lastRefill = now();
+
+  function refill() {
+    const current = now();
+    const ratePerMs = capacity / 60000;
+    tokens = Math.min(capacity, tokens + (current - lastRefill) * ratePerMs);
+    lastRefill = current;
+  }
+
+  async function acquire(signal) {
+    while (true) {
+      if (signal && signal.aborted) throw new Error('Request aborted while waiting for rate limit.');
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      const ratePerMs = capacity / 60000;
+      await wait(Math.ceil((1 - tokens) / ratePerMs));
+    }
+  }
+
+  /** Syncs the bucket with X-RateLimit-* response headers. */
+  function update(headers = {}) {
+    const limit = Number(headers['x-ratelimit-limit']);
+    const remaining = Number(headers['x-ratelimit-remaining']);
+    if (Number.isFinite(limit) && limit > 0) capacity = limit;
+    if (headers['x-ratelimit-remaining'] !== undefined && Number.isFinite(remaining)) {
+      refill();
+      tokens = Math.min(tokens, remaining);
+    }
+  }
+
+  /** Empties the bucket, e.g. after a 429. */
+  function drain() {
+    refill();
+    tokens = Math.min(tokens, 0);
+  }
+
+  return { acquire, update, drain, getTokens: () => tokens };
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.token]      Defaults to WEBFLOW_API_TOKEN.
+ * @param {string} [options.baseUrl]
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.maxRetries]
+ * @param {ReturnType<typeof createRateLimiter>} [options.limiter]
+ * @param {AbortSignal} [options.signal] Default signal applied to every request.
+ */
+function createWebflowClient({
+  token = process.env.WEBFLOW_API_TOKEN,
+  baseUrl = WEBFLOW_API_BASE,
+  timeoutMs = 45000,
+  maxRetries = 5,
+  limiter = createRateLimiter(),
+  signal: defaultSignal,
+} = {}) {
+  async function send(method, endpoint, body, signal) {
+    await limiter.acquire(signal);
+    try {
+      const response = await axios({
+        method,
+        url: `${baseUrl}${endpoint}`,
+        headers: {
+          'Accept': 'application/json',
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        data: body || undefined,
+        timeout: timeoutMs,
+        signal,
+      });
+      limiter.update(response.headers);
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        limiter.update(error.response.headers);
+        if (error.response.status === 429) limiter.drain();
+        throw Object.assign(new WebflowApiError({
+          message: `Webflow API ${method} ${endpoint} failed with ${error.response.status}: ${JSON.stringify(error.response.data)}`,
+          status: error.response.status,
+          method,
+          endpoint,
+          data: error.response.data,
+        }), { retryAfter: error.response.headers['retry-after'] });
+      }
+      if (axios.isCancel(error)) {
+        throw new WebflowApiError({ message: `Request to ${endpoint} was canceled.`, method, endpoint, data: { canceled: true } });
+      }
+      throw new WebflowApiError({ message: `Webflow API ${method} ${endpoint} failed: ${error.message}`, method, endpoint });
+    }
+  }
+
+  /**
+   * Low-level request. Prefer the typed helpers below.
+   * @param {string} method
+   * @param {string} endpoint Path relative to the API base, e.g. `/collections/{id}/items`.
+   * @param {object|null} [body]
+   * @param {{ signal?: AbortSignal }} [options]
+   */
+  function request(method, endpoint, body = null, { signal = defaultSignal } = {}) {
+    // Creating an item is the only call that must not be repeated blindly.
+    const repeatable = method !== 'POST' || endpoint.endsWith('/publish');
+    return withRetry(() => send(method, endpoint, body, signal), {
+      retries: maxRetries,
+      signal,
+      shouldRetry: err => !(err.data && err.data.canceled)
+        && (err.status === 429 || (repeatable && (err.status === null || err.status >= 500))),
+      getRetryAfterMs: err => parseRetryAfter(err.retryAfter),
+      baseDelayMs: 1000,
+      onRetry: ({ attempt, delayMs, error }) => {
+        const reason = error.status === 429 ? 'Rate limit hit' : `Request failed (${error.status || 'network error'})`;
+        console.warn(`      -> ${reason}. Retrying after ${(delayMs / 1000).toFixed(1)}s... (Attempt ${attempt}/${maxRetries})`);
+      },
+    }).catch(error => {
+      if (error.status) console.error(`      -> Webflow API Error: ${error.status}`, error.data);
+      else console.error(`      -> Webflow request error: ${error.message}`);
+      throw error;
+    });
+  }
+
+  // --- Token ---------------------------------------------------------------
+
+  /**
+   * Describes the API token (its authorization and the sites it can access);
+   * fails with 401 if the token is invalid or revoked.
+   * @returns {Promise<{ authorization: object, application?: object }>}
+   */
+  function getTokenInfo(options) {
+    return request('GET', '/token/introspect', null, options);
+  }
+
+  // --- Collections -------------------------------------------------------
+
+  /** @returns {Promise<WebflowCollection>} */
+  function getCollection(collectionId, options) {
+    return request('GET', `/collections/${collectionId}`, null, options);
+  }
+
+  // --- Items -------------------------------------------------------------
+
+  /**
+   * @param {string} collectionId
+   * @param {{ offset?: number, limit?: number, slug?: string, signal?: AbortSignal }} [options]
+   *   `slug` only returns the item with that slug.
+   * @returns {Promise<{ items: WebflowItem[], pagination: { limit: number, offset: number, total: number } }>}
+   */
+  function listItems(collectionId, { offset = 0, limit = PAGE_LIMIT, slug, ...options } = {}) {
+    const query = new URLSearchParams({ limit, offset, ...(slug && { slug }) });
+    return request('GET', `/collections/${collectionId}/items?${query}`, null, options);
+  }
+
+  /** @returns {Promise<WebflowItem[]>} */
+  async function listAllItems(collectionId, options) {
+    let allItems = [];
+    let offset = 0;
+    let hasMore = true;
+    while (hasMore) {
+      const response = await listItems(collectionId, { offset, ...options });
+      if (response?.items?.length > 0) {
+        allItems = allItems.concat(response.items);
+        offset += response.items.length;
+      }
+      hasMore = Boolean(response?.items?.length) && Boolean(response?.pagination) && offset < response.pagination.total;
+    }
+    return allItems;
+  }
+
+  /** @returns {Promise<WebflowItem|null>} The item using the slug, if any. */
+  async function findItemBySlug(collectionId, slug, options) {
+    const { items = [] } = await listItems(collectionId, { slug, limit: 1, ...options });
+    return items.find(item => item.fieldData?.slug === slug) || null;
+  }
+
+  /** @returns {Promise<WebflowItem>} */
+  function getItem(collectionId, itemId, options) {
+    return request('GET', `/collections/${collectionId}/items/${itemId}`, null, options);
+  }
+
+  /**
+   * @param {string} collectionId
+   * @param {ItemInput} item
+   * @returns {Promise<WebflowItem>}
+   */
+  function createItem(collectionId, { fieldData, isDraft = false, isArchived = false }, options) {
+    return request('POST', `/collections/${collectionId}/items`, { isArchived, isDraft, fieldData }, options);
+  }
+
+  /**
+   * @param {string} collectionId
+   * @param {string} itemId
+   * @param {Partial<ItemInput>} item
+   * @returns {Promise<WebflowItem>}
+   */
+  function updateItem(collectionId, itemId, item, options) {
+    return request('PATCH', `/collections/${collectionId}/items/${itemId}`, item, options);
+  }
+
+  function deleteItem(collectionId, itemId, options) {
+    return request('DELETE', `/collections/${collectionId}/items/${itemId}`, null, options);
+  }
+
+  // --- Publishing --------------------------------------------------------
+
+  /** @param {string[]} itemIds */
+  function publishItems(collectionId, itemIds, options) {
+    return request('POST', `/collections/${collectionId}/items/publish`, { itemIds }, options);
+  }
+
+  /** Removes an item from the live site; it stays in the CMS as a draft. */
+  function unpublishItem(collectionId, itemId, options) {
+    return request('DELETE', `/collections/${collectionId}/items/${itemId}/live`, null, options);
+  }
+
+  // --- Assets ------------------------------------------------------------
+
+  /** @returns {Promise<{ assets: WebflowAsset[] }>} */
+  function listAssets(siteId, options) {
+    return request('GET', `/sites/${siteId}/assets`, null, options);
+  }
+
+  /** @returns {Promise<WebflowAsset>} */
+  function getAsset(assetId, options) {
+    return request('GET', `/assets/${assetId}`, null, options);
+  }
+
+  /**
+   * Registers an asset upload; the response contains the S3 upload URL and details.
+   * @param {string} siteId
+   * @param {{ fileName: string, fileHash: string }} asset  fileHash is the MD5 of the file.
+   */
+  function createAsset(siteId, { fileName, fileHash }, options) {
+    return request('POST', `/sites/${siteId}/assets`, { fileName, fileHash }, options);
+  }
+
+  return {
+    request,
+    getTokenInfo,
+    getCollection,
+    listItems,
+    listAllItems,
+    findItemBySlug,
+    getItem,
+    createItem,
+    updateItem,
+    deleteItem,
+    publishItems,
+    unpublishItem,
+    listAssets,
+    getAsset,
+    createAsset,
+  };
+}
+
+let defaultClient = null;
+
+/**
+ * Returns a client shared by everything running in this instance, so all
+ * syncs draw from the same rate-limit bucket.
+ */
+function getWebflowClient() {
+  if (!defaultClient) defaultClient = createWebflowClient();
+  return defaultClient;
+}
+
+module.exports = {
+  WEBFLOW_API_BASE,
+  WebflowApiError,
+  createRateLimiter,
+  createWebflowClient,
+  getWebflowClient,
+};
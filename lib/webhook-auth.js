@@ -0,0 +1,125 @@
+// lib/webhook-auth.js
+// Authenticates CRM webhooks: either a JWT signed by our CRM plugin or, for
+// native Dataverse webhooks, the shared webhook key. JWT keys come from the
+// keyring in lib/jwt-keys.js and are selected by `kid`. Besides the signature,
+// tokens must carry `iat` and `exp` and be short-lived, so a captured token
+// cannot be replayed indefinitely.
+
+const jwt = require('jsonwebtoken');
+const { safeEqual } = require('./admin-auth');
+const { DEFAULT_KID, createKeyring, getKeyring } = require('./jwt-keys');
+
+const DEFAULT_MAX_AGE_SECONDS = 300;
+const DEFAULT_CLOCK_TOLERANCE_SECONDS = 30;
+
+class WebhookAuthError extends Error {
+  constructor(message, { status = 401, code = 'InvalidToken' } = {}) {
+    super(message);
+    this.name = 'WebhookAuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const positive = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+const list = value => String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+/**
+ * Picks the key for a token by its `kid` header; tokens without kid use JWT_SECRET.
+ * @param {string} token
+ * @param {Map<string, import('./jwt-keys').JwtKey>} keyring
+ * @returns {import('./jwt-keys').JwtKey}
+ */
+function selectKey(token, keyring) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) throw new WebhookAuthError('Malformed token.');
+  const kid = decoded.header.kid || DEFAULT_KID;
+  const key = keyring.get(kid);
+  if (!key) {
+    throw new WebhookAuthError(decoded.header.kid ? `Unknown key id "${kid}".` : 'Token has no "kid" header.', { code: 'UnknownKey' });
+  }
+  return key;
+}
+
+/**
+ * @param {string} token
+ * @param {object} [options]
+ * @param {Map<string, import('./jwt-keys').JwtKey>} [options.keyring]  Defaults to the keys from the environment.
+ * @param {string} [options.secret]          Verify against this single HS256 secret instead.
+ * @param {string[]} [options.issuer]        Accepted `iss` values (JWT_ISSUER).
+ * @param {string[]} [options.audience]      Accepted `aud` values (JWT_AUDIENCE).
+ * @param {number} [options.maxAgeSeconds]   Reject tokens issued longer ago (and valid longer) than this.
+ * @param {number} [options.clockToleranceSeconds]
+ * @param {number} [options.now]             Epoch seconds.
+ * @returns {object} The verified payload.
+ */
+function verifyWebhookToken(token, {
+  secret,
+  keyring,
+  issuer = list(process.env.JWT_ISSUER),
+  audience = list(process.env.JWT_AUDIENCE),
+  maxAgeSeconds = positive(process.env.WEBHOOK_TOKEN_MAX_AGE_SECONDS, DEFAULT_MAX_AGE_SECONDS),
+  clockToleranceSeconds = positive(process.env.WEBHOOK_CLOCK_TOLERANCE_SECONDS, DEFAULT_CLOCK_TOLERANCE_SECONDS),
+  now = Math.floor(Date.now() / 1000),
+} = {}) {
+  try {
+    keyring = keyring || (secret !== undefined ? createKeyring({ secret }) : getKeyring());
+  } catch (err) {
+    throw new WebhookAuthError(err.message, { status: 500, code: 'ServerConfigError' });
+  }
+  if (!keyring.size) {
+    throw new WebhookAuthError('No webhook keys configured (JWT_SECRET, JWT_KEYS or JWT_JWKS_FILE).', { status: 500, code: 'ServerConfigError' });
+  }
+
+  const { key, algorithms } = selectKey(token, keyring);
+  let payload;
+  try {
+    payload = jwt.verify(token, key, {
+      algorithms,
+      issuer: issuer.length ? issuer : undefined,
+      audience: audience.length ? audience : undefined,
+      maxAge: maxAgeSeconds,
+      clockTolerance: clockToleranceSeconds,
+      clockTimestamp: now,
+    });
+  } catch (err) {
+    throw new WebhookAuthError(err.message);
+  }
+
+  if (typeof payload.iat !== 'number' || typeof payload.exp !== 'number') {
+    throw new WebhookAuthError('Token must contain "iat" and "exp" claims.', { code: 'MissingClaims' });
+  }
+  if (payload.iat > now + clockToleranceSeconds) {
+    throw new WebhookAuthError('Token was issued in the future.');
+  }
+  if (payload.exp - payload.iat > maxAgeSeconds) {
+    throw new WebhookAuthError(`Token lifetime exceeds ${maxAgeSeconds} seconds.`, { code: 'TokenTooLongLived' });
+  }
+  return payload;
+}
+
+/**
+ * Checks the key of a native Dataverse webhook. Dataverse sends it either as
+ * the `code` query parameter (authentication type "WebhookKey") or in a
+ * header (type "HttpHeader"; header name DATAVERSE_WEBHOOK_KEY_HEADER).
+ * @param {{ query?: object, headers: object }} req
+ * @param {{ key?: string, header?: string }} [options]
+ */
+function verifyWebhookKey(req, {
+  key = process.env.DATAVERSE_WEBHOOK_KEY,
+  header = process.env.DATAVERSE_WEBHOOK_KEY_HEADER || 'x-webhook-key',
+} = {}) {
+  if (!key) {
+    throw new WebhookAuthError('DATAVERSE_WEBHOOK_KEY missing in env', { status: 500, code: 'ServerConfigError' });
+  }
+  const provided = req.query?.code || req.headers[header.toLowerCase()];
+  if (!provided || !safeEqual(provided, key)) {
+    throw new WebhookAuthError('Missing or invalid webhook key.', { code: 'InvalidWebhookKey' });
+  }
+}
+
+module.exports = {
+  WebhookAuthError,
+  verifyWebhookToken,
+  verifyWebhookKey,
+};
@@ -0,0 +1,42 @@
+// lib/worker.js
+// Runs queued sync jobs (lib/queue.js). Used by the worker endpoint
+// (api/sync-worker.js, called by the Vercel cron) and right after a webhook
+// has enqueued a job, so changes normally reach Webflow without waiting for
+// the next cron tick.
+
+const { getSyncQueue } = require('./queue');
+const { getEntityHandler } = require('./entity-handlers');
+
+const DEFAULT_TIME_BUDGET_MS = 50 * 1000;
+
+/**
+ * @param {import('./queue').SyncJob} job
+ */
+async function processSyncJob(job) {
+  const handler = getEntityHandler(job.entity);
+  if (!handler) {
+    throw new Error(`No sync handler for entity "${job.entity}".`);
+  }
+  console.log(`▶ Job ${job.id}: ${job.changeType} ${job.entity} ${job.recordId} (attempt ${job.attempts + 1})`);
+  await handler(job);
+}
+
+/**
+ * Drains due jobs until the queue is empty or the time budget is used up.
+ * @param {object} [options]
+ * @param {ReturnType<import('./queue').createJobQueue>} [options.queue]
+ * @param {number} [options.timeBudgetMs] Stop claiming new jobs after this long.
+ * @param {number} [options.maxJobs]
+ */
+async function runSyncWorker({ queue = getSyncQueue(), timeBudgetMs = DEFAULT_TIME_BUDGET_MS, maxJobs } = {}) {
+  const summary = await queue.drain(processSyncJob, { deadline: Date.now() + timeBudgetMs, maxJobs });
+  if (summary.processed) {
+    console.log(`Sync worker: ${summary.succeeded} succeeded, ${summary.retried} scheduled for retry, ${summary.dead} dead-lettered.`);
+  }
+  return summary;
+}
+
+module.exports = {
+  processSyncJob,
+  runSyncWorker,
+};
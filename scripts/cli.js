@@ -0,0 +1,348 @@
+/**
+ * cli.js – v1.0
+ * One entry point for the operations tasks: CRM checks, syncs, Webflow inspection and
+ * test tokens. Replaces `node lib/crm.js`, scripts/test-crm.js and scripts/test-1event.js.
+ * - Every command prints a human-readable result, or with --json exactly one JSON document
+ *   on stdout (progress logs go to stderr), also for errors: { "error": { name, message } }.
+ * - --env=<profile> loads .env.<profile> (e.g. .env.staging) before .env; variables already
+ *   set in the shell take precedence over both.
+ * - Exit codes: 0 success, 1 the command failed or found problems (missing events, schema
+ *   drift), 2 usage error (including an unknown --env profile).
+ * - USAGE: node scripts/cli.js <command> [arguments] [--json] [--env=<profile>]
+ *          node scripts/cli.js help [<command>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const ROOT = path.resolve(__dirname, '..');
+const COLLECTION_KEYS = ['EVENTS', 'LOCATIONS', 'CATEGORIES', 'AIRPORTS'];
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const GLOBAL_OPTIONS = {
+  json: { type: 'boolean' },
+  env: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+function resolveCollection(name) {
+  const { getCollectionIds } = require('../lib/sync');
+  const key = String(name).toUpperCase();
+  if (COLLECTION_KEYS.includes(key)) {
+    const id = getCollectionIds()[key];
+    if (!id) throw new UsageError(`WEBFLOW_COLLECTION_ID_${key} is not set.`);
+    return { key, id };
+  }
+  // Anything else is taken as a Webflow collection ID.
+  return { key: null, id: name };
+}
+
+const itemStatus = item => (item.isArchived ? 'archived' : item.isDraft || !item.lastPublished ? 'draft' : 'live');
+
+// Library modules are required inside the commands, after --env has been applied:
+// several of them read their configuration when they are loaded.
+const COMMANDS = {
+  'crm:whoami': {
+    args: [],
+    description: 'Checks the CRM connection and prints the user the app authenticates as.',
+    run: () => require('../lib/crm').getWhoAmI(),
+    format: me => `✅ Connected to ${process.env.CRM_BASE_URL} as user ${me.UserId} (business unit ${me.BusinessUnitId}).`,
+  },
+
+  'crm:events': {
+    args: [],
+    usage: '[--id=<event-id> ...]',
+    description: 'Lists the published CRM events (m8_GetEventsV1), or only the given IDs.',
+    options: { id: { type: 'string', multiple: true } },
+    async run({ values }) {
+      const res = await require('../lib/crm').getEvents(values.id);
+      const events = res?.value ?? [];
+      return values.id ? events.filter(ev => values.id.includes(ev.m8_eventid)) : events;
+    },
+    failed(events, { values }) {
+      const missing = (values.id || []).filter(id => !events.some(ev => ev.m8_eventid === id));
+      return missing.length ? `Not found among the published events: ${missing.join(', ')}` : null;
+    },
+    format: events => (events.length
+      ? events.map(ev => `${ev.m8_eventid}  ${String(ev.m8_startdate || '').slice(0, 10).padEnd(10)}  ${ev.m8_name}`).join('\n')
+      : 'No published events.'),
+  },
+
+  'crm:price-level': {
+    args: ['<event-id>'],
+    description: 'Prints the price level of an event (m8_GetEventPriceLevelV1).',
+    run: ({ positionals: [eventId] }) => require('../lib/crm').getEventPriceLevel(eventId),
+    format: result => JSON.stringify(result, null, 2),
+  },
+
+  'sync:event': {
+    args: ['<event-id>', '[Create|Update|Delete]'],
+    usage: '[--rename-slugs] [--dry-run [--plan=plan.json]]',
+    description: 'Syncs one event from the CRM to Webflow (scripts/sync_single.js).',
+    options: {
+      'dry-run': { type: 'boolean' },
+      'rename-slugs': { type: 'boolean' },
+      plan: { type: 'string' },
+    },
+    run({ positionals: [eventId, changeType = 'Update'], values }) {
+      if (!['Create', 'Update', 'Delete'].includes(changeType)) {
+        throw new UsageError(`Unknown change type "${changeType}". Use Create, Update or Delete.`);
+      }
+      return require('./sync_single')(eventId, changeType, {
+        dryRun: Boolean(values['dry-run']),
+        planFile: values.plan || null,
+        renameSlugs: Boolean(values['rename-slugs']),
+        trigger: 'cli',
+      });
+    },
+    format: result => {
+      if (result === null) return '⏳ Another sync of this event is running; this one runs right after it.';
+      if (result.ops) return `📋 ${result.ops.length} planned operation(s).`;
+      return require('../lib/sync').formatSyncStats(result);
+    },
+  },
+
+  'sync:full': {
+    args: [],
+    usage: '[--delta] [--orphan-policy=unpublish|archive|delete|none] [--rename-slugs] [--dry-run [--plan=plan.json]] | --apply=plan.json',
+    description: 'Runs a full or delta sync (scripts/sync_full.js), or applies a saved dry-run plan.',
+    options: {
+      delta: { type: 'boolean' },
+      'orphan-policy': { type: 'string' },
+      'rename-slugs': { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+      plan: { type: 'string' },
+      apply: { type: 'string' },
+    },
+    run({ values }) {
+      if (values.apply) return require('../lib/plan').applyPlanFile(values.apply);
+      return require('./sync_full')({
+        ...(values['orphan-policy'] && { orphanPolicy: values['orphan-policy'] }),
+        dryRun: Boolean(values['dry-run']),
+        planFile: values.plan || null,
+        renameSlugs: Boolean(values['rename-slugs']),
+        delta: Boolean(values.delta),
+        trigger: 'cli',
+      });
+    },
+    format: result => {
+      if (result.applied !== undefined) return `✅ Applied ${result.applied} operation(s).`;
+      if (result.ops) return `📋 ${result.ops.length} planned operation(s).`;
+      return require('../lib/sync').formatSyncStats(result);
+    },
+  },
+
+  'webflow:list': {
+    args: ['<collection>'],
+    description: 'Lists the items of a collection (EVENTS, LOCATIONS, CATEGORIES, AIRPORTS or a collection ID).',
+    async run({ positionals: [name] }) {
+      const { id } = resolveCollection(name);
+      return require('../lib/webflow').getWebflowClient().listAllItems(id);
+    },
+    format: (items, { positionals: [name] }) => {
+      const { MAPPINGS } = require('../lib/mappings');
+      const crmIdSlug = MAPPINGS[String(name).toUpperCase()]?.crmIdSlug;
+      const lines = items.map(item => [
+        item.id,
+        itemStatus(item).padEnd(8),
+        ...(crmIdSlug ? [String(item.fieldData?.[crmIdSlug] || '–').padEnd(36)] : []),
+        item.fieldData?.slug,
+      ].join('  '));
+      return [...lines, `${items.length} item(s)`].join('\n');
+    },
+  },
+
+  'webflow:schema': {
+    args: ['[collection ...]'],
+    description: 'Prints the Webflow collection schemas and checks them against lib/mappings.js.',
+    async run({ positionals }) {
+      const { MAPPINGS } = require('../lib/mappings');
+      const { getCollectionIds } = require('../lib/sync');
+      const { validateCollectionSchema } = require('../lib/schema');
+      const client = require('../lib/webflow').getWebflowClient();
+      const keys = positionals.length ? positionals.map(name => String(name).toUpperCase()) : COLLECTION_KEYS;
+      const unknown = keys.filter(key => !COLLECTION_KEYS.includes(key));
+      if (unknown.length) throw new UsageError(`Unknown collection(s): ${unknown.join(', ')}. Use ${COLLECTION_KEYS.join(', ')}.`);
+      const collectionIds = getCollectionIds();
+      const collections = [];
+      for (const key of keys) {
+        const { id } = resolveCollection(key);
+        const collection = await client.getCollection(id);
+        collections.push({
+          key,
+          id,
+          displayName: collection?.displayName,
+          fields: (collection?.fields || []).map(({ slug, type, isRequired }) => ({ slug, type, isRequired })),
+          problems: validateCollectionSchema(MAPPINGS[key], collection, collectionIds),
+        });
+      }
+      return collections;
+    },
+    failed: collections => {
+      const count = collections.reduce((sum, c) => sum + c.problems.length, 0);
+      return count ? `${count} field(s) do not match the mappings.` : null;
+    },
+    format: collections => {
+      const { formatSchemaReport } = require('../lib/schema');
+      return collections.map(({ key, id, displayName, fields, problems }) => [
+        `${key} – ${displayName || '?'} (${id})`,
+        ...fields.map(field => `    ${field.slug.padEnd(28)} ${field.type}${field.isRequired ? ' (required)' : ''}`),
+        problems.length ? formatSchemaReport(problems) : '  ✓ matches the mappings',
+      ].join('\n')).join('\n\n');
+    },
+  },
+
+  'jwt:mint': {
+    args: [],
+    usage: '[--kid=<kid>] [--key-file=private.pem] [--alg=<alg>] [--entity=Event] [--record=<id>] [--change=Update] [--ttl=60] [--iss=<issuer>] [--aud=<audience>] [--role=<role>]',
+    description: 'Mints a webhook or admin token (scripts/mint_token.js).',
+    options: Object.fromEntries(['kid', 'key-file', 'alg', 'entity', 'record', 'change', 'ttl', 'iss', 'aud', 'role'].map(name => [name, { type: 'string' }])),
+    run({ values }) {
+      const { 'key-file': keyFile, ...options } = values;
+      if (keyFile) options.privateKey = require('crypto').createPrivateKey(fs.readFileSync(keyFile, 'utf8'));
+      return { token: require('./mint_token')(options) };
+    },
+    format: ({ token }) => token,
+  },
+};
+
+function usageOf(name, command) {
+  return [`node scripts/cli.js ${name}`, ...command.args, command.usage].filter(Boolean).join(' ');
+}
+
+function helpText(name) {
+  if (name && COMMANDS[name]) return `${usageOf(name, COMMANDS[name])}\n  ${COMMANDS[name].description}`;
+  const lines = Object.entries(COMMANDS).map(([n, command]) => `  ${n.padEnd(16)} ${command.description}`);
+  return [
+    'Usage: node scripts/cli.js <command> [arguments] [--json] [--env=<profile>]',
+    '',
+    'Commands:',
+    ...lines,
+    '',
+    'Run `node scripts/cli.js help <command>` for the arguments of a command.',
+  ].join('\n');
+}
+
+/**
+ * Loads .env.<profile>, then .env. dotenv never overrides a variable that is
+ * already set, so the shell wins over the profile and the profile over .env.
+ * @param {string} [profile]
+ * @param {string} [root]
+ */
+function loadEnv(profile, root = ROOT) {
+  const dotenv = require('dotenv');
+  if (profile) {
+    if (!/^[\w.-]+$/.test(profile)) throw new UsageError(`Invalid env profile "${profile}".`);
+    const file = path.join(root, `.env.${profile}`);
+    if (!fs.existsSync(file)) throw new UsageError(`Env profile "${profile}" not found (${file}).`);
+    dotenv.config({ path: file });
+  }
+  dotenv.config({ path: path.join(root, '.env') });
+}
+
+/**
+ * @param {string[]} argv
+ * @returns {{ name: string, command: object, values: object, positionals: string[] }}
+ */
+function parseCommandLine(argv) {
+  let first;
+  try {
+    first = parseArgs({ args: argv, options: GLOBAL_OPTIONS, allowPositionals: true, strict: false });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const [name = 'help', ...rest] = first.positionals;
+  if (name === 'help' || first.values.help) {
+    return { name: 'help', command: null, values: first.values, positionals: name === 'help' ? rest : [name] };
+  }
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(`Unknown command "${name}".`);
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: { ...GLOBAL_OPTIONS, ...command.options }, allowPositionals: true, strict: true });
+  } catch (err) {
+    throw new UsageError(`${err.message}\nUsage: ${usageOf(name, command)}`);
+  }
+  const positionals = parsed.positionals.slice(1);
+  const required = command.args.filter(arg => arg.startsWith('<')).length;
+  const variadic = command.args.some(arg => arg.includes('...'));
+  if (positionals.length < required || (!variadic && positionals.length > command.args.length)) {
+    throw new UsageError(`Wrong number of arguments.\nUsage: ${usageOf(name, command)}`);
+  }
+  return { name, command, values: parsed.values, positionals };
+}
+
+const describeError = err => ({
+  name: err.name || 'Error',
+  message: err.message,
+  ...(err.code && { code: err.code }),
+  ...(err.status && { status: err.status }),
+  ...(err.problems && { problems: err.problems }),
+});
+
+/**
+ * Runs one command line.
+ * @param {string[]} [argv]
+ * @param {object} [io]
+ * @param {NodeJS.WritableStream} [io.stdout]
+ * @param {string} [io.root]  Directory with the .env files.
+ * @returns {Promise<number>} The exit code.
+ */
+async function run(argv = process.argv.slice(2), { stdout = process.stdout, root = ROOT } = {}) {
+  const json = argv.includes('--json');
+  const print = value => stdout.write(`${json ? JSON.stringify(value, null, 2) : value}\n`);
+  const log = console.log;
+  const info = console.info;
+  try {
+    const { name, command, values, positionals } = parseCommandLine(argv);
+    if (!command) {
+      const topic = positionals[0];
+      if (topic && !COMMANDS[topic]) throw new UsageError(`Unknown command "${topic}".`);
+      print(json ? { help: helpText(topic) } : helpText(topic));
+      return 0;
+    }
+    loadEnv(values.env, root);
+    // Keep stdout for the result document.
+    if (json) console.log = console.info = console.error;
+    const args = { values, positionals };
+    const result = await command.run(args);
+    console.log = log;
+    console.info = info;
+    print(json ? result : command.format(result, args));
+    const problem = command.failed?.(result, args);
+    if (problem) {
+      console.error(`❌ ${problem}`);
+      return 1;
+    }
+    return 0;
+  } catch (err) {
+    console.log = log;
+    console.info = info;
+    const usage = err instanceof UsageError;
+    if (json) print({ error: describeError(err) });
+    else console.error(usage ? `${err.message}\n\n${helpText()}` : `❌ ${err.message}`);
+    return usage ? 2 : 1;
+  }
+}
+
+module.exports = {
+  COMMANDS,
+  UsageError,
+  loadEnv,
+  parseCommandLine,
+  run,
+};
+
+if (require.main === module) {
+  run().then(code => {
+    process.exitCode = code;
+  });
+}
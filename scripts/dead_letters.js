@@ -0,0 +1,62 @@
+/**
+ * dead_letters.js – v1.0
+ * Inspects and repairs the sync job queue (lib/queue.js).
+ * - USAGE: node scripts/dead_letters.js list
+ *          node scripts/dead_letters.js retry <job-id>|--all
+ *          node scripts/dead_letters.js purge <job-id>|--all
+ *          node scripts/dead_letters.js work            (drain due jobs locally)
+ */
+
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { getSyncQueue } = require('../lib/queue');
+const { isKvConfigured } = require('../lib/kv');
+
+const USAGE = 'Usage: node scripts/dead_letters.js list | retry <job-id>|--all | purge <job-id>|--all | work';
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: { all: { type: 'boolean' } },
+  });
+  const [command, id] = positionals;
+  if (!isKvConfigured()) {
+    console.warn('⚠️ KV is not configured – this process only sees its own (empty) queue.');
+  }
+  const queue = getSyncQueue();
+
+  switch (command) {
+    case 'list': {
+      const stats = await queue.stats();
+      console.log(`Queue: ${stats.pending} pending, ${stats.processing} processing, ${stats.dead} dead-lettered.`);
+      for (const job of await queue.listDead()) {
+        console.log(`\n✗ ${job.id}  ${job.changeType} ${job.entity} ${job.recordId}`);
+        console.log(`    ${job.attempts} attempt(s), last failure ${job.failedAt}: ${job.lastError}`);
+      }
+      return;
+    }
+    case 'retry':
+    case 'purge': {
+      if (!id && !values.all) throw new Error(`${command} needs a job ID or --all.\n${USAGE}`);
+      const count = command === 'retry' ? await queue.retryDead(id) : await queue.purgeDead(id);
+      console.log(`✅  ${command === 'retry' ? 'Re-enqueued' : 'Purged'} ${count} job(s).`);
+      return;
+    }
+    case 'work': {
+      // Loaded lazily: it pulls in the whole sync stack.
+      const { runSyncWorker } = require('../lib/worker');
+      const summary = await runSyncWorker({ queue });
+      console.log(`✅  Processed ${summary.processed} job(s).`);
+      return;
+    }
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,96 @@
+/**
+ * mint_token.js – v1.2
+ * Mints a webhook token for testing the CRM webhook against any configured key.
+ * - CHANGED: Tokens with --role are signed with a key from the admin keyring (ADMIN_JWT_SECRET,
+ *   ADMIN_JWT_KEYS, ADMIN_JWT_JWKS_FILE) and carry ADMIN_JWT_ISSUER / ADMIN_JWT_AUDIENCE.
+ * - ADDED: --role=<role> adds a `role` claim, for the admin endpoints (ADMIN_JWT_ROLE).
+ * - HMAC keys (JWT_SECRET, secrets in JWT_KEYS / JWT_JWKS_FILE) are taken from the keyring;
+ *   RSA/EC keys need the private key via --key-file.
+ * - The token carries iat/exp, a random jti, and JWT_ISSUER / JWT_AUDIENCE unless overridden.
+ * - USAGE: node scripts/mint_token.js [--kid=<kid>] [--key-file=private.pem] [--alg=HS256|RS256|ES256|…]
+ *          [--entity=Event] [--record=<id>] [--change=Update] [--ttl=60] [--iss=<issuer>] [--aud=<audience>]
+ *          [--role=sync-admin]
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { DEFAULT_KID, getKeyring, getAdminKeyring } = require('../lib/jwt-keys');
+
+/**
+ * @param {object} options
+ * @param {string} [options.role]      Adds a `role` claim and signs with the admin keyring (admin tokens).
+ * @param {string} [options.kid]       Key ID; "default" (JWT_SECRET or ADMIN_JWT_SECRET) if omitted.
+ * @param {string|crypto.KeyObject} [options.privateKey]  Signing key for RSA/EC keys.
+ * @param {string} [options.alg]       Defaults to the first algorithm the key allows.
+ * @param {string} [options.entity]
+ * @param {string} [options.record]
+ * @param {string} [options.change]
+ * @param {number} [options.ttl]       Lifetime in seconds.
+ * @param {string} [options.iss]
+ * @param {string} [options.aud]
+ * @param {Map<string, import('../lib/jwt-keys').JwtKey>} [options.keyring]
+ * @returns {string}
+ */
+function mintToken({
+  role,
+  kid = DEFAULT_KID,
+  privateKey,
+  alg,
+  entity = 'Event',
+  record = crypto.randomUUID(),
+  change = 'Update',
+  ttl = 60,
+  iss = (role ? process.env.ADMIN_JWT_ISSUER : process.env.JWT_ISSUER)?.split(',')[0].trim(),
+  aud = (role ? process.env.ADMIN_JWT_AUDIENCE : process.env.JWT_AUDIENCE)?.split(',')[0].trim(),
+  keyring = role ? getAdminKeyring() : getKeyring(),
+} = {}) {
+  const entry = keyring.get(kid);
+  if (!entry) {
+    throw new Error(`Unknown key id "${kid}". Configured: ${[...keyring.keys()].join(', ') || 'none'}.`);
+  }
+  const algorithm = alg || entry.algorithms[0];
+  if (!entry.algorithms.includes(algorithm)) {
+    throw new Error(`Key "${kid}" does not allow ${algorithm} (allowed: ${entry.algorithms.join(', ')}).`);
+  }
+  const signingKey = entry.key.type === 'secret' ? entry.key : privateKey;
+  if (!signingKey) {
+    throw new Error(`Key "${kid}" is a public key. Pass the matching private key with --key-file.`);
+  }
+
+  return jwt.sign(
+    { entityName: entity, recordId: record, changeType: change, ...(role && { role }) },
+    signingKey,
+    {
+      algorithm,
+      expiresIn: Number(ttl),
+      jwtid: crypto.randomUUID(),
+      ...(kid !== DEFAULT_KID && { keyid: kid }),
+      ...(iss && { issuer: iss }),
+      ...(aud && { audience: aud }),
+    },
+  );
+}
+
+module.exports = mintToken;
+
+if (require.main === module) {
+  const options = {};
+  for (const arg of process.argv.slice(2)) {
+    const [, name, value] = arg.match(/^--([\w-]+)=(.*)$/) || [];
+    if (!name) {
+      console.error(`Unknown argument "${arg}". Usage: node scripts/mint_token.js [--kid=<kid>] [--key-file=private.pem] [--alg=<alg>] [--entity=Event] [--record=<id>] [--change=Update] [--ttl=60] [--iss=<issuer>] [--aud=<audience>] [--role=<role>]`);
+      process.exit(1);
+    }
+    options[name] = value;
+  }
+  try {
+    const { 'key-file': keyFile, ...rest } = options;
+    if (keyFile) rest.privateKey = crypto.createPrivateKey(fs.readFileSync(keyFile, 'utf8'));
+    console.log(mintToken(rest));
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * rebuild_id_index.js – v1.0
+ * Rebuilds the CRM-ID → Webflow-ID index (lib/id-index.js) from Webflow.
+ * - Needed after items were created or deleted in Webflow outside the middleware;
+ *   otherwise the index is rebuilt automatically when it expires and by every full sync.
+ * - USAGE: node scripts/rebuild_id_index.js [EVENTS|LOCATIONS|CATEGORIES|AIRPORTS ...]
+ */
+
+require('dotenv').config();
+const { getWebflowClient } = require('../lib/webflow');
+const { MAPPINGS } = require('../lib/mappings');
+const { getCollectionIds } = require('../lib/sync');
+const { getIdIndex } = require('../lib/id-index');
+const { isKvConfigured } = require('../lib/kv');
+
+/**
+ * @param {string[]} [keys] Collection keys; defaults to all collections.
+ * @returns {Promise<Object<string, number>>} Indexed item count per collection.
+ */
+async function rebuildIdIndex(keys = Object.keys(MAPPINGS)) {
+  const unknown = keys.filter(key => !MAPPINGS[key]);
+  if (unknown.length) {
+    throw new Error(`Unknown collection(s): ${unknown.join(', ')}. Use one of: ${Object.keys(MAPPINGS).join(', ')}.`);
+  }
+  if (!isKvConfigured()) {
+    console.warn('⚠️ KV is not configured – the index only lives in this process.');
+  }
+  const index = getIdIndex({ client: getWebflowClient(), collectionIds: getCollectionIds() });
+  const counts = {};
+  for (const key of keys) {
+    const items = await index.rebuild(key);
+    counts[key] = items.length;
+    console.log(`   ✓ ${key}: ${items.length} item(s) indexed.`);
+  }
+  return counts;
+}
+
+module.exports = rebuildIdIndex;
+
+if (require.main === module) {
+  const keys = process.argv.slice(2).map(key => key.toUpperCase());
+  rebuildIdIndex(keys.length ? keys : undefined)
+    .then(() => console.log('✅  ID index rebuilt.'))
+    .catch(err => {
+      console.error(`❌ Failed to rebuild the ID index: ${err.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,66 @@
+/**
+ * slug_redirects.js – v1.0
+ * Prints 301 redirects from old to current item slugs, from the slug history (lib/slug.js).
+ * - Slugs only change when a sync runs with --rename-slugs; every replaced slug is recorded.
+ * - Paths use the collection slug from Webflow (e.g. /events/<slug>) unless --path is given.
+ * - Output is CSV (source,target) for Webflow's redirect settings, or JSON with --json.
+ * - USAGE: node scripts/slug_redirects.js [EVENTS|LOCATIONS|CATEGORIES|AIRPORTS ...] [--path=/events] [--json]
+ */
+
+require('dotenv').config();
+const { getWebflowClient } = require('../lib/webflow');
+const { MAPPINGS } = require('../lib/mappings');
+const { getCollectionIds } = require('../lib/sync');
+const { createSlugHistory } = require('../lib/slug');
+
+/**
+ * @param {object} [options]
+ * @param {string[]} [options.keys]  Collection keys; defaults to all collections.
+ * @param {string} [options.path]    URL path of the collection pages; looked up in Webflow if omitted.
+ * @param {ReturnType<typeof createSlugHistory>} [options.history]
+ * @returns {Promise<Array<{ collection: string, source: string, target: string, crmId: string, changedAt: string }>>}
+ */
+async function getSlugRedirects({ keys = Object.keys(MAPPINGS), path = null, history = createSlugHistory() } = {}) {
+  const unknown = keys.filter(key => !MAPPINGS[key]);
+  if (unknown.length) {
+    throw new Error(`Unknown collection(s): ${unknown.join(', ')}. Use one of: ${Object.keys(MAPPINGS).join(', ')}.`);
+  }
+  const collectionIds = getCollectionIds();
+  const redirects = [];
+  for (const key of keys) {
+    const entries = await history.list(key);
+    if (!entries.length) continue;
+    const base = path ?? `/${(await getWebflowClient().getCollection(collectionIds[key])).slug}`;
+    for (const { from, to, crmId, changedAt } of entries) {
+      redirects.push({ collection: key, source: `${base}/${from}`, target: `${base}/${to}`, crmId, changedAt });
+    }
+  }
+  return redirects;
+}
+
+module.exports = getSlugRedirects;
+
+if (require.main === module) {
+  const { parseArgs } = require('util');
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      path: { type: 'string' },
+      json: { type: 'boolean' },
+    },
+  });
+  const keys = positionals.map(key => key.toUpperCase());
+  getSlugRedirects({ ...(keys.length && { keys }), path: values.path ?? null })
+    .then(redirects => {
+      if (values.json) {
+        console.log(JSON.stringify(redirects, null, 2));
+        return;
+      }
+      console.log('source,target');
+      for (const { source, target } of redirects) console.log(`${source},${target}`);
+    })
+    .catch(err => {
+      console.error(`❌ Failed to list slug redirects: ${err.message}`);
+      process.exit(1);
+    });
+}
@@ -1,178 +1,194 @@
 /**
- * sync_full.js  – v3.5 (27 Aug 2025)
+ * sync_full.js  – v3.13
  * One-way, full sync from Dynamics CRM → Webflow CMS
+ * - FIXED: Delta runs apply the orphan threshold (SYNC_ORPHAN_MAX_PERCENT) to the events
+ *   they unpublish, archive or delete, measured against the whole events collection.
+ * - CHANGED: Delta runs fetch the modified locations, categories and airports with one CRM
+ *   $batch request (crm.getReferenceData) instead of one call per collection.
+ * - ADDED: Every run is recorded in the sync run history (lib/run-history.js) with its
+ *   trigger, decisions, the Webflow items it wrote, counters, duration and error.
+ * - ADDED: Delta mode (--delta). Only events and reference records modified since the last
+ *   successful run (watermark in KV, lib/delta.js) are fetched and synced; without a
+ *   watermark a full sync runs. Every successful run moves the watermark.
+ * - ADDED: Validates the Webflow collection schemas against lib/mappings.js (lib/schema.js)
+ *   before fetching or writing anything; missing or mistyped fields fail the run with a report.
+ * - ADDED: Unique, stable slugs (lib/slug.js). Events with the same name get a date or
+ *   short-ID suffix instead of failing to create, renamed records keep their slug unless
+ *   --rename-slugs is given, and replaced slugs are recorded for redirects.
+ * - ADDED: Rewrites the CRM-ID → Webflow-ID index (lib/id-index.js) from the collection
+ *   listings and keeps it current for items it creates or deletes.
+ * - CHANGED: Webflow calls go through the shared client in lib/webflow.js. The
+ *   limiter follows Webflow's X-RateLimit headers instead of sleeping 1100 ms per request.
+ * - FIXED: Event updates now also send isArchived/isDraft = false, like sync_single.js.
+ * - CHANGED: fieldData is built from lib/mappings.js; events missing required fields are skipped.
+ * - ADDED: Orphan reconciliation – events no longer published in the CRM and reference items
+ *   no event uses any more are unpublished, archived or deleted (SYNC_ORPHAN_POLICY), with a
+ *   safety threshold (SYNC_ORPHAN_MAX_PERCENT) that aborts mass removals.
+ * - ADDED: Change detection – unchanged events and reference items are neither PATCHed nor
+ *   re-published. Each run logs and returns created/updated/unchanged/skipped counters.
  * - FIXED: Corrected the field slug for the description to 'description-3'.
  * - ADDED: Sync for the new 'm8_description' field.
  * - ADDED: Sync for the 'eventbookingpercentage' field.
  * - FIXED: Now runs reliably as a background task on Vercel Pro.
  * - REMOVED: The initial diagnostic check to google.com is no longer needed.
  * - NOTE: This script is triggered by api/crm-webhook.js, which uses `waitUntil`.
+ * - ADDED: Dry-run mode (--dry-run [--plan=plan.json]) that records every write as a plan,
+ *   and --apply plan.json to execute a saved plan later.
+ * - USAGE: node scripts/sync_full.js [--delta] [--orphan-policy=unpublish|archive|delete|none] [--rename-slugs] [--dry-run [--plan=plan.json]]
+ *          node scripts/sync_full.js --apply plan.json
  */
 
 require('dotenv').config();
-const { getEvents } = require('../lib/crm');
-const axios = require('axios');
-
-// --- Helpers ---------------------------------------------------------------
-const webflowApiBase = 'https://api.webflow.com/v2';
+const { getEvents, getReferenceData, query } = require('../lib/crm');
+const { getWebflowClient } = require('../lib/webflow');
+const { MAPPINGS, MappingError, getCrmId } = require('../lib/mappings');
+const {
+  buildItemCache, createSyncStats, formatSyncStats, upsertItem, upsertReferenceItem, syncReferences, loadReferenceCaches, mapEvent,
+} = require('../lib/sync');
+const { ORPHAN_POLICIES, findOrphans, assertOrphanThreshold, removeOrphans } = require('../lib/orphans');
+const { createPlanningClient, finishDryRun, applyPlanFile } = require('../lib/plan');
+const { getIdIndex } = require('../lib/id-index');
+const { createSlugHistory } = require('../lib/slug');
+const { validateSchemas } = require('../lib/schema');
+const { findModifiedRecords, getSyncWatermark } = require('../lib/delta');
+const { getRunHistory } = require('../lib/run-history');
+
+// --- Delta sync ------------------------------------------------------------
+
+/** getReferenceData() result per reference collection. */
+const REFERENCE_DATA_KEYS = {
+  LOCATIONS: 'locations',
+  CATEGORIES: 'categories',
+  AIRPORTS: 'airports',
+};
 
 /**
- * [MODIFIED] Makes a call to the Webflow API with rate-limiting in mind.
- * It automatically adds a small delay to every request and implements a
- * retry mechanism with exponential backoff if a 429 "Too Many Requests"
- * error is encountered.
+ * Syncs only the records modified since `since`. Items are looked up through
+ * the ID index instead of listing the collections. Modified reference records
+ * only refresh items that already exist; new ones are created with the first
+ * event that uses them. Modified events that are no longer published are
+ * cleaned up according to the orphan policy, within the same threshold as a full sync.
  */
-async function callWebflowApi(method, endpoint, body = null) {
-  const WEBFLOW_API_TOKEN = process.env.WEBFLOW_API_TOKEN;
-  const fullUrl = `${webflowApiBase}${endpoint}`;
-  
-  const timeout = 45000; // 45 seconds
-
-  const options = {
-    method,
-    url: fullUrl,
-    headers: {
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${WEBFLOW_API_TOKEN}`,
-      'Content-Type': 'application/json',
-    },
-    timeout,
-  };
-
-  if (body) {
-    options.data = body;
+async function runDeltaSync({
+  webflow, collectionIds, since, overlapMs, orphanPolicy, maxOrphanPercent, dryRun, renameSlugs, slugHistory, stats, run,
+}) {
+  const index = getIdIndex({ client: webflow, collectionIds });
+  // In dry-run mode the index is only read; placeholder IDs must not end up in it.
+  const indexWrites = dryRun ? null : index;
+
+  console.log(`Fetching CRM records modified since ${since.toISOString()} (with ${overlapMs / 1000}s overlap)...`);
+  const modified = await findModifiedRecords({ since, query, overlapMs });
+  for (const [key, ids] of Object.entries(modified)) console.log(`   • ${key}: ${ids.length} modified record(s)`);
+  run.decide(`Modified since ${since.toISOString()}: ${Object.entries(modified).map(([key, ids]) => `${ids.length} ${key}`).join(', ')}.`);
+
+  const referenceCaches = {};
+  for (const key of Object.keys(REFERENCE_DATA_KEYS)) {
+    referenceCaches[key] = modified[key].length ? await index.getItems(key, modified[key]) : new Map();
   }
-
-  // --- START: NEW Rate Limiting & Retry Logic ---
-  const maxRetries = 5;
-  let attempt = 0;
-
-  while (attempt < maxRetries) {
-    try {
-      // Add a small, consistent delay before every request to stay under the limit.
-      // 1100ms provides a safe buffer below the 60 requests/minute limit.
-      await new Promise(resolve => setTimeout(resolve, 1100));
-      
-      const response = await axios(options);
-      return response.data;
-    } catch (error) {
-      // Check specifically for the rate limit error (status 429)
-      if (error.response && error.response.status === 429) {
-        attempt++;
-        const retryAfter = error.response.headers['retry-after'];
-        // Use the wait time suggested by Webflow's API, or default to an exponential backoff
-        const waitTime = retryAfter ? parseInt(retryAfter, 10) * 1000 : (2 ** attempt) * 1000;
-        
-        console.warn(`      -> Rate limit hit. Retrying after ${waitTime / 1000}s... (Attempt ${attempt}/${maxRetries})`);
-        
-        if (attempt >= maxRetries) {
-          console.error(`      -> Max retries reached for request to ${fullUrl}. Aborting.`);
-          throw error; // Rethrow the error after the final attempt fails
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-      } else {
-        // Handle all other types of errors (e.g., timeouts, validation errors)
-        if (axios.isCancel(error)) {
-            console.error(`Request to ${fullUrl} was canceled or timed out.`);
-        } else if (error.response) {
-          console.error(`      -> Webflow API Error Status: ${error.response.status}`);
-          console.error(`      -> Webflow API Error Data:`, error.response.data);
-        } else if (error.request) {
-          console.error(`      -> No response received from Webflow API for request:`, error.request);
-        } else {
-          console.error('      -> Axios request setup error:', error.message);
-        }
-        throw error; // Rethrow the error to be caught by the main sync function
+  // The modified records that exist in Webflow, of all reference collections in one $batch.
+  const referenceData = await getReferenceData(Object.fromEntries(Object.entries(REFERENCE_DATA_KEYS)
+    .map(([key, name]) => [name, [...referenceCaches[key].keys()]])));
+  for (const [key, name] of Object.entries(REFERENCE_DATA_KEYS)) {
+    const cache = referenceCaches[key];
+    for (const record of referenceData[name]?.value ?? []) {
+      if (!cache.has(getCrmId(MAPPINGS[key], record))) continue;
+      try {
+        await upsertReferenceItem({
+          client: webflow, mapping: MAPPINGS[key], collectionId: collectionIds[key], cache, record, stats, index: indexWrites, renameSlugs, slugHistory,
+        });
+      } catch (err) {
+        if (!(err instanceof MappingError)) throw err;
+        console.warn(`   ⚠️ skipped: ${err.message}`);
+        stats[key].skipped++;
       }
     }
   }
-  // This line should theoretically not be reached, but it's good practice
-  throw new Error('Exited retry loop unexpectedly in callWebflowApi.');
-  // --- END: NEW Rate Limiting & Retry Logic ---
-}
 
-async function fetchAllWebflowItemsPaginated(collectionId) {
-    let allItems = [];
-    let offset = 0;
-    const limit = 100;
-    let hasMore = true;
+  const eventIds = modified.EVENTS;
+  if (!eventIds.length) return;
+  const crmEvents = ((await getEvents(eventIds))?.value ?? []).filter(ev => eventIds.includes(ev.m8_eventid));
+  const eventCache = await index.getItems('EVENTS', eventIds);
 
-    while(hasMore) {
-        const response = await callWebflowApi('GET', `/collections/${collectionId}/items?limit=${limit}&offset=${offset}`);
-        
-        if (response && response.items && response.items.length > 0) {
-            allItems = allItems.concat(response.items);
-            offset += response.items.length;
-        }
-        
-        hasMore = response && response.pagination && (offset < response.pagination.total);
+  for (const ev of crmEvents) {
+    console.log(`\n→ Processing Event: ${ev.m8_name} (${ev.m8_eventid})`);
+    let fieldData;
+    try {
+      const caches = await loadReferenceCaches({ index, mapping: MAPPINGS.EVENTS, record: ev });
+      await syncReferences({
+        client: webflow, mapping: MAPPINGS.EVENTS, record: ev, collectionIds, caches, stats, index: indexWrites, renameSlugs, slugHistory,
+      });
+      fieldData = mapEvent(ev, caches);
+    } catch (err) {
+      if (!(err instanceof MappingError)) throw err;
+      console.warn(`   ⚠️ skipped: ${err.message}`);
+      stats[err.collection].skipped++;
+      if (err.collection !== 'EVENTS') stats.EVENTS.skipped++;
+      continue;
     }
-    return allItems;
-}
-
-async function publishItem(collectionId, itemId) {
-  await callWebflowApi(
-    'POST',
-    `/collections/${collectionId}/items/publish`,
-    { itemIds: [itemId] },
-  );
-}
-
-const slugify = txt =>
-  (txt || '')
-    .toString()
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, '-')
-    .replace(/[^\w-]+/g, '')
-    .replace(/--+/g, '-')
-    .replace(/^-+|-+$/g, '');
-
-async function upsertReferenceItem({
-  cache,
-  collectionId,
-  crmIdFieldSlug,
-  crmId,
-  name,
-  additionalFields = {},
-}) {
-  if (!crmId) return null;
-
-  const fieldData = {
-    name,
-    slug: slugify(name),
-    [crmIdFieldSlug]: crmId,
-    ...additionalFields,
-  };
-
-  if (cache.has(crmId)) {
-    const webflowId = cache.get(crmId);
-    await callWebflowApi(
-      'PATCH',
-      `/collections/${collectionId}/items/${webflowId}`,
-      { fieldData },
-    );
-    await publishItem(collectionId, webflowId);
-    return webflowId;
+    const { action } = await upsertItem({
+      client: webflow,
+      mapping: MAPPINGS.EVENTS,
+      collectionId: collectionIds.EVENTS,
+      cache: eventCache,
+      crmId: ev.m8_eventid,
+      fieldData,
+      stats,
+      index: indexWrites,
+      record: ev,
+      renameSlugs,
+      slugHistory,
+    });
+    console.log(`   ${action}`);
   }
 
-  console.log(`   ↳ creating: “${name}” (${crmId})`);
-  const { id } = await callWebflowApi('POST', `/collections/${collectionId}/items`, {
-    isArchived: false,
-    isDraft: false,
-    fieldData,
-  });
-  cache.set(crmId, id);
-  await publishItem(collectionId, id);
-  return id;
+  // Modified events the CRM no longer returns as published.
+  const { EVENTS: unpublished } = findOrphans({ crmEvents, caches: { EVENTS: eventCache }, policy: orphanPolicy });
+  if (unpublished.length && orphanPolicy !== 'none') {
+    console.log(`\n--- ${unpublished.length} modified event(s) no longer published (policy: ${orphanPolicy}) ---`);
+    run.decide(`${orphanPolicy}: ${unpublished.length} modified event(s) no longer in the published events list.`);
+    // The cache only holds the modified events; the threshold applies to the whole collection.
+    const { pagination } = await webflow.listItems(collectionIds.EVENTS, { limit: 1 });
+    assertOrphanThreshold({ EVENTS: unpublished }, { EVENTS: { size: pagination?.total ?? eventCache.size } }, maxOrphanPercent);
+    await removeOrphans({ client: webflow, collectionIds, orphans: { EVENTS: unpublished }, policy: orphanPolicy, stats, index: indexWrites });
+  }
 }
 
 // --- Main sync -------------------------------------------------------------
-async function syncFull() {
-  console.log('🔄  Full CRM → Webflow sync started…');
+/**
+ * @param {object} [options]
+ * @param {'unpublish'|'archive'|'delete'|'none'} [options.orphanPolicy]
+ *   What to do with Webflow items that no longer have a published CRM record.
+ *   Defaults to SYNC_ORPHAN_POLICY or 'unpublish'.
+ * @param {number} [options.maxOrphanPercent]
+ *   Abort the cleanup if it would remove more than this share of a collection.
+ *   Defaults to SYNC_ORPHAN_MAX_PERCENT or 20.
+ * @param {boolean} [options.dryRun] Perform all reads but only record the writes.
+ * @param {string} [options.planFile] In dry-run mode, also write the plan to this JSON file.
+ * @param {boolean} [options.renameSlugs] Give renamed records a new slug (the old one is recorded
+ *   for redirects) instead of keeping their current slug.
+ * @param {boolean} [options.delta] Only sync records modified since the last successful run.
+ * @param {string} [options.trigger] What started the sync (cron, cli, admin, …), for the run history.
+ * @param {string} [options.runId] ID for the run history entry; generated if omitted.
+ * @returns {Promise<object>} The per-collection counters, or the plan in dry-run mode.
+ */
+async function syncFull({
+  orphanPolicy = process.env.SYNC_ORPHAN_POLICY || 'unpublish',
+  maxOrphanPercent = Number(process.env.SYNC_ORPHAN_MAX_PERCENT) || 20,
+  dryRun = false,
+  planFile = null,
+  renameSlugs = false,
+  delta = false,
+  trigger = 'manual',
+  runId,
+} = {}) {
+  console.log(`🔄  ${delta ? 'Delta' : 'Full'} CRM → Webflow sync started${dryRun ? ' (DRY RUN – no writes)' : ''}…`);
+  const run = await getRunHistory().start({ id: runId, type: delta ? 'delta' : 'full', trigger, dryRun });
 
   try {
+    if (!ORPHAN_POLICIES.includes(orphanPolicy)) {
+      throw new Error(`Unknown orphan policy "${orphanPolicy}". Use one of: ${ORPHAN_POLICIES.join(', ')}.`);
+    }
+
     // Step 1: Check all required environment variables
     const requiredEnvVars = {
       WEBFLOW_API_TOKEN: process.env.WEBFLOW_API_TOKEN,
@@ -200,19 +216,49 @@ async function syncFull() {
       AIRPORTS: requiredEnvVars.WEBFLOW_COLLECTION_ID_AIRPORTS,
     };
 
+    const webflow = dryRun ? createPlanningClient(getWebflowClient()) : run.track(getWebflowClient(), COLLECTION_IDS);
+    const finish = async stats => {
+      await run.finish({ stats });
+      return dryRun ? finishDryRun(webflow, { source: 'sync_full', stats, planFile }) : stats;
+    };
+
+    console.log('Validating Webflow collection schemas...');
+    await validateSchemas({ client: webflow, collectionIds: COLLECTION_IDS });
+    console.log('   ✓ All mapped fields exist with compatible types.');
+
+    const { watermark, overlapMs } = getSyncWatermark();
+    const startedAt = new Date();
+    const since = delta ? await watermark.get() : null;
+    if (delta && !since) {
+      console.log('No watermark from a previous successful sync – running a full sync instead.');
+      run.set({ type: 'full' });
+      run.decide('No watermark from a previous successful sync; ran a full sync instead of a delta sync.');
+    }
+    if (since) {
+      const stats = createSyncStats();
+      const slugHistory = dryRun ? null : createSlugHistory();
+      await runDeltaSync({
+        webflow, collectionIds: COLLECTION_IDS, since, overlapMs, orphanPolicy, maxOrphanPercent, dryRun, renameSlugs, slugHistory, stats, run,
+      });
+      if (!dryRun) await watermark.set(startedAt);
+      console.log('\n✅  Delta sync complete.');
+      console.log(formatSyncStats(stats));
+      return finish(stats);
+    }
+
     // Step 2: Fetch all data SEQUENTIALLY to isolate issues
     console.log('--- STARTING SEQUENTIAL FETCH ---');
     
     console.log('[1/4] Fetching Webflow Locations...');
-    const webflowLocations = await fetchAllWebflowItemsPaginated(COLLECTION_IDS.LOCATIONS);
+    const webflowLocations = await webflow.listAllItems(COLLECTION_IDS.LOCATIONS);
     console.log(`   ✓ Webflow Locations fetched: ${webflowLocations.length} total items.`);
     
     console.log('[2/4] Fetching Webflow Categories...');
-    const webflowCategories = await fetchAllWebflowItemsPaginated(COLLECTION_IDS.CATEGORIES);
+    const webflowCategories = await webflow.listAllItems(COLLECTION_IDS.CATEGORIES);
     console.log(`   ✓ Webflow Categories fetched: ${webflowCategories.length} total items.`);
 
     console.log('[3/4] Fetching Webflow Airports...');
-    const webflowAirports = await fetchAllWebflowItemsPaginated(COLLECTION_IDS.AIRPORTS);
+    const webflowAirports = await webflow.listAllItems(COLLECTION_IDS.AIRPORTS);
     console.log(`   ✓ Webflow Airports fetched: ${webflowAirports.length} total items.`);
 
     console.log('[4/4] Fetching CRM Events...');
@@ -220,105 +266,104 @@ async function syncFull() {
     console.log('   ✓ CRM Events fetched.');
 
     console.log('--- SEQUENTIAL FETCH COMPLETE ---');
+
+    // The listings are complete, so they replace the CRM-ID → Webflow-ID index
+    // used by sync_single.js. Dry runs leave the index alone.
+    const index = dryRun ? null : getIdIndex({ client: webflow, collectionIds: COLLECTION_IDS });
+    if (index) {
+      await index.replace('LOCATIONS', webflowLocations);
+      await index.replace('CATEGORIES', webflowCategories);
+      await index.replace('AIRPORTS', webflowAirports);
+    }
     
     // Step 3: Process the fetched data
-    const locationCache = new Map(webflowLocations.map(i => [i.fieldData.eventlocationid, i.id]));
-    const categoryCache = new Map(webflowCategories.map(i => [i.fieldData['category-id'], i.id]));
-    const airportCache  = new Map(webflowAirports.map(i => [i.fieldData.airportid, i.id]));
+    const stats = createSyncStats();
+    const slugHistory = dryRun ? null : createSlugHistory();
+    const caches = {
+      LOCATIONS: buildItemCache(MAPPINGS.LOCATIONS, webflowLocations),
+      CATEGORIES: buildItemCache(MAPPINGS.CATEGORIES, webflowCategories),
+      AIRPORTS: buildItemCache(MAPPINGS.AIRPORTS, webflowAirports),
+    };
 
     const crmEvents = crmEventsRes?.value ?? [];
     if (!crmEvents.length) {
       console.log('No events returned from CRM – nothing to sync.');
-      return;
+      run.decide('The CRM returned no published events; nothing synced and no orphans removed.');
+      return finish(stats);
     }
 
     console.log('Fetching main Webflow Event collection to build cache...');
-    const webflowEvents = await fetchAllWebflowItemsPaginated(COLLECTION_IDS.EVENTS);
-    const eventCache = new Map(webflowEvents.map(i => [i.fieldData.eventid, i.id]));
+    const webflowEvents = await webflow.listAllItems(COLLECTION_IDS.EVENTS);
+    const eventCache = buildItemCache(MAPPINGS.EVENTS, webflowEvents);
+    if (index) await index.replace('EVENTS', webflowEvents);
 
     console.log(`• ${crmEvents.length} CRM events to process`);
     for (const ev of crmEvents) {
       console.log(`\n→ Processing Event: ${ev.m8_name} (${ev.m8_eventid})`);
       
-      const locationId = ev.m8_eventlocation ? await upsertReferenceItem({
-        cache: locationCache,
-        collectionId: COLLECTION_IDS.LOCATIONS,
-        crmIdFieldSlug: 'eventlocationid',
-        crmId: ev.m8_eventlocation.m8_eventlocationid,
-        name: ev.m8_eventlocation.m8_name,
-        additionalFields: {
-          address1city: ev.m8_eventlocation.m8_address1city,
-          address1country: ev.m8_eventlocation.m8_address1country,
-        },
-      }) : null;
-
-      const categoryIds = await Promise.all((ev.m8_eventcategories || []).map(cat => upsertReferenceItem({
-        cache: categoryCache,
-        collectionId: COLLECTION_IDS.CATEGORIES,
-        crmIdFieldSlug: 'category-id',
-        crmId: cat.m8_eventcategoryid,
-        name: cat.m8_name,
-      })));
-      
-      const airportIds = await Promise.all((ev.m8_airports || []).map(air => upsertReferenceItem({
-        cache: airportCache,
-        collectionId: COLLECTION_IDS.AIRPORTS,
-        crmIdFieldSlug: 'airportid',
-        crmId: air.m8_airportid,
-        name: air.m8_name,
-        additionalFields: {
-          iataairport: air.m8_iataairport,
-          iataairportcode: air.m8_iataairportcode,
-          note: air.m8_note,
-          address1city: air.m8_address1city,
-          address1country: air.m8_address1country,
-        },
-      })));
+      let fieldData;
+      try {
+        await syncReferences({
+          client: webflow, mapping: MAPPINGS.EVENTS, record: ev, collectionIds: COLLECTION_IDS, caches, stats, index, renameSlugs, slugHistory,
+        });
+        fieldData = mapEvent(ev, caches);
+      } catch (err) {
+        if (!(err instanceof MappingError)) throw err;
+        console.warn(`   ⚠️ skipped: ${err.message}`);
+        stats[err.collection].skipped++;
+        if (err.collection !== 'EVENTS') stats.EVENTS.skipped++;
+        continue;
+      }
 
-      const fieldData = {
-        name: ev.m8_name,
-        slug: slugify(ev.m8_name),
-        'description-3': ev.m8_description,
-        eventid: ev.m8_eventid,
-        startdate: ev.m8_startdate,
-        enddate: ev.m8_enddate,
-        startingamount: ev.m8_startingamount,
-        drivingdays: ev.m8_drivingdays,
-        eventbookingstatuscode: ev.m8_eventbookingstatuscode,
-        eventbookingpercentage: ev.m8_eventbookingpercentage, // <-- ADDED THIS LINE
-        isflightincluded: ev.m8_isflightincluded,
-        iseventpublished: ev.m8_iseventpublished,
-        isaccommodationandcateringincluded: ev.m8_isaccommodationandcateringincluded,
-        isfullybooked: ev.m8_isfullybooked,
-        isfullybookedboleantext: ev.m8_isfullybooked ? 'true' : 'false',
-        availablevehicles: ev.m8_availablevehicles,
-        categorie: categoryIds.filter(Boolean),
-        airport:   airportIds.filter(Boolean),
-        location:  locationId ? [locationId] : [],
+      const { action } = await upsertItem({
+        client: webflow,
+        mapping: MAPPINGS.EVENTS,
+        collectionId: COLLECTION_IDS.EVENTS,
+        cache: eventCache,
+        crmId: ev.m8_eventid,
+        fieldData,
+        stats,
+        index,
+        record: ev,
+        renameSlugs,
+        slugHistory,
+      });
+      const messages = {
+        created: '   ✓ created & published',
+        updated: '   ↻ updated & published',
+        published: '   ↑ unchanged, published',
+        unchanged: '   = unchanged',
       };
-
-      if (eventCache.has(ev.m8_eventid)) {
-        const webflowId = eventCache.get(ev.m8_eventid);
-        await callWebflowApi('PATCH', `/collections/${COLLECTION_IDS.EVENTS}/items/${webflowId}`, { fieldData });
-        await publishItem(COLLECTION_IDS.EVENTS, webflowId);
-        console.log('   ↻ updated & published');
-      } else {
-        const { id: newId } = await callWebflowApi('POST', `/collections/${COLLECTION_IDS.EVENTS}/items`, { isArchived: false, isDraft: false, fieldData });
-        await publishItem(COLLECTION_IDS.EVENTS, newId);
-        console.log('   ✓ created & published');
-      }
+      console.log(messages[action]);
     }
     
-    // NOTE: This full sync script does not handle unpublishing.
-    // That logic is managed by the single sync script, which is triggered
-    // by specific 'unpublish' or 'delete' events from the CRM.
+    // Step 4: Reconcile orphans – Webflow items whose CRM record is gone or no
+    // longer published (e.g. because a webhook was missed).
+    console.log(`\n--- ORPHAN RECONCILIATION (policy: ${orphanPolicy}) ---`);
+    const allCaches = { EVENTS: eventCache, ...caches };
+    const orphans = findOrphans({ crmEvents, caches: allCaches, policy: orphanPolicy });
+    for (const [key, items] of Object.entries(orphans)) {
+      if (!items.length) continue;
+      console.log(`   • ${key}: ${items.length} orphaned item(s)`);
+      run.decide(`${orphanPolicy}: ${items.length} orphaned ${key} item(s) without a published CRM record.`);
+    }
+    if (orphanPolicy === 'none') {
+      console.log('   Policy is "none" – orphans are only reported.');
+    } else {
+      assertOrphanThreshold(orphans, allCaches, maxOrphanPercent);
+      await removeOrphans({ client: webflow, collectionIds: COLLECTION_IDS, orphans, policy: orphanPolicy, stats, index });
+    }
 
+    if (!dryRun) await watermark.set(startedAt);
     console.log('\n✅  Full sync complete.');
+    console.log(formatSyncStats(stats));
+    return finish(stats);
 
   } catch (error) {
     // The specific error is now logged in the API call function during the last retry attempt.
     // Here we just signal that the overall process failed.
     console.error('\n❌ A critical error occurred during the sync process.');
+    await run.fail(error);
     // Re-throw the error so the `waitUntil` promise in the webhook rejects,
     // which will result in a proper error log in the Vercel console.
     throw error;
@@ -330,9 +375,30 @@ module.exports = syncFull;
 
 // Allow running the script directly from the command line for testing
 if (require.main === module) {
-  syncFull().catch(err => {
+  const { parseArgs } = require('util');
+  const { values } = parseArgs({
+    options: {
+      'orphan-policy': { type: 'string' },
+      delta: { type: 'boolean' },
+      'rename-slugs': { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+      plan: { type: 'string' },
+      apply: { type: 'string' },
+    },
+  });
+  const run = values.apply
+    ? applyPlanFile(values.apply)
+    : syncFull({
+      ...(values['orphan-policy'] ? { orphanPolicy: values['orphan-policy'] } : {}),
+      dryRun: Boolean(values['dry-run']),
+      planFile: values.plan || null,
+      renameSlugs: Boolean(values['rename-slugs']),
+      delta: Boolean(values.delta),
+      trigger: 'cli',
+    });
+  run.catch(err => {
     // The error is already logged, so we just add a final message.
-    console.error('\n❌  Sync script failed to run directly.');
+    console.error(`\n❌  Sync script failed to run directly: ${err.message}`);
     process.exit(1); // Exit with a non-zero code to indicate failure
   });
-}
\ No newline at end of file
+}
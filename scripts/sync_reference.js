@@ -0,0 +1,164 @@
+/**
+ * sync_reference.js – v1.4
+ * One-way sync of a single location, category or airport from Dynamics CRM → Webflow CMS
+ * - CHANGED: Deleting a record no longer PATCHes the events linking to it, which raced their
+ *   own syncs; their queued re-sync rewrites the references under the per-event lock.
+ * - CHANGED: The events to re-sync are found through the Webflow references to the item
+ *   instead of loading every published event from the CRM.
+ * - Create/Update: upserts the reference item from m8_GetEventLocationsV1 /
+ *   m8_GetEventCategoriesV1 / m8_GetAirportsV1 and queues a re-sync of every Webflow
+ *   event that references it.
+ * - Delete (or no longer returned by the CRM): deletes the item and queues a re-sync of
+ *   every Webflow event that links to it.
+ * - Runs under the same per-record lock as sync_single.js (lib/lock.js).
+ * - Renamed records keep their slug; see lib/slug.js.
+ * - Validates the reference and event collection schemas first (lib/schema.js).
+ * - USAGE: node scripts/sync_reference.js <EventLocation|EventCategory|Airport> <record-id> [Create|Update|Delete]
+ */
+
+require('dotenv').config();
+const { getEventLocations, getEventCategories, getAirports } = require('../lib/crm');
+const { getWebflowClient } = require('../lib/webflow');
+const { MAPPINGS, getCrmId, getMappingForEntity } = require('../lib/mappings');
+const { getIdIndex } = require('../lib/id-index');
+const { getCollectionIds, createSyncStats, formatSyncStats, upsertReferenceItem } = require('../lib/sync');
+const { createLockManager, fence } = require('../lib/lock');
+const { getSyncQueue } = require('../lib/queue');
+const { createSlugHistory } = require('../lib/slug');
+const { validateSchemas } = require('../lib/schema');
+
+/** CRM action per reference collection. */
+const FETCHERS = {
+  LOCATIONS: getEventLocations,
+  CATEGORIES: getEventCategories,
+  AIRPORTS: getAirports,
+};
+
+const WRITE_METHODS = ['createItem', 'updateItem', 'deleteItem', 'publishItems', 'unpublishItem'];
+
+/** Event fields that reference the given collection. */
+const referenceFields = mapping => MAPPINGS.EVENTS.fields.filter(field => field.reference === mapping.key);
+
+/**
+ * CRM IDs of the Webflow events whose reference fields point to the item.
+ * @returns {Promise<string[]>}
+ */
+async function findLinkedEvents({ webflow, collectionIds, mapping, itemId }) {
+  const fields = referenceFields(mapping);
+  const events = await webflow.listAllItems(collectionIds.EVENTS);
+  return events
+    .filter(ev => fields.some(({ slug }) => {
+      const value = ev.fieldData[slug];
+      return Array.isArray(value) ? value.includes(itemId) : value === itemId;
+    }))
+    .map(ev => ev.fieldData[MAPPINGS.EVENTS.crmIdSlug])
+    .filter(Boolean);
+}
+
+async function enqueueEventSyncs(eventIds) {
+  const queue = getSyncQueue();
+  for (const eventId of new Set(eventIds)) {
+    await queue.enqueue({ entity: 'Event', recordId: eventId, changeType: 'Update', source: 'reference' }, { collapse: true });
+  }
+  if (eventIds.length) console.log(`    ↳ Queued a re-sync of ${new Set(eventIds).size} affected event(s).`);
+}
+
+/**
+ * @param {object} mapping
+ * @param {string} recordId
+ * @param {string} changeType
+ * @param {{ assertHeld: () => Promise<void> }} lock
+ */
+async function runReferenceSync(mapping, recordId, changeType, lock) {
+  console.log(`🔄 ${mapping.label} Sync started for ID: ${recordId} (Type: ${changeType})`);
+  const webflow = fence(getWebflowClient(), lock, WRITE_METHODS);
+  const collectionIds = getCollectionIds();
+  const collectionId = collectionIds[mapping.key];
+  const index = getIdIndex({ client: webflow, collectionIds });
+  const stats = createSyncStats();
+  await validateSchemas({ client: webflow, collectionIds, keys: [mapping.key, 'EVENTS'] });
+
+  let record = null;
+  if (changeType !== 'Delete') {
+    const res = await FETCHERS[mapping.key]([recordId]);
+    record = (res?.value ?? []).find(r => getCrmId(mapping, r) === recordId) || null;
+    if (!record) console.log(`    → ${mapping.label} ${recordId} is no longer returned by the CRM. Removing it from Webflow.`);
+  }
+
+  if (!record) {
+    const itemId = await index.lookup(mapping.key, recordId);
+    if (!itemId) {
+      console.warn(`    ⚠️ No Webflow item found for ${mapping.label} ${recordId}. No action taken.`);
+      stats[mapping.key].skipped++;
+      return stats;
+    }
+    // The events are not PATCHed here: that would race their own syncs, which run under
+    // the per-event lock. Their re-sync rewrites the references from the CRM.
+    const affected = await findLinkedEvents({ webflow, collectionIds, mapping, itemId });
+    try {
+      await webflow.deleteItem(collectionId, itemId);
+      console.log(`    ✓ Deleted ${mapping.label} item ${itemId}.`);
+    } catch (err) {
+      if (err.status !== 404) throw err;
+      console.warn(`    ⚠️ Item ${itemId} was already gone from Webflow.`);
+    }
+    await index.remove(mapping.key, recordId);
+    stats[mapping.key].orphaned++;
+    await enqueueEventSyncs(affected);
+    return stats;
+  }
+
+  const cache = await index.getItems(mapping.key, [recordId]);
+  const before = { ...stats[mapping.key] };
+  await upsertReferenceItem({ client: webflow, mapping, collectionId, cache, record, stats, index, slugHistory: createSlugHistory() });
+  const counters = stats[mapping.key];
+  if (counters.created > before.created || counters.updated > before.updated) {
+    await enqueueEventSyncs(await findLinkedEvents({ webflow, collectionIds, mapping, itemId: await index.lookup(mapping.key, recordId) }));
+  } else {
+    console.log(`    ✓ ${mapping.label} item is up to date. No write needed.`);
+  }
+  return stats;
+}
+
+/**
+ * Syncs one location, category or airport while holding its per-record lock.
+ * @param {string} entityName  EventLocation | EventCategory | Airport
+ * @param {string} recordId
+ * @param {'Create'|'Update'|'Delete'} [changeType]
+ * @returns {Promise<object|null>} The per-collection counters, or null if the request was
+ *   handed over to the current lock holder.
+ */
+async function syncReferenceRecord(entityName, recordId, changeType = 'Update') {
+  const mapping = getMappingForEntity(entityName);
+  if (!mapping || !FETCHERS[mapping.key]) {
+    throw new Error(`"${entityName}" is not a reference entity. Use one of: ${Object.keys(FETCHERS).map(k => MAPPINGS[k].entity).join(', ')}.`);
+  }
+  const locks = createLockManager();
+  try {
+    const outcome = await locks.runExclusive(`sync:${mapping.key.toLowerCase()}:${recordId}`, { changeType }, async (request, lock) => {
+      const stats = await runReferenceSync(mapping, recordId, request.changeType, lock);
+      console.log(formatSyncStats(stats));
+      return stats;
+    });
+    if (outcome.status === 'deferred') {
+      console.log(`⏳ Another sync for ${mapping.label} ${recordId} is running. This ${changeType} will run once it has finished.`);
+      return null;
+    }
+    return outcome.result;
+  } catch (error) {
+    console.error(`\n❌ A critical error occurred during the sync for ${mapping.label} ${recordId} (Type: ${changeType}).`);
+    console.error(`❌ Error Message: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = syncReferenceRecord;
+
+if (require.main === module) {
+  const [entityName, recordId, changeType = 'Update'] = process.argv.slice(2);
+  if (!entityName || !recordId) {
+    console.error('Usage: node scripts/sync_reference.js <EventLocation|EventCategory|Airport> <record-id> [Create|Update|Delete]');
+    process.exit(1);
+  }
+  syncReferenceRecord(entityName, recordId, changeType).catch(() => process.exit(1));
+}
@@ -1,216 +1,254 @@
 /**
- * sync_single.js – v2.13 (27 Aug 2025)
+ * sync_single.js – v2.20
  * One-way, single-item sync from Dynamics CRM → Webflow CMS
+ * - FIXED: A request parked behind the per-event lock runs with its own --rename-slugs
+ *   setting instead of the lock holder's.
+ * - ADDED: Every run is recorded in the sync run history (lib/run-history.js) with its
+ *   trigger, decisions, the Webflow items it wrote, counters, duration and error.
+ * - ADDED: Validates the Webflow collection schemas (lib/schema.js) before creating or
+ *   updating items; missing or mistyped fields fail the sync with a report.
+ * - ADDED: Unique, stable slugs (lib/slug.js). Taken slugs get a date or short-ID suffix, a
+ *   renamed event keeps its slug unless --rename-slugs is given, and replaced slugs are
+ *   recorded for redirects.
+ * - ADDED: Per-event lock in Vercel KV (lib/lock.js). Concurrent syncs of the same event no
+ *   longer overlap; a request arriving while the lock is held runs once after it is released.
+ * - CHANGED: Webflow items are found through the persistent CRM-ID → Webflow-ID index
+ *   (lib/id-index.js) and fetched individually instead of paginating all four collections.
+ * - CHANGED: Webflow calls go through the shared client in lib/webflow.js (rate limiter, retries).
+ * - CHANGED: fieldData for events and reference items is built from lib/mappings.js.
+ * - ADDED: Change detection – items whose mapped fieldData matches Webflow are neither
+ *   PATCHed nor re-published. Returns per-collection created/updated/unchanged/skipped counters.
+ * - ADDED: Dry-run mode (--dry-run [--plan=plan.json]) that records every write as a plan,
+ *   and --apply plan.json to execute a saved plan later.
  * - FIXED: Updated description field slug to 'description-3' to match new schema.
  * - ADDED: Sync for the new 'm8_description' field.
  * - ADDED: Sync for the 'eventbookingpercentage' field.
  */
 
 require('dotenv').config();
+const crypto = require('crypto');
 const { getEvents } = require('../lib/crm');
-const axios = require('axios');
-
-// --- Helper Functions ------------------------------------------------------
-const webflowApiBase = 'https://api.webflow.com/v2';
-
-async function callWebflowApi(method, endpoint, body = null) {
-  const WEBFLOW_API_TOKEN = process.env.WEBFLOW_API_TOKEN;
-  const fullUrl = `${webflowApiBase}${endpoint}`;
-  const timeout = 45000;
-  const options = {
-    method,
-    url: fullUrl,
-    headers: {
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${WEBFLOW_API_TOKEN}`,
-      'Content-Type': 'application/json',
-    },
-    timeout,
-  };
-  if (body) options.data = body;
-  const maxRetries = 5;
-  let attempt = 0;
-  while (attempt < maxRetries) {
-    try {
-      await new Promise(resolve => setTimeout(resolve, 1100));
-      const response = await axios(options);
-      return response.data;
-    } catch (error) {
-      if (error.response && error.response.status === 429) {
-        attempt++;
-        const retryAfter = error.response.headers['retry-after'];
-        const waitTime = retryAfter ? parseInt(retryAfter, 10) * 1000 : (2 ** attempt) * 1000;
-        console.warn(`      -> Rate limit hit. Retrying after ${waitTime / 1000}s... (Attempt ${attempt}/${maxRetries})`);
-        if (attempt >= maxRetries) throw error;
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-      } else {
-        if (error.response) console.error(`      -> Webflow API Error: ${error.response.status}`, error.response.data);
-        else console.error('      -> Axios request setup error:', error.message);
-        throw error;
-      }
-    }
-  }
-  throw new Error('Exited retry loop unexpectedly in callWebflowApi.');
-}
-
-async function fetchAllWebflowItemsPaginated(collectionId) {
-  let allItems = [];
-  let offset = 0;
-  const limit = 100;
-  let hasMore = true;
-  while (hasMore) {
-    const response = await callWebflowApi('GET', `/collections/${collectionId}/items?limit=${limit}&offset=${offset}`);
-    if (response?.items?.length > 0) {
-      allItems = allItems.concat(response.items);
-      offset += response.items.length;
-    }
-    hasMore = response?.pagination && (offset < response.pagination.total);
-  }
-  return allItems;
-}
-
-async function publishItem(collectionId, itemId) {
-  await callWebflowApi('POST', `/collections/${collectionId}/items/publish`, { itemIds: [itemId] });
-}
-
-const slugify = txt => (txt || '').toString().toLowerCase().trim().replace(/\s+/g, '-').replace(/[^\w-]+/g, '').replace(/--+/g, '-').replace(/^-+|-+$/g, '');
-
-async function upsertReferenceItem({ cache, collectionId, crmIdFieldSlug, crmId, name, additionalFields = {} }) {
-  if (!crmId) return null;
-  const fieldData = { name, slug: slugify(name), [crmIdFieldSlug]: crmId, ...additionalFields };
-  if (cache.has(crmId)) {
-    const webflowId = cache.get(crmId);
-    await callWebflowApi('PATCH', `/collections/${collectionId}/items/${webflowId}`, { fieldData });
-    await publishItem(collectionId, webflowId);
-    return webflowId;
-  }
-  console.log(`    ↳ Creating new reference item: “${name}” (${crmId})`);
-  const { id } = await callWebflowApi('POST', `/collections/${collectionId}/items`, { isArchived: false, isDraft: false, fieldData });
-  cache.set(crmId, id);
-  await publishItem(collectionId, id);
-  return id;
-}
-
-async function deleteWebflowItem(collectionId, itemId) {
-  await callWebflowApi('DELETE', `/collections/${collectionId}/items/${itemId}`);
-}
+const { getWebflowClient } = require('../lib/webflow');
+const { MAPPINGS } = require('../lib/mappings');
+const { getIdIndex } = require('../lib/id-index');
+const {
+  getCollectionIds, createSyncStats, formatSyncStats, upsertItem, syncReferences, loadReferenceCaches, mapEvent,
+} = require('../lib/sync');
+const { createPlanningClient, finishDryRun, applyPlanFile } = require('../lib/plan');
+const { createLockManager, fence } = require('../lib/lock');
+const { createSlugHistory } = require('../lib/slug');
+const { validateSchemas } = require('../lib/schema');
+const { getRunHistory } = require('../lib/run-history');
 
 // --- Main Sync Logic -------------------------------------------------------
 
-async function syncSingleEvent(eventId, changeType = 'Update') {
-  if (!eventId) {
-    console.error('❌ Sync aborted: No Event ID was provided.');
-    return;
-  }
+/**
+ * @param {string} eventId
+ * @param {'Create'|'Update'|'Delete'} changeType
+ * @param {object} options
+ * @param {boolean} options.dryRun
+ * @param {string|null} options.planFile
+ * @param {boolean} options.renameSlugs
+ * @param {{ assertHeld: () => Promise<void> }|null} options.lock  Checked before every Webflow write.
+ * @param {string} options.trigger  Recorded in the run history.
+ * @param {string} [options.jobId]
+ * @param {string} [options.runId]
+ */
+async function runSingleEventSync(eventId, changeType, { dryRun, planFile, renameSlugs, lock, trigger, jobId, runId }) {
+  const stats = createSyncStats();
+  const run = await getRunHistory().start({ id: runId, type: 'event', trigger, recordId: eventId, changeType, jobId, dryRun });
   try {
-    console.log(`🔄 Single Event Sync started for ID: ${eventId} (Type: ${changeType})`);
-    const COLLECTION_IDS = {
-        EVENTS: process.env.WEBFLOW_COLLECTION_ID_EVENTS,
-        LOCATIONS: process.env.WEBFLOW_COLLECTION_ID_LOCATIONS,
-        CATEGORIES: process.env.WEBFLOW_COLLECTION_ID_CATEGORIES,
-        AIRPORTS: process.env.WEBFLOW_COLLECTION_ID_AIRPORTS,
+    console.log(`🔄 Single Event Sync started for ID: ${eventId} (Type: ${changeType})${dryRun ? ' – DRY RUN, no writes' : ''}`);
+    const COLLECTION_IDS = getCollectionIds();
+    const webflow = dryRun
+      ? createPlanningClient(getWebflowClient())
+      : run.track(fence(getWebflowClient(), lock, ['createItem', 'updateItem', 'deleteItem', 'publishItems', 'unpublishItem']), COLLECTION_IDS);
+    const finish = async () => {
+      await run.finish({ stats });
+      return dryRun ? finishDryRun(webflow, { source: `sync_single:${eventId}`, stats, planFile }) : stats;
     };
+    const index = getIdIndex({ client: webflow, collectionIds: COLLECTION_IDS });
+    // In dry-run mode the index is only read; placeholder IDs must not end up in it.
+    const indexWrites = dryRun ? null : index;
+    const slugHistory = dryRun ? null : createSlugHistory();
     if (changeType === 'Delete') {
       console.log(`    [1/1] Processing DELETE request for event ${eventId}`);
-      const webflowEvents = await fetchAllWebflowItemsPaginated(COLLECTION_IDS.EVENTS);
-      const eventCache = new Map(webflowEvents.map(i => [i.fieldData.eventid, i.id]));
-      if (eventCache.has(eventId)) {
-        const webflowId = eventCache.get(eventId);
+      const webflowId = await index.lookup('EVENTS', eventId);
+      if (webflowId) {
         console.log(`    → Found matching item in Webflow (ID: ${webflowId}). Deleting...`);
-        await deleteWebflowItem(COLLECTION_IDS.EVENTS, webflowId);
-        console.log('    ✓ Item successfully deleted from Webflow.');
-      } else console.warn(`    ⚠️ Could not find item in Webflow with CRM ID ${eventId} to delete. No action taken.`);
-      return;
+        try {
+          await webflow.deleteItem(COLLECTION_IDS.EVENTS, webflowId);
+          console.log('    ✓ Item successfully deleted from Webflow.');
+          run.decide(`Deleted Webflow item ${webflowId} because the event was deleted in the CRM.`);
+        } catch (err) {
+          if (err.status !== 404) throw err;
+          console.warn(`    ⚠️ Item ${webflowId} was already gone from Webflow.`);
+          run.decide(`Webflow item ${webflowId} was already deleted.`);
+        }
+        if (indexWrites) await indexWrites.remove('EVENTS', eventId);
+      } else {
+        console.warn(`    ⚠️ Could not find item in Webflow with CRM ID ${eventId} to delete. No action taken.`);
+        run.decide('No Webflow item for the deleted event; nothing to delete.');
+        stats.EVENTS.skipped++;
+      }
+      return finish();
     }
-    console.log('[1/3] Fetching Webflow reference collections...');
-    const [webflowLocations, webflowCategories, webflowAirports] = await Promise.all([
-        fetchAllWebflowItemsPaginated(COLLECTION_IDS.LOCATIONS),
-        fetchAllWebflowItemsPaginated(COLLECTION_IDS.CATEGORIES),
-        fetchAllWebflowItemsPaginated(COLLECTION_IDS.AIRPORTS)
-    ]);
-    console.log('    ✓ Caches for reference collections are ready.');
-    console.log('[2/3] Fetching Webflow event collection...');
-    const webflowEvents = await fetchAllWebflowItemsPaginated(COLLECTION_IDS.EVENTS);
-    const eventCache = new Map(webflowEvents.map(i => [i.fieldData.eventid, i.id]));
-    console.log('    ✓ Webflow event cache is ready.');
-    console.log(`[3/3] Fetching event ${eventId} from CRM and processing...`);
+    await validateSchemas({ client: webflow, collectionIds: COLLECTION_IDS });
+    console.log(`[1/3] Fetching event ${eventId} from CRM...`);
     const crmEventsRes = await getEvents({ entityids: [eventId] });
     const allPublishedEvents = crmEventsRes?.value ?? [];
     console.log(`    ↳ CRM returned a list of ${allPublishedEvents.length} total published event(s).`);
     const crmEvents = allPublishedEvents.filter(event => event.m8_eventid === eventId);
     console.log(`    ↳ Found ${crmEvents.length} matching event(s) for ID ${eventId}.`);
+    console.log('[2/3] Looking up the Webflow event via the ID index...');
+    const eventCache = await index.getItems('EVENTS', [eventId]);
+    console.log(`    ✓ ${eventCache.size ? `Found Webflow item ${eventCache.get(eventId).id}.` : 'Event is not in Webflow yet.'}`);
     if (!crmEvents.length) {
       console.log(`    → Decision: Event ID ${eventId} was not found in the list of published events. Unpublishing...`);
-      if (eventCache.has(eventId)) {
-        const webflowId = eventCache.get(eventId);
-        console.log(`    → Found Webflow item ${webflowId}. Unpublishing via DELETE .../live endpoint...`);
-        const endpoint = `/collections/${COLLECTION_IDS.EVENTS}/items/${webflowId}/live`;
-        await callWebflowApi('DELETE', endpoint);
+      const item = eventCache.get(eventId);
+      if (item && !item.lastPublished) {
+        console.log(`    ✓ Webflow item ${item.id} is not live. Nothing to unpublish.`);
+        run.decide(`Not in the published events list; Webflow item ${item.id} is not live, nothing to unpublish.`);
+        stats.EVENTS.unchanged++;
+      } else if (item) {
+        console.log(`    → Found Webflow item ${item.id}. Unpublishing via DELETE .../live endpoint...`);
+        await webflow.unpublishItem(COLLECTION_IDS.EVENTS, item.id);
         console.log('    ✓ Item successfully unpublished and moved to drafts.');
-      } else console.warn(`    ⚠️ Event is unpublished, but no matching item found in Webflow to unpublish for ID ${eventId}. No action taken.`);
-      return;
+        run.decide(`Unpublished Webflow item ${item.id} because the event is not in the published events list.`);
+        stats.EVENTS.updated++;
+      } else {
+        console.warn(`    ⚠️ Event is unpublished, but no matching item found in Webflow to unpublish for ID ${eventId}. No action taken.`);
+        run.decide('Not in the published events list and not in Webflow; no action.');
+        stats.EVENTS.skipped++;
+      }
+      return finish();
     }
     const ev = crmEvents[0];
     console.log(`    ✓ Found CRM Event: "${ev.m8_name}"`);
     console.log(`    → Decision: Event data found in CRM. It will be created/updated and published in Webflow.`);
-    const locationCache = new Map(webflowLocations.map(i => [i.fieldData.eventlocationid, i.id]));
-    const categoryCache = new Map(webflowCategories.map(i => [i.fieldData['category-id'], i.id]));
-    const airportCache = new Map(webflowAirports.map(i => [i.fieldData.airportid, i.id]));
-    const locationId = ev.m8_eventlocation ? await upsertReferenceItem({ cache: locationCache, collectionId: COLLECTION_IDS.LOCATIONS, crmIdFieldSlug: 'eventlocationid', crmId: ev.m8_eventlocation.m8_eventlocationid, name: ev.m8_eventlocation.m8_name, additionalFields: { address1city: ev.m8_eventlocation.m8_address1city, address1country: ev.m8_eventlocation.m8_address1country } }) : null;
-    const categoryIds = await Promise.all((ev.m8_eventcategories || []).map(cat => upsertReferenceItem({ cache: categoryCache, collectionId: COLLECTION_IDS.CATEGORIES, crmIdFieldSlug: 'category-id', crmId: cat.m8_eventcategoryid, name: cat.m8_name })));
-    const airportIds = await Promise.all((ev.m8_airports || []).map(air => upsertReferenceItem({ cache: airportCache, collectionId: COLLECTION_IDS.AIRPORTS, crmIdFieldSlug: 'airportid', crmId: air.m8_airportid, name: air.m8_name, additionalFields: { iataairport: air.m8_iataairport, iataairportcode: air.m8_iataairportcode, note: air.m8_note, address1city: air.m8_address1city, address1country: air.m8_address1country } })));
-    
-    const fieldData = {
-        name: ev.m8_name,
-        slug: slugify(ev.m8_name),
-        'description-3': ev.m8_description,
-        eventid: ev.m8_eventid,
-        startdate: ev.m8_startdate,
-        enddate: ev.m8_enddate,
-        startingamount: ev.m8_startingamount,
-        drivingdays: ev.m8_drivingdays,
-        eventbookingstatuscode: ev.m8_eventbookingstatuscode,
-        eventbookingpercentage: ev.m8_eventbookingpercentage, // <-- ADDED THIS LINE
-        isflightincluded: ev.m8_isflightincluded,
-        iseventpublished: ev.m8_iseventpublished,
-        isaccommodationandcateringincluded: ev.m8_isaccommodationandcateringincluded,
-        isfullybooked: ev.m8_isfullybooked,
-        isfullybookedboleantext: ev.m8_isfullybooked ? 'true' : 'false',
-        availablevehicles: ev.m8_availablevehicles,
-        categorie: categoryIds.filter(Boolean),
-        airport: airportIds.filter(Boolean),
-        location: locationId ? [locationId] : [],
+    console.log('[3/3] Looking up referenced Webflow items and processing...');
+    const caches = await loadReferenceCaches({ index, mapping: MAPPINGS.EVENTS, record: ev });
+    console.log('    ✓ Caches for referenced items are ready.');
+    await syncReferences({
+      client: webflow, mapping: MAPPINGS.EVENTS, record: ev, collectionIds: COLLECTION_IDS, caches, stats, index: indexWrites, renameSlugs, slugHistory,
+    });
+    const fieldData = mapEvent(ev, caches);
+
+    const { id: webflowId, action, changes } = await upsertItem({
+      client: webflow,
+      mapping: MAPPINGS.EVENTS,
+      collectionId: COLLECTION_IDS.EVENTS,
+      cache: eventCache,
+      crmId: ev.m8_eventid,
+      fieldData,
+      stats,
+      index: indexWrites,
+      record: ev,
+      renameSlugs,
+      slugHistory,
+    });
+    const decisions = {
+      created: `Event not found in Webflow. Created & published item ${webflowId}.`,
+      updated: `Updated & published item ${webflowId} (changed: ${changes.map(c => c.field).join(', ')}).`,
+      published: `Item ${webflowId} was up to date but not live. Published.`,
+      unchanged: `Item ${webflowId} is up to date. No write needed.`,
     };
+    console.log(`    ✓ ${decisions[action]}`);
+    run.decide(decisions[action]);
 
-    if (eventCache.has(ev.m8_eventid)) {
-      const webflowId = eventCache.get(ev.m8_eventid);
-      console.log(`    → Updating and publishing item ${webflowId}...`);
-      await callWebflowApi('PATCH', `/collections/${COLLECTION_IDS.EVENTS}/items/${webflowId}`, { isArchived: false, isDraft: false, fieldData });
-      await publishItem(COLLECTION_IDS.EVENTS, webflowId);
-      console.log('    ✓ Updated & published successfully.');
-    } else {
-      console.log('    → Event not found in Webflow. Creating new item...');
-      const { id: newId } = await callWebflowApi('POST', `/collections/${COLLECTION_IDS.EVENTS}/items`, { isArchived: false, isDraft: false, fieldData });
-      await publishItem(COLLECTION_IDS.EVENTS, newId);
-      console.log('    ✓ Created & published successfully.');
-    }
+    console.log(formatSyncStats(stats));
+    return finish();
   } catch (error) {
     console.error(`\n❌ A critical error occurred during the sync for event ${eventId} (Type: ${changeType}).`);
     console.error(`❌ Error Message: ${error.message}`);
+    await run.fail(error, { stats });
     throw error;
   } finally {
     console.log(`\n✅  Sync operation complete for ${eventId}.`);
   }
 }
 
+/**
+ * Syncs one event while holding the per-record lock `sync:event:<id>`. If
+ * another sync of the same event is running, this request is handed over to
+ * it and runs right after it finishes.
+ * @param {string} eventId
+ * @param {'Create'|'Update'|'Delete'} [changeType]
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] Perform all reads but only record the writes.
+ * @param {string} [options.planFile] In dry-run mode, also write the plan to this JSON file.
+ * @param {boolean} [options.renameSlugs] Give a renamed event a new slug (the old one is recorded
+ *   for redirects) instead of keeping its current slug.
+ * @param {string} [options.trigger] What started the sync (webhook, cli, admin, …), for the run history.
+ * @param {string} [options.jobId] The queue job that started the sync.
+ * @param {string} [options.runId] ID for the run history entry; generated if omitted.
+ * @param {(runId: string) => void} [options.onStart] Called once the lock is held and the first run
+ *   starts, with its run ID. That is another request's run if this one took over a parked request.
+ * @returns {Promise<object|null|undefined>} The per-collection counters (or the plan in dry-run
+ *   mode), or null if the request was handed over to the current lock holder.
+ */
+async function syncSingleEvent(eventId, changeType = 'Update', {
+  dryRun = false, planFile = null, renameSlugs = false, trigger = 'manual', jobId, runId, onStart,
+} = {}) {
+  if (!eventId) {
+    console.error('❌ Sync aborted: No Event ID was provided.');
+    return;
+  }
+  if (dryRun) {
+    runId = runId || crypto.randomUUID();
+    onStart?.(runId);
+    return runSingleEventSync(eventId, changeType, { dryRun, planFile, renameSlugs, lock: null, trigger, jobId, runId });
+  }
+  const ttlSeconds = Number(process.env.SYNC_LOCK_TTL_SECONDS);
+  const locks = createLockManager({ ttlMs: ttlSeconds > 0 ? ttlSeconds * 1000 : undefined });
+  // A request handed over to the lock holder keeps its own options and trigger in the run history.
+  let started = false;
+  const outcome = await locks.runExclusive(`sync:event:${eventId}`, { changeType, renameSlugs, trigger, jobId, runId }, (request, lock) => {
+    const id = request.runId || crypto.randomUUID();
+    if (!started) onStart?.(id);
+    started = true;
+    return runSingleEventSync(eventId, request.changeType, {
+      dryRun, planFile, renameSlugs: request.renameSlugs === true, lock, trigger: request.trigger, jobId: request.jobId, runId: id,
+    });
+  });
+  if (outcome.status === 'deferred') {
+    console.log(`⏳ Another sync for ${eventId} is running. This ${changeType} will run once it has finished.`);
+    return null;
+  }
+  return outcome.result;
+}
+
 module.exports = syncSingleEvent;
 
 if (require.main === module) {
-  const eventId = process.argv[2];
-  const changeType = process.argv[3] || 'Update';
-  if (!eventId) {
-    console.error('Usage: node scripts/sync_single.js <event-id> [Create|Update|Delete]');
-    process.exit(1);
+  const { parseArgs } = require('util');
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'dry-run': { type: 'boolean' },
+      'rename-slugs': { type: 'boolean' },
+      plan: { type: 'string' },
+      apply: { type: 'string' },
+    },
+  });
+  if (values.apply) {
+    applyPlanFile(values.apply).catch(err => {
+      console.error(`❌ Failed to apply plan: ${err.message}`);
+      process.exit(1);
+    });
+  } else {
+    const [eventId, changeType = 'Update'] = positionals;
+    if (!eventId) {
+      console.error('Usage: node scripts/sync_single.js <event-id> [Create|Update|Delete] [--rename-slugs] [--dry-run [--plan=plan.json]]');
+      console.error('       node scripts/sync_single.js --apply plan.json');
+      process.exit(1);
+    }
+    syncSingleEvent(eventId, changeType, {
+      dryRun: Boolean(values['dry-run']),
+      planFile: values.plan || null,
+      renameSlugs: Boolean(values['rename-slugs']),
+      trigger: 'cli',
+    })
+      .catch(() => process.exit(1));
   }
-  syncSingleEvent(eventId, changeType).catch(() => process.exit(1));
-}
\ No newline at end of file
+}
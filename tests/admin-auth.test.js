@@ -0,0 +1,82 @@
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+
+process.env.ADMIN_API_KEY = 'admin-key';
+process.env.JWT_SECRET = 'webhook-secret';
+process.env.ADMIN_JWT_SECRET = 'test-secret';
+delete process.env.JWT_KEYS;
+delete process.env.JWT_JWKS_FILE;
+delete process.env.ADMIN_JWT_KEYS;
+delete process.env.ADMIN_JWT_JWKS_FILE;
+delete process.env.ADMIN_JWT_ISSUER;
+delete process.env.ADMIN_JWT_AUDIENCE;
+delete process.env.ADMIN_JWT_ROLE;
+
+const { requireAdmin, verifyAdminToken } = require('../lib/admin-auth');
+
+(async () => {
+  const call = headers => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    const allowed = requireAdmin({ headers }, res);
+    return { allowed, status: res.statusCode, code: res.body?.error?.code };
+  };
+  const sign = (claims, options = {}) => jwt.sign(claims, 'test-secret', { expiresIn: 600, ...options });
+  const error = console.error;
+  console.error = () => {};
+
+  // The API key, in the header or as Bearer token.
+  assert.deepStrictEqual(call({ 'x-api-key': 'admin-key' }), { allowed: true, status: 200, code: undefined });
+  assert.strictEqual(call({ authorization: 'Bearer admin-key' }).allowed, true);
+  assert.deepStrictEqual(call({ 'x-api-key': 'wrong' }), { allowed: false, status: 401, code: 'Unauthorized' });
+  assert.strictEqual(call({}).status, 401);
+
+  // A JWT with the admin role, as `role` or in `roles`.
+  assert.strictEqual(call({ authorization: `Bearer ${sign({ role: 'sync-admin' })}` }).allowed, true);
+  assert.strictEqual(call({ authorization: `Bearer ${sign({ roles: ['support', 'sync-admin'] })}` }).allowed, true);
+  // A valid token without the role (e.g. a webhook token) is forbidden.
+  assert.deepStrictEqual(
+    call({ authorization: `Bearer ${sign({ entityName: 'Event', recordId: 'e1', changeType: 'Update' })}` }),
+    { allowed: false, status: 403, code: 'Forbidden' },
+  );
+  // Webhook keys cannot sign admin tokens.
+  assert.deepStrictEqual(
+    call({ authorization: `Bearer ${jwt.sign({ role: 'sync-admin' }, 'webhook-secret', { expiresIn: 600 })}` }),
+    { allowed: false, status: 401, code: 'Unauthorized' },
+  );
+  // Wrong signature, expired, or valid for longer than ADMIN_TOKEN_MAX_AGE_SECONDS.
+  assert.strictEqual(call({ authorization: `Bearer ${jwt.sign({ role: 'sync-admin' }, 'other', { expiresIn: 600 })}` }).status, 401);
+  assert.strictEqual(call({ authorization: `Bearer ${sign({ role: 'sync-admin', iat: Math.floor(Date.now() / 1000) - 700 })}` }).status, 401);
+  assert.strictEqual(call({ authorization: `Bearer ${sign({ role: 'sync-admin' }, { expiresIn: 24 * 3600 })}` }).status, 401);
+
+  // ADMIN_JWT_AUDIENCE: tokens for other audiences are rejected.
+  process.env.ADMIN_JWT_AUDIENCE = 'sync-admin-api';
+  assert.strictEqual(call({ authorization: `Bearer ${sign({ role: 'sync-admin' })}` }).status, 401);
+  assert.strictEqual(call({ authorization: `Bearer ${sign({ role: 'sync-admin' }, { audience: 'crm-webhook' })}` }).status, 401);
+  assert.strictEqual(call({ authorization: `Bearer ${sign({ role: 'sync-admin' }, { audience: 'sync-admin-api' })}` }).allowed, true);
+  delete process.env.ADMIN_JWT_AUDIENCE;
+
+  // Without admin keys, admin tokens are disabled.
+  assert.throws(
+    () => verifyAdminToken(sign({ role: 'sync-admin' }), { keyring: new Map() }),
+    err => err.status === 401 && /Admin tokens are not enabled/.test(err.message),
+  );
+
+  process.env.ADMIN_JWT_ROLE = 'ops';
+  assert.strictEqual(call({ authorization: `Bearer ${sign({ role: 'sync-admin' })}` }).status, 403);
+  assert.strictEqual(call({ authorization: `Bearer ${sign({ role: 'ops' })}` }).allowed, true);
+
+  // Without ADMIN_API_KEY, keys are a configuration error; role tokens still work.
+  delete process.env.ADMIN_API_KEY;
+  assert.deepStrictEqual(call({ 'x-api-key': 'admin-key' }), { allowed: false, status: 500, code: 'ServerConfigError' });
+  assert.strictEqual(call({ authorization: `Bearer ${sign({ role: 'ops' })}` }).allowed, true);
+  console.error = error;
+
+  console.log('Admin auth test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
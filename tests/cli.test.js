@@ -0,0 +1,86 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+delete process.env.JWT_KEYS;
+delete process.env.JWT_JWKS_FILE;
+delete process.env.JWT_ISSUER;
+delete process.env.JWT_AUDIENCE;
+delete process.env.CLI_TEST_VALUE;
+process.env.JWT_SECRET = 'test-secret';
+process.env.ADMIN_JWT_SECRET = 'admin-secret';
+delete process.env.ADMIN_JWT_KEYS;
+delete process.env.ADMIN_JWT_JWKS_FILE;
+delete process.env.ADMIN_JWT_ISSUER;
+delete process.env.ADMIN_JWT_AUDIENCE;
+
+const { COMMANDS, run } = require('../scripts/cli');
+
+(async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+  fs.writeFileSync(path.join(root, '.env.staging'), 'CLI_TEST_VALUE=staging\n');
+  const cli = async argv => {
+    let stdout = '';
+    const code = await run(argv, { root, stdout: { write: chunk => { stdout += chunk; } } });
+    return { code, stdout };
+  };
+  const error = console.error;
+  console.error = () => {};
+
+  COMMANDS['test:echo'] = {
+    args: ['<value>'],
+    description: 'Test command.',
+    options: { fail: { type: 'boolean' } },
+    run: ({ positionals: [value] }) => {
+      console.log('progress');
+      return { value, env: process.env.CLI_TEST_VALUE || null };
+    },
+    failed: (result, { values }) => (values.fail ? 'failed on request' : null),
+    format: result => `value: ${result.value}`,
+  };
+
+  // Human output, --json output (logs stay off stdout) and the failure hook.
+  const log = console.log;
+  console.log = () => {};
+  assert.deepStrictEqual(await cli(['test:echo', 'a']), { code: 0, stdout: 'value: a\n' });
+  const json = await cli(['test:echo', 'a', '--json']);
+  console.log = log;
+  assert.strictEqual(json.code, 0);
+  assert.deepStrictEqual(JSON.parse(json.stdout), { value: 'a', env: null });
+  assert.strictEqual((await cli(['test:echo', 'a', '--fail', '--json'])).code, 1);
+
+  // Usage errors exit with 2, also in JSON mode.
+  assert.strictEqual((await cli(['test:echo'])).code, 2);
+  assert.strictEqual((await cli(['test:echo', 'a', 'b'])).code, 2);
+  assert.strictEqual((await cli(['test:echo', 'a', '--unknown'])).code, 2);
+  const unknown = await cli(['nope', '--json']);
+  assert.strictEqual(unknown.code, 2);
+  assert.deepStrictEqual(JSON.parse(unknown.stdout).error, { name: 'UsageError', message: 'Unknown command "nope".' });
+  assert.strictEqual((await cli(['sync:event', 'e1', 'Rename'])).code, 2);
+  assert.strictEqual((await cli(['help'])).code, 0);
+  assert.match((await cli(['help', 'crm:events'])).stdout, /--id=<event-id>/);
+
+  // --env loads the profile; a missing profile is a usage error.
+  assert.strictEqual(JSON.parse((await cli(['test:echo', 'a', '--json', '--env=staging'])).stdout).env, 'staging');
+  assert.strictEqual((await cli(['test:echo', 'a', '--env=production'])).code, 2);
+
+  // jwt:mint; errors thrown by a command exit with 1.
+  const mint = await cli(['jwt:mint', '--record=e1', '--role=sync-admin', '--json']);
+  assert.strictEqual(mint.code, 0);
+  // Admin tokens are signed with the admin keyring.
+  const claims = jwt.verify(JSON.parse(mint.stdout).token, 'admin-secret');
+  assert.strictEqual(claims.recordId, 'e1');
+  assert.strictEqual(claims.role, 'sync-admin');
+  const badKid = await cli(['jwt:mint', '--kid=missing', '--json']);
+  assert.strictEqual(badKid.code, 1);
+  assert.match(JSON.parse(badKid.stdout).error.message, /Unknown key id "missing"/);
+  console.error = error;
+
+  fs.rmSync(root, { recursive: true, force: true });
+  console.log('CLI test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+const assert = require('assert');
+const { CrmBatch, parseBatchResponse } = require('../lib/crm-batch');
+
+(async () => {
+  const CRLF = '\r\n';
+  let sent = null;
+  const responseText = [
+    '--batchresponse_1',
+    'Content-Type: application/http',
+    'Content-Transfer-Encoding: binary',
+    '',
+    'HTTP/1.1 200 OK',
+    'Content-Type: application/json; odata.metadata=minimal',
+    '',
+    '{"value":[{"m8_name":"Lappland"}]}',
+    '--batchresponse_1',
+    'Content-Type: application/http',
+    'Content-Transfer-Encoding: binary',
+    '',
+    'HTTP/1.1 429 Too Many Requests',
+    'Retry-After: 5',
+    'Content-Type: application/json; odata.metadata=minimal',
+    '',
+    '{"error":{"code":"0x80072322","message":"Too many requests"}}',
+    '--batchresponse_1',
+    'Content-Type: multipart/mixed; boundary=changesetresponse_2',
+    '',
+    '--changesetresponse_2',
+    'Content-Type: application/http',
+    'Content-Transfer-Encoding: binary',
+    'Content-ID: 2',
+    '',
+    'HTTP/1.1 204 No Content',
+    '',
+    '',
+    '--changesetresponse_2',
+    'Content-Type: application/http',
+    'Content-Transfer-Encoding: binary',
+    'Content-ID: 1',
+    '',
+    'HTTP/1.1 204 No Content',
+    '',
+    '',
+    '--changesetresponse_2--',
+    '--batchresponse_1--',
+    '',
+  ].join(CRLF);
+
+  const batch = new CrmBatch({
+    baseUrl: 'https://org.crm4.dynamics.com/api/data/v9.2',
+    send: async (body, contentType, options) => {
+      sent = { body, contentType, options };
+      return { headers: { 'content-type': 'multipart/mixed; boundary=batchresponse_1' }, text: responseText };
+    },
+  })
+    .get('m8_events?$select=m8_name')
+    .post('m8_GetEventPriceLevelV1', { eventId: 'abc' })
+    .changeSet(cs => cs
+      .patch('m8_events(1)', { m8_name: 'A' })
+      .delete('m8_events(2)'));
+
+  assert.strictEqual(batch.size, 4);
+  const results = await batch.execute();
+
+  // Serialized request
+  assert.ok(sent.contentType.startsWith('multipart/mixed; boundary=batch_'));
+  assert.ok(sent.body.includes('GET https://org.crm4.dynamics.com/api/data/v9.2/m8_events?$select=m8_name HTTP/1.1'));
+  assert.ok(sent.body.includes('{"eventId":"abc"}'));
+  assert.ok(/Content-ID: 2\r\n\r\nDELETE https:\/\/org\.crm4\.dynamics\.com\/api\/data\/v9\.2\/m8_events\(2\) HTTP\/1\.1/.test(sent.body));
+  assert.strictEqual(sent.options.idempotent, false);
+  assert.strictEqual(sent.options.headers.Prefer, 'odata.continue-on-error');
+
+  // Results in request order, errors attached per request
+  assert.strictEqual(results.length, 4);
+  assert.strictEqual(results[0].status, 200);
+  assert.deepStrictEqual(results[0].body, { value: [{ m8_name: 'Lappland' }] });
+  assert.strictEqual(results[1].error.code, '0x80072322');
+  assert.strictEqual(results[1].error.retryAfter, 5);
+  assert.ok(results[1].error.isThrottling);
+  assert.strictEqual(results[2].status, 204);
+  assert.strictEqual(results[3].status, 204);
+  assert.strictEqual(results[2].error, null);
+
+  // Nested change set responses are grouped
+  const parsed = parseBatchResponse(responseText, 'multipart/mixed; boundary=batchresponse_1');
+  assert.strictEqual(parsed.length, 3);
+  assert.ok(Array.isArray(parsed[2]));
+  assert.deepStrictEqual(parsed[2].map(r => r.contentId), ['2', '1']);
+
+  console.log('CRM batch test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
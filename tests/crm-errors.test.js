@@ -0,0 +1,69 @@
+const assert = require('assert');
+const { CrmError, crmErrorFromResponse, crmErrorToHttp } = require('../lib/crm-errors');
+
+(async () => {
+  const headers = values => ({ get: name => values[name] ?? null });
+
+  // Dynamics OData error bodies are parsed into code, message and inner error.
+  const validation = crmErrorFromResponse({
+    endpoint: 'm8_SubmitSalesOrderV2',
+    status: 400,
+    text: JSON.stringify({ error: { code: '0x80040265', message: 'Event is fully booked.', innererror: { type: 'InvalidPluginExecutionException' } } }),
+  });
+  assert.ok(validation instanceof CrmError);
+  assert.strictEqual(validation.code, '0x80040265');
+  assert.strictEqual(validation.message, 'Event is fully booked.');
+  assert.deepStrictEqual(validation.innerError, { type: 'InvalidPluginExecutionException' });
+  assert.strictEqual(validation.isValidation, true);
+  assert.deepStrictEqual(validation.toJSON(), {
+    name: 'CrmError', status: 400, endpoint: 'm8_SubmitSalesOrderV2', code: '0x80040265', message: 'Event is fully booked.',
+  });
+
+  // Plugin errors are validation errors even when the CRM answers 500.
+  assert.strictEqual(crmErrorFromResponse({ endpoint: 'x', status: 500, text: '{"error":{"code":"0x80040265","message":"Invalid"}}' }).isValidation, true);
+
+  // Anything that is not an OData error body is kept as text.
+  const html = crmErrorFromResponse({ endpoint: 'WhoAmI', status: 502, text: '<html>Bad Gateway</html>' });
+  assert.strictEqual(html.message, '<html>Bad Gateway</html>');
+  assert.strictEqual(html.code, null);
+  assert.strictEqual(html.body, '<html>Bad Gateway</html>');
+  assert.strictEqual(crmErrorFromResponse({ endpoint: 'WhoAmI', status: 503, text: '' }).message, 'HTTP 503');
+
+  // Throttling: status 429 or a service protection code, with Retry-After.
+  const throttled = crmErrorFromResponse({
+    endpoint: 'm8_GetEventsV1',
+    status: 429,
+    text: '{"error":{"code":"0x80072322","message":"Number of requests exceeded the limit."}}',
+    headers: headers({ 'retry-after': '7' }),
+  });
+  assert.strictEqual(throttled.isThrottling, true);
+  assert.strictEqual(throttled.isValidation, false);
+  assert.strictEqual(throttled.retryAfter, 7);
+  assert.strictEqual(crmErrorFromResponse({ endpoint: 'x', status: 400, text: '{"error":{"code":"0x80072321"}}' }).isThrottling, true);
+  assert.strictEqual(crmErrorFromResponse({ endpoint: 'x', status: 429, text: '', headers: headers({ 'retry-after': 'soon' }) }).retryAfter, null);
+  // An HTTP-date Retry-After is turned into the seconds left until then.
+  const inAMinute = new Date(Date.now() + 60000).toUTCString();
+  const dated = crmErrorFromResponse({ endpoint: 'x', status: 429, text: '', headers: headers({ 'retry-after': inAMinute }) }).retryAfter;
+  assert.ok(dated >= 58 && dated <= 60, `expected about 60 seconds, got ${dated}`);
+  assert.strictEqual(crmErrorFromResponse({ endpoint: 'x', status: 429, text: '', headers: headers({ 'retry-after': 'Thu, 01 Jan 1970 00:00:00 GMT' }) }).retryAfter, 0);
+
+  // HTTP mapping for the API endpoints.
+  assert.deepStrictEqual(crmErrorToHttp(validation), { status: 400, code: '0x80040265', message: 'Event is fully booked.', retryAfter: null });
+  assert.deepStrictEqual(crmErrorToHttp(throttled), {
+    status: 503, code: '0x80072322', message: 'The CRM is currently throttling requests. Please try again shortly.', retryAfter: 7,
+  });
+  const open = new CrmError({ message: 'open', status: 503, code: 'CircuitOpen', retryAfter: 30 });
+  assert.deepStrictEqual(crmErrorToHttp(open), {
+    status: 503, code: 'CircuitOpen', message: 'The CRM is temporarily unavailable. Please try again shortly.', retryAfter: 30,
+  });
+  assert.deepStrictEqual(crmErrorToHttp(html), { status: 502, code: null, message: 'The CRM request failed.', retryAfter: null });
+  assert.strictEqual(crmErrorToHttp(new CrmError({ message: 'timeout', code: 'Timeout' })).status, 502);
+  // A failed token request is an upstream failure, not bad input.
+  assert.strictEqual(crmErrorToHttp(new CrmError({ message: 'Token request failed', status: 400, code: 'TokenRequestFailed' })).status, 502);
+  assert.deepStrictEqual(crmErrorToHttp(new TypeError('boom')), { status: 500, code: null, message: 'Internal server error.', retryAfter: null });
+
+  console.log('CRM errors test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
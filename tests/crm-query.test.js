@@ -0,0 +1,65 @@
+const assert = require('assert');
+const { CrmQuery, formatODataValue } = require('../lib/crm-query');
+
+(async () => {
+  // Literals
+  assert.strictEqual(formatODataValue("O'Brien"), "'O''Brien'");
+  assert.strictEqual(formatODataValue(42), '42');
+  assert.strictEqual(formatODataValue(null), 'null');
+  assert.strictEqual(formatODataValue('8f2c1a9e-1234-4cde-9abc-0123456789ab'), '8f2c1a9e-1234-4cde-9abc-0123456789ab');
+
+  // URL building
+  const q = new CrmQuery('m8_events', { request: null })
+    .select('m8_eventid', 'm8_name')
+    .where('statecode', 'eq', 0)
+    .filter("contains(m8_name,'Lappland')")
+    .expand('m8_eventlocation', sub => sub.select('m8_name', 'm8_address1city'))
+    .orderBy('m8_startdate', 'desc')
+    .top(10);
+  assert.strictEqual(
+    decodeURIComponent(q.toUrl()),
+    "m8_events?$select=m8_eventid,m8_name&$filter=(statecode eq 0) and (contains(m8_name,'Lappland'))"
+      + '&$expand=m8_eventlocation($select=m8_name,m8_address1city)&$orderby=m8_startdate desc&$top=10',
+  );
+  assert.strictEqual(new CrmQuery('m8_events', { request: null }).id('abc').toUrl(), 'm8_events(abc)');
+
+  // Prefer header
+  const headers = new CrmQuery('m8_events', { request: null }).maxPageSize(2).formattedValues().headers();
+  assert.strictEqual(
+    headers.Prefer,
+    'odata.maxpagesize=2,odata.include-annotations="OData.Community.Display.V1.FormattedValue"',
+  );
+
+  // Paging follows @odata.nextLink and forwards the Prefer header on every page.
+  const calls = [];
+  const pages = {
+    m8_events: { value: [{ id: 1 }, { id: 2 }], '@odata.nextLink': 'https://crm/next-1' },
+    'https://crm/next-1': { value: [{ id: 3 }] },
+  };
+  const paged = new CrmQuery('m8_events', {
+    request: async (url, hdrs) => {
+      calls.push([url, hdrs.Prefer]);
+      return pages[url];
+    },
+  }).maxPageSize(2);
+  const records = await paged.all();
+  assert.deepStrictEqual(records.map(r => r.id), [1, 2, 3]);
+  assert.deepStrictEqual(calls, [['m8_events', 'odata.maxpagesize=2'], ['https://crm/next-1', 'odata.maxpagesize=2']]);
+
+  // first() limits a copy, so the builder can still be used for all records.
+  calls.length = 0;
+  const reused = new CrmQuery('m8_events', {
+    request: async url => {
+      calls.push(url);
+      return { value: url.includes('$top=1') ? [{ id: 1 }] : [{ id: 1 }, { id: 2 }] };
+    },
+  }).select('m8_name');
+  assert.deepStrictEqual(await reused.first(), { id: 1 });
+  assert.deepStrictEqual((await reused.all()).map(r => r.id), [1, 2]);
+  assert.deepStrictEqual(calls, ['m8_events?$select=m8_name&$top=1', 'm8_events?$select=m8_name']);
+
+  console.log('CRM query builder test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,130 @@
+const assert = require('assert');
+
+process.env.CRM_TENANT_ID = 'tenant';
+process.env.CRM_CLIENT_ID = 'client';
+process.env.CRM_CLIENT_SECRET = 'secret';
+process.env.CRM_BASE_URL = 'https://crm.example.com/api/data/v9.2';
+process.env.CRM_MAX_RETRIES = '2';
+process.env.CRM_CIRCUIT_FAILURE_THRESHOLD = '100';
+delete process.env.CRM_TOKEN_CACHE;
+
+// Stub transport: lib/crm.js sends every request (token and API) through node-fetch.
+const requests = [];
+const responses = [];
+let tokens = 0;
+const respond = (status, body = '', headers = {}) => {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)]));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => lower[name.toLowerCase()] ?? null, forEach: fn => Object.entries(lower).forEach(([k, v]) => fn(v, k)) },
+    text: async () => text,
+    json: async () => JSON.parse(text),
+  };
+};
+async function fakeFetch(url, options = {}) {
+  if (url.startsWith('https://login.microsoftonline.com/')) {
+    tokens++;
+    return respond(200, { access_token: `token-${tokens}`, expires_in: 3600 });
+  }
+  requests.push({ url, method: options.method, authorization: options.headers.Authorization, body: options.body });
+  const next = responses.shift();
+  if (!next) throw new Error(`Unexpected request ${options.method} ${url}`);
+  return typeof next === 'function' ? next(options) : next;
+}
+require.cache[require.resolve('node-fetch')] = { id: 'node-fetch', loaded: true, exports: fakeFetch };
+
+const crm = require('../lib/crm');
+
+(async () => {
+  const log = console.log;
+  const warn = console.warn;
+  const error = console.error;
+  console.log = console.warn = console.error = () => {};
+
+  // A revoked token: the 401 drops the cached token and the call is repeated once with a new one.
+  assert.strictEqual(await crm.getAccessToken(), 'token-1');
+  responses.push(respond(401, { error: { code: '0x80040220', message: 'Unauthorized' } }), respond(200, { UserId: 'u1' }));
+  assert.deepStrictEqual(await crm.getWhoAmI(), { UserId: 'u1' });
+  assert.deepStrictEqual(requests.map(r => r.authorization), ['Bearer token-1', 'Bearer token-2']);
+  assert.strictEqual(await crm.getAccessToken(), 'token-2');
+
+  // Only once: a second 401 is passed on.
+  requests.length = 0;
+  responses.push(respond(401, 'denied'), respond(401, 'denied'));
+  await assert.rejects(crm.callCrm('WhoAmI', 'token-2', 'GET'), err => err instanceof crm.CrmError && err.status === 401);
+  assert.strictEqual(requests.length, 2);
+
+  // GET requests are retried on 5xx and throttling (honouring Retry-After).
+  const unavailable = () => respond(503, 'Service Unavailable', { 'Retry-After': '0' });
+  requests.length = 0;
+  responses.push(unavailable(), respond(429, '{"error":{"code":"0x80072322"}}', { 'Retry-After': '0' }), respond(200, { value: [] }));
+  assert.deepStrictEqual(await crm.callCrm('m8_events', 'token-2', 'GET'), { value: [] });
+  assert.strictEqual(requests.length, 3);
+
+  // A 400 is not retried.
+  requests.length = 0;
+  responses.push(respond(400, '{"error":{"code":"0x80040203","message":"Invalid argument"}}'));
+  await assert.rejects(crm.callCrm('m8_events', 'token-2', 'GET'), err => err.code === '0x80040203');
+  assert.strictEqual(requests.length, 1);
+
+  // Non-idempotent calls are sent once…
+  requests.length = 0;
+  responses.push(unavailable());
+  await assert.rejects(crm.callCrm('m8_SubmitSalesOrderV2', 'token-2', 'POST', { order: 1 }), err => err.status === 503);
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(requests[0].url, 'https://crm.example.com/api/data/v9.2/m8_SubmitSalesOrderV2');
+
+  // …unless an idempotency key is given; it is sent as the `tag` parameter.
+  requests.length = 0;
+  responses.push(unavailable(), respond(200, { ok: true }));
+  const submitted = await crm.callCrm('m8_SubmitSalesOrderV2', 'token-2', 'POST', { order: 1 }, { idempotencyKey: 'order 42' });
+  assert.deepStrictEqual(submitted, { ok: true });
+  assert.deepStrictEqual(requests.map(r => r.url), Array(2).fill('https://crm.example.com/api/data/v9.2/m8_SubmitSalesOrderV2?tag=order%2042'));
+
+  // A request that does not answer in time is aborted and becomes a CrmError.
+  requests.length = 0;
+  const hang = options => new Promise((_, reject) => {
+    options.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  });
+  responses.push(hang);
+  await assert.rejects(
+    crm.callCrm('m8_SubmitSalesOrderV2', 'token-2', 'POST', {}, { timeoutMs: 20 }),
+    err => err instanceof crm.CrmError && err.code === 'Timeout' && /timed out after 20ms/.test(err.message),
+  );
+  assert.strictEqual(requests.length, 1);
+
+  // Network errors are CrmErrors too and are retried for GET requests.
+  requests.length = 0;
+  responses.push(() => Promise.reject(new Error('ECONNRESET')), respond(200, { UserId: 'u1' }));
+  assert.deepStrictEqual(await crm.callCrm('WhoAmI', 'token-2', 'GET', null, { retries: 1 }), { UserId: 'u1' });
+  assert.strictEqual(requests.length, 2);
+  assert.strictEqual(responses.length, 0);
+
+  // getReferenceData: the filtered actions in one $batch; an empty filter leaves the action out.
+  requests.length = 0;
+  const part = body => ['--batchresponse_1', 'Content-Type: application/http', 'Content-Transfer-Encoding: binary', '',
+    'HTTP/1.1 200 OK', 'Content-Type: application/json', '', JSON.stringify(body)];
+  responses.push(respond(200, [...part({ value: [{ m8_name: 'Lappland' }] }), ...part({ value: [] }), '--batchresponse_1--', ''].join('\r\n'), {
+    'Content-Type': 'multipart/mixed; boundary=batchresponse_1',
+  }));
+  const referenceData = await crm.getReferenceData({ categories: [], locations: ['l1'], airports: ['a1', 'a2'] });
+  assert.deepStrictEqual(referenceData, { categories: null, locations: { value: [{ m8_name: 'Lappland' }] }, airports: { value: [] } });
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(requests[0].url, 'https://crm.example.com/api/data/v9.2/$batch');
+  assert.ok(requests[0].body.includes('POST https://crm.example.com/api/data/v9.2/m8_GetEventLocationsV1 HTTP/1.1'));
+  assert.ok(requests[0].body.includes('{"entityids":["a1","a2"]}'));
+  assert.ok(!requests[0].body.includes('m8_GetEventCategoriesV1'));
+  requests.length = 0;
+  assert.deepStrictEqual(await crm.getReferenceData({ categories: [], locations: [], airports: [] }), { categories: null, locations: null, airports: null });
+  assert.strictEqual(requests.length, 0);
+
+  console.log = log;
+  console.warn = warn;
+  console.error = error;
+  console.log('CRM transport test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const {
+  isRemoteExecutionContext, getChangedAttributes, parseRemoteExecutionContext,
+} = require('../lib/dataverse-webhook');
+const { verifyWebhookKey, WebhookAuthError } = require('../lib/webhook-auth');
+
+const ENTITY_TYPE = 'Entity:http://schemas.microsoft.com/xrm/2011/Contracts';
+const entity = (logicalName, attributes) => ({
+  __type: ENTITY_TYPE,
+  Attributes: Object.entries(attributes).map(([key, value]) => ({ key, value })),
+  Id: 'A1B2C3D4-0000-0000-0000-000000000001',
+  LogicalName: logicalName,
+});
+const context = (overrides = {}) => ({
+  MessageName: 'Update',
+  PrimaryEntityName: 'm8_event',
+  PrimaryEntityId: 'A1B2C3D4-0000-0000-0000-000000000001',
+  OperationId: 'op-1',
+  InputParameters: [{ key: 'Target', value: entity('m8_event', { m8_name: 'New', modifiedon: '/Date(1)/' }) }],
+  PreEntityImages: [],
+  PostEntityImages: [],
+  ...overrides,
+});
+
+// Detection and mapping onto the sync pipeline.
+assert.ok(isRemoteExecutionContext(context()));
+assert.ok(!isRemoteExecutionContext({ entityName: 'Event' }));
+const parsed = parseRemoteExecutionContext(context());
+assert.deepStrictEqual(
+  { entityName: parsed.entityName, recordId: parsed.recordId, changeType: parsed.changeType, ignoreReason: parsed.ignoreReason },
+  { entityName: 'Event', recordId: 'a1b2c3d4-0000-0000-0000-000000000001', changeType: 'Update', ignoreReason: null },
+);
+assert.strictEqual(parsed.jti, 'dataverse:op-1:Update');
+assert.strictEqual(parseRemoteExecutionContext(context({ MessageName: 'SetState' })).changeType, 'Update');
+assert.strictEqual(parseRemoteExecutionContext(context({ MessageName: 'Delete', InputParameters: [] })).changeType, 'Delete');
+assert.strictEqual(parseRemoteExecutionContext(context({ PrimaryEntityName: 'm8_airport' })).entityName, 'Airport');
+
+// Unsynced tables and messages are ignored.
+assert.match(parseRemoteExecutionContext(context({ PrimaryEntityName: 'contact' })).ignoreReason, /not synced/);
+assert.match(parseRemoteExecutionContext(context({ MessageName: 'Assign' })).ignoreReason, /not synced/);
+
+// Changed attributes come from the images, or from the Target without them.
+const images = (pre, post) => context({
+  PreEntityImages: [{ key: 'PreImage', value: entity('m8_event', pre) }],
+  PostEntityImages: [{ key: 'PostImage', value: entity('m8_event', post) }],
+});
+assert.deepStrictEqual(getChangedAttributes(images({ m8_name: 'A', m8_internalnote: 'x' }, { m8_name: 'A', m8_internalnote: 'y' })), ['m8_internalnote']);
+assert.deepStrictEqual(getChangedAttributes(context()), ['m8_name', 'modifiedon']);
+assert.strictEqual(getChangedAttributes(context({ InputParameters: [] })), null);
+
+// Updates that touch no synced attribute are ignored.
+assert.match(
+  parseRemoteExecutionContext(images({ m8_internalnote: 'x', modifiedon: '/Date(1)/' }, { m8_internalnote: 'y', modifiedon: '/Date(2)/' })).ignoreReason,
+  /No synced attribute changed/,
+);
+assert.strictEqual(parseRemoteExecutionContext(images({ m8_startdate: '/Date(1)/' }, { m8_startdate: '/Date(2)/' })).ignoreReason, null);
+assert.strictEqual(parseRemoteExecutionContext(images({ statecode: { Value: 0 } }, { statecode: { Value: 1 } })).ignoreReason, null);
+assert.strictEqual(parseRemoteExecutionContext(images({}, { m8_eventlocationid: { Id: 'l1' } })).ignoreReason, null);
+
+// The webhook key is accepted from the `code` query parameter or the header.
+verifyWebhookKey({ query: { code: 'k' }, headers: {} }, { key: 'k' });
+verifyWebhookKey({ headers: { 'x-webhook-key': 'k' } }, { key: 'k' });
+assert.throws(() => verifyWebhookKey({ query: { code: 'bad' }, headers: {} }, { key: 'k' }), WebhookAuthError);
+assert.throws(() => verifyWebhookKey({ headers: {} }, { key: '' }), err => err.status === 500);
+
+console.log('Dataverse webhook test passed');
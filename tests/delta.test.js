@@ -0,0 +1,37 @@
+const assert = require('assert');
+const { CrmQuery } = require('../lib/crm-query');
+const { createWatermark, findModifiedRecords } = require('../lib/delta');
+const { createMemoryStore } = require('../lib/kv');
+
+(async () => {
+  // The watermark is empty until the first successful run.
+  const watermark = createWatermark({ store: createMemoryStore() });
+  assert.strictEqual(await watermark.get(), null);
+  await watermark.set(new Date('2026-03-01T12:00:00Z'));
+  assert.strictEqual((await watermark.get()).toISOString(), '2026-03-01T12:00:00.000Z');
+
+  // Every collection is queried by modifiedon, minus the overlap, selecting only the ID.
+  const urls = [];
+  const records = {
+    m8_events: [{ m8_eventid: 'e1' }, { m8_eventid: 'e2' }],
+    m8_eventlocations: [{ m8_eventlocationid: 'l1' }],
+  };
+  const query = entitySet => new CrmQuery(entitySet, {
+    request: async url => {
+      urls.push(decodeURIComponent(url));
+      return { value: records[entitySet] || [] };
+    },
+  });
+  const modified = await findModifiedRecords({ since: new Date('2026-03-01T12:00:00Z'), query, overlapMs: 60 * 1000 });
+  assert.deepStrictEqual(modified, { LOCATIONS: ['l1'], CATEGORIES: [], AIRPORTS: [], EVENTS: ['e1', 'e2'] });
+  assert.ok(urls.every(url => url.includes('modifiedon gt 2026-03-01T11:59:00.000Z')), urls.join('\n'));
+  assert.ok(urls.some(url => url.startsWith('m8_events?') && url.includes('$select=m8_eventid')));
+
+  const onlyEvents = await findModifiedRecords({ since: new Date(), query, keys: ['EVENTS'] });
+  assert.deepStrictEqual(Object.keys(onlyEvents), ['EVENTS']);
+
+  console.log('Delta sync test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
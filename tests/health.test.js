@@ -0,0 +1,93 @@
+const assert = require('assert');
+const { createMemoryStore } = require('../lib/kv');
+const { checkConfig, createDependencyChecks, runHealthChecks } = require('../lib/health');
+
+const ENV = {
+  CRM_TENANT_ID: 't',
+  CRM_CLIENT_ID: 'c',
+  CRM_CLIENT_SECRET: 's',
+  CRM_BASE_URL: 'https://crm.example.com/api/data/v9.2',
+  WEBFLOW_API_TOKEN: 'w',
+  WEBFLOW_COLLECTION_ID_EVENTS: 'c-events',
+  WEBFLOW_COLLECTION_ID_LOCATIONS: 'c-locations',
+  WEBFLOW_COLLECTION_ID_CATEGORIES: 'c-categories',
+  WEBFLOW_COLLECTION_ID_AIRPORTS: 'c-airports',
+  JWT_SECRET: 'secret',
+  KV_REST_API_URL: 'https://kv.example.com',
+  KV_REST_API_TOKEN: 'kv',
+  CRON_SECRET: 'cron',
+  ADMIN_API_KEY: 'admin',
+};
+
+(async () => {
+  // Configuration: required variables and a keyring are down, optional ones degraded.
+  assert.deepStrictEqual(checkConfig(ENV), { status: 'ok' });
+  assert.deepStrictEqual(checkConfig({ ...ENV, CRON_SECRET: '' }), { status: 'degraded', recommended: ['CRON_SECRET'] });
+  assert.deepStrictEqual(checkConfig({ ...ENV, CRM_BASE_URL: '' }).missing, ['CRM_BASE_URL']);
+  assert.strictEqual(checkConfig({ ...ENV, JWT_SECRET: '' }).status, 'down');
+  assert.match(checkConfig({ ...ENV, JWT_KEYS: '{' }).keyring, /JWT_KEYS is not valid JSON/);
+  // A broken admin keyring only affects admin tokens.
+  assert.strictEqual(checkConfig({ ...ENV, ADMIN_JWT_KEYS: '{' }).status, 'degraded');
+  assert.match(checkConfig({ ...ENV, ADMIN_JWT_KEYS: '{' }).adminKeyring, /^ADMIN_JWT_KEYS is not valid JSON/);
+
+  const collectionIds = { EVENTS: 'c-events', LOCATIONS: 'c-locations', CATEGORIES: 'c-categories', AIRPORTS: 'c-airports' };
+  const crmCalls = [];
+  const crm = {
+    getAccessToken: async () => 'token',
+    callCrm: async (...args) => {
+      crmCalls.push(args);
+      return { UserId: 'u1' };
+    },
+  };
+  const webflow = {
+    getTokenInfo: async () => ({ authorization: { expiresAt: null } }),
+    getCollection: async id => {
+      if (id === 'c-airports') throw Object.assign(new Error('Webflow API GET /collections/c-airports failed with 404'), { status: 404 });
+      return { id, displayName: id };
+    },
+  };
+
+  // All dependencies healthy.
+  const healthy = await runHealthChecks(createDependencyChecks({
+    crm,
+    webflow: { ...webflow, getCollection: async id => ({ id, displayName: id }) },
+    collectionIds,
+    kv: createMemoryStore(),
+    env: ENV,
+  }));
+  assert.strictEqual(healthy.status, 'ok');
+  assert.deepStrictEqual(Object.keys(healthy.checks), ['config', 'crm', 'webflow', 'kv']);
+  assert.strictEqual(healthy.checks.crm.userId, 'u1');
+  assert.strictEqual(typeof healthy.checks.crm.latencyMs, 'number');
+  assert.deepStrictEqual(crmCalls[0].slice(0, 3), ['WhoAmI', 'token', 'GET']);
+  assert.strictEqual(crmCalls[0][4].retries, 0);
+  assert.strictEqual(healthy.checks.webflow.collections.EVENTS.status, 'ok');
+
+  // An inaccessible collection takes Webflow down; missing KV only degrades.
+  const broken = await runHealthChecks(createDependencyChecks({ crm, webflow, collectionIds, kv: null, env: ENV }));
+  assert.strictEqual(broken.status, 'down');
+  assert.strictEqual(broken.checks.webflow.status, 'down');
+  assert.deepStrictEqual(
+    Object.fromEntries(Object.entries(broken.checks.webflow.collections).map(([key, c]) => [key, c.status])),
+    { EVENTS: 'ok', LOCATIONS: 'ok', CATEGORIES: 'ok', AIRPORTS: 'down' },
+  );
+  assert.match(broken.checks.webflow.collections.AIRPORTS.error, /404/);
+  assert.strictEqual(broken.checks.kv.status, 'degraded');
+
+  // Failing and hanging checks are down, with their error and latency.
+  const failed = await runHealthChecks({
+    crm: async () => { throw new Error('Token request failed: 401'); },
+    slow: () => new Promise(() => {}),
+    kv: async () => ({ status: 'degraded' }),
+  }, { timeoutMs: 20 });
+  assert.strictEqual(failed.status, 'down');
+  assert.strictEqual(failed.checks.crm.error, 'Token request failed: 401');
+  assert.strictEqual(failed.checks.slow.error, 'Timed out after 20ms.');
+  assert.ok(failed.checks.slow.latencyMs >= 15);
+  assert.strictEqual((await runHealthChecks({ kv: async () => ({ status: 'degraded' }) })).status, 'degraded');
+
+  console.log('Health test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
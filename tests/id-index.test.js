@@ -0,0 +1,84 @@
+const assert = require('assert');
+const { createMemoryStore } = require('../lib/kv');
+const { createIdIndex } = require('../lib/id-index');
+
+(async () => {
+  let clock = 0;
+  const items = [
+    { id: 'wf-1', fieldData: { eventid: 'crm-1' } },
+    { id: 'wf-2', fieldData: { eventid: 'crm-2' } },
+  ];
+  const calls = [];
+  const client = {
+    listAllItems: async c => { calls.push(['list', c]); return items; },
+    getItem: async (c, id) => {
+      calls.push(['get', id]);
+      const item = items.find(i => i.id === id);
+      if (!item) throw Object.assign(new Error('Not found'), { status: 404 });
+      return item;
+    },
+  };
+  const index = createIdIndex({
+    client,
+    collectionIds: { EVENTS: 'events' },
+    store: createMemoryStore({ now: () => clock }),
+    maxAgeMs: 1000,
+    now: () => clock,
+  });
+  const log = console.log;
+  const warn = console.warn;
+  console.log = () => {};
+  console.warn = () => {};
+
+  try {
+    // The first lookup builds the index; later lookups only read it.
+    assert.strictEqual(await index.lookup('EVENTS', 'crm-2'), 'wf-2');
+    assert.strictEqual(await index.lookup('EVENTS', 'crm-9'), null);
+    assert.deepStrictEqual(calls, [['list', 'events']]);
+
+    await index.set('EVENTS', 'crm-3', 'wf-3');
+    await index.remove('EVENTS', 'crm-1');
+    assert.strictEqual(await index.lookup('EVENTS', 'crm-3'), 'wf-3');
+    assert.strictEqual(await index.lookup('EVENTS', 'crm-1'), null);
+
+    // getItems fetches single items and drops entries that are gone in Webflow.
+    calls.length = 0;
+    const found = await index.getItems('EVENTS', ['crm-2', 'crm-3', 'crm-9']);
+    assert.deepStrictEqual([...found.keys()], ['crm-2']);
+    assert.deepStrictEqual(calls, [['get', 'wf-2'], ['get', 'wf-3']]);
+    assert.strictEqual(await index.lookup('EVENTS', 'crm-3'), null);
+
+    // Once expired, the index is rebuilt from Webflow.
+    clock = 1000;
+    calls.length = 0;
+    assert.strictEqual(await index.lookup('EVENTS', 'crm-1'), 'wf-1');
+    assert.deepStrictEqual(calls, [['list', 'events']]);
+
+    // A rebuild swaps the hash in one step: lookups during it still see the old entries.
+    const store = createMemoryStore();
+    const seen = [];
+    const watched = {
+      ...store,
+      hset: async (key, values) => {
+        if (key.includes(':rebuild:')) seen.push(await store.hget('webflow:id-index:EVENTS', 'crm-1'));
+        return store.hset(key, values);
+      },
+    };
+    const swapping = createIdIndex({ client, collectionIds: { EVENTS: 'events' }, store: watched });
+    await swapping.replace('EVENTS', [{ id: 'wf-old', fieldData: { eventid: 'crm-1' } }]);
+    await swapping.replace('EVENTS', items);
+    assert.deepStrictEqual(seen, [null, 'wf-old']);
+    assert.strictEqual(await swapping.lookup('EVENTS', 'crm-1'), 'wf-1');
+    assert.strictEqual(await swapping.lookup('EVENTS', 'crm-3'), null);
+    await swapping.replace('EVENTS', []);
+    assert.strictEqual(await store.hgetall('webflow:id-index:EVENTS'), null);
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+
+  console.log('ID index test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
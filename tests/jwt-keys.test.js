@@ -0,0 +1,90 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { createKeyring, loadKeyring, KeyringError } = require('../lib/jwt-keys');
+const { verifyWebhookToken, WebhookAuthError } = require('../lib/webhook-auth');
+const mintToken = require('../scripts/mint_token');
+
+(async () => {
+  const body = { entityName: 'Event', recordId: 'e1', changeType: 'Update' };
+  const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const pem = key => key.export({ type: 'spki', format: 'pem' });
+
+  const keyring = createKeyring({
+    secret: 'legacy-secret',
+    keys: { '2026-01': 'new-secret', rsa1: pem(rsa.publicKey) },
+    jwks: { keys: [
+      { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec1', use: 'sig' },
+      { ...ec.publicKey.export({ format: 'jwk' }), kid: 'enc1', use: 'enc' },
+    ] },
+  });
+  assert.deepStrictEqual([...keyring.keys()], ['default', '2026-01', 'rsa1', 'ec1']);
+  assert.deepStrictEqual(keyring.get('default').algorithms, ['HS256']);
+  assert.deepStrictEqual(keyring.get('rsa1').algorithms, ['RS256']);
+
+  const verify = (token, options = {}) => verifyWebhookToken(token, { keyring, issuer: [], audience: [], ...options });
+  const rejects = (token, pattern, options) => assert.throws(
+    () => verify(token, options),
+    err => err instanceof WebhookAuthError && err.status === 401 && pattern.test(err.message),
+  );
+  const sign = (key, options) => jwt.sign(body, key, { expiresIn: 60, ...options });
+
+  // Rotation: old and new secrets are both valid, selected by kid.
+  assert.strictEqual(verify(sign('legacy-secret')).recordId, 'e1');
+  assert.strictEqual(verify(sign('new-secret', { keyid: '2026-01' })).recordId, 'e1');
+  rejects(sign('legacy-secret', { keyid: '2026-01' }), /signature/);
+  rejects(sign('new-secret', { keyid: 'retired' }), /Unknown key id "retired"/);
+
+  // Asymmetric keys from config and JWKS.
+  assert.strictEqual(verify(sign(rsa.privateKey, { algorithm: 'RS256', keyid: 'rsa1' })).recordId, 'e1');
+  assert.strictEqual(verify(sign(ec.privateKey, { algorithm: 'ES256', keyid: 'ec1' })).recordId, 'e1');
+  rejects(sign(ec.privateKey, { algorithm: 'ES256', keyid: 'enc1' }), /Unknown key id/);
+
+  // Algorithm confusion: an HS256 token "signed" with the public key is refused.
+  rejects(sign(pem(rsa.publicKey), { algorithm: 'HS256', keyid: 'rsa1' }), /invalid algorithm/);
+  // So are algorithms outside the allowed list.
+  rejects(sign('new-secret', { algorithm: 'HS512', keyid: '2026-01' }), /invalid algorithm/);
+  assert.throws(() => createKeyring({ secret: 's', algorithms: ['RS256'] }), KeyringError);
+
+  // Issuer and audience.
+  const claims = { issuer: 'crm-plugin', audience: 'crm-webhook' };
+  assert.strictEqual(verify(sign('legacy-secret', claims), { issuer: ['crm-plugin'], audience: ['crm-webhook'] }).recordId, 'e1');
+  rejects(sign('legacy-secret', { ...claims, issuer: 'someone-else' }), /issuer invalid/, { issuer: ['crm-plugin'] });
+  rejects(sign('legacy-secret', { ...claims, audience: 'other-api' }), /audience invalid/, { audience: ['crm-webhook'] });
+
+  // Clock skew: a token that expired a few seconds ago is still within the tolerance.
+  const now = Math.floor(Date.now() / 1000);
+  const expired = jwt.sign({ ...body, iat: now - 70, exp: now - 10 }, 'legacy-secret');
+  assert.strictEqual(verify(expired, { clockToleranceSeconds: 30 }).recordId, 'e1');
+  rejects(expired, /expired/, { clockToleranceSeconds: 0 });
+
+  // No keys at all is a server misconfiguration.
+  assert.throws(() => verify('x', { keyring: new Map() }), err => err.status === 500);
+
+  // Environment loading, including a JWKS file.
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+  const jwksFile = path.join(dir, 'jwks.json');
+  fs.writeFileSync(jwksFile, JSON.stringify({ keys: [{ ...rsa.publicKey.export({ format: 'jwk' }), kid: 'file1' }] }));
+  const loaded = loadKeyring({ JWT_KEYS: '{"k2":"s2"}', JWT_JWKS_FILE: jwksFile, JWT_ALGORITHMS: 'HS256, RS256' });
+  assert.deepStrictEqual([...loaded.keys()], ['k2', 'file1']);
+  assert.throws(() => loadKeyring({ JWT_KEYS: '{nope' }), /JWT_KEYS is not valid JSON/);
+  fs.rmSync(dir, { recursive: true });
+
+  // The mint CLI signs with secrets from the keyring or a given private key.
+  const minted = mintToken({ keyring, kid: '2026-01', record: 'e2', iss: 'crm-plugin', aud: 'crm-webhook' });
+  const payload = verify(minted, { issuer: ['crm-plugin'], audience: ['crm-webhook'] });
+  assert.strictEqual(payload.recordId, 'e2');
+  assert.ok(payload.jti);
+  assert.strictEqual(jwt.decode(minted, { complete: true }).header.kid, '2026-01');
+  assert.strictEqual(verify(mintToken({ keyring, kid: 'rsa1', privateKey: rsa.privateKey })).entityName, 'Event');
+  assert.throws(() => mintToken({ keyring, kid: 'rsa1' }), /--key-file/);
+
+  console.log('JWT keyring test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
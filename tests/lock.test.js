@@ -0,0 +1,83 @@
+const assert = require('assert');
+const { createMemoryStore } = require('../lib/kv');
+const { createLockManager, fence, LockLostError } = require('../lib/lock');
+
+(async () => {
+  let clock = 0;
+  const store = createMemoryStore({ now: () => clock });
+  const locks = createLockManager({ store, ttlMs: 1000 });
+
+  // Only one holder at a time; release only frees our own lock.
+  const a = await locks.acquire('rec');
+  assert.ok(a);
+  assert.strictEqual(await locks.acquire('rec'), null);
+  assert.strictEqual(await a.extend(), true);
+
+  // After expiry a new holder gets a higher fencing token and the old one is fenced off.
+  clock = 2000;
+  const b = await locks.acquire('rec');
+  assert.ok(b.token > a.token);
+  assert.strictEqual(await a.release(), false);
+  assert.strictEqual(await a.extend(), false);
+  await assert.rejects(a.assertHeld(), LockLostError);
+  const writes = [];
+  const client = fence({ createItem: async () => writes.push('create') }, a, ['createItem']);
+  await assert.rejects(client.createItem(), LockLostError);
+  assert.deepStrictEqual(writes, []);
+  await b.assertHeld();
+  assert.strictEqual(await b.release(), true);
+
+  // A request arriving while the lock is held is run once more by the holder.
+  const runs = [];
+  let unblock;
+  const log = console.log;
+  console.log = () => {};
+  const first = locks.runExclusive('evt', { changeType: 'Create' }, async request => {
+    runs.push(request.changeType);
+    if (runs.length === 1) await new Promise(resolve => { unblock = resolve; });
+    return runs.length;
+  });
+  await new Promise(resolve => setImmediate(resolve));
+  const second = await locks.runExclusive('evt', { changeType: 'Update' }, async () => assert.fail('must not run'));
+  assert.deepStrictEqual(second, { status: 'deferred' });
+  unblock();
+  assert.deepStrictEqual(await first, { status: 'done', runs: 2, result: 2 });
+  assert.deepStrictEqual(runs, ['Create', 'Update']);
+  assert.ok(await locks.acquire('evt'));
+
+  // A request parked during a failing run still runs; the error is thrown afterwards.
+  const attempts = [];
+  const failing = locks.runExclusive('evt-2', { changeType: 'Create' }, async request => {
+    attempts.push(request.changeType);
+    if (attempts.length === 1) {
+      await new Promise(resolve => { unblock = resolve; });
+      throw new Error('Webflow API unavailable');
+    }
+  });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(await locks.runExclusive('evt-2', { changeType: 'Delete' }, async () => assert.fail('must not run')), { status: 'deferred' });
+  unblock();
+  await assert.rejects(failing, /Webflow API unavailable/);
+  assert.deepStrictEqual(attempts, ['Create', 'Delete']);
+
+  // The parked request is kept alive with the lock, also past twice the lock TTL.
+  const short = createLockManager({ store, ttlMs: 300 });
+  const order = [];
+  const long = short.runExclusive('evt-3', { changeType: 'Create' }, async request => {
+    order.push(request.changeType);
+    if (order.length > 1) return;
+    assert.deepStrictEqual(await short.runExclusive('evt-3', { changeType: 'Update' }, async () => assert.fail('must not run')), { status: 'deferred' });
+    clock += 500;
+    // The heartbeat (every second at this TTL) extends the lock and the parked request.
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    clock += 400;
+  });
+  assert.deepStrictEqual((await long).runs, 2);
+  assert.deepStrictEqual(order, ['Create', 'Update']);
+  console.log = log;
+
+  console.log('Lock test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
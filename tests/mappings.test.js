@@ -0,0 +1,72 @@
+const assert = require('assert');
+const {
+  MAPPINGS, MappingError, getReferencedRecords, getMappingForEntity, mapRecord,
+} = require('../lib/mappings');
+const { buildItemCache } = require('../lib/sync');
+
+const crmEvent = {
+  m8_eventid: 'ev-1',
+  m8_name: 'Lappland Driving Experience',
+  m8_description: '<p>Ice</p>',
+  m8_startdate: '2026-01-10T00:00:00Z',
+  m8_enddate: '2026-01-14T00:00:00Z',
+  m8_startingamount: 4990,
+  m8_drivingdays: 3,
+  m8_eventbookingstatuscode: 1,
+  m8_eventbookingpercentage: 80,
+  m8_isflightincluded: true,
+  m8_iseventpublished: true,
+  m8_isaccommodationandcateringincluded: true,
+  m8_isfullybooked: false,
+  m8_availablevehicles: 4,
+  m8_eventlocation: { m8_eventlocationid: 'loc-1', m8_name: 'Arjeplog', m8_address1city: 'Arjeplog', m8_address1country: 'SE' },
+  m8_eventcategories: [{ m8_eventcategoryid: 'cat-1', m8_name: 'Winter' }, { m8_eventcategoryid: 'cat-2', m8_name: 'Ice' }],
+  m8_airports: [],
+};
+
+// Referenced records are grouped per reference field.
+const refs = getReferencedRecords(MAPPINGS.EVENTS, crmEvent);
+assert.deepStrictEqual(refs.map(r => [r.field.slug, r.records.length]), [['categorie', 2], ['airport', 0], ['location', 1]]);
+
+// Event mapping, with references resolved through the caches.
+const caches = {
+  LOCATIONS: new Map([['loc-1', 'wf-loc-1']]),
+  CATEGORIES: new Map([['cat-1', 'wf-cat-1']]),
+  AIRPORTS: new Map(),
+};
+const fieldData = mapRecord(MAPPINGS.EVENTS, crmEvent, {
+  resolveReference: (key, crmId) => caches[key].get(crmId),
+});
+assert.strictEqual(fieldData.slug, 'lappland-driving-experience');
+assert.strictEqual(fieldData['description-3'], '<p>Ice</p>');
+assert.strictEqual(fieldData.isfullybookedboleantext, 'false');
+assert.deepStrictEqual(fieldData.location, ['wf-loc-1']);
+assert.deepStrictEqual(fieldData.categorie, ['wf-cat-1']);
+assert.deepStrictEqual(fieldData.airport, []);
+
+// Reference collections
+assert.deepStrictEqual(mapRecord(MAPPINGS.LOCATIONS, crmEvent.m8_eventlocation), {
+  name: 'Arjeplog',
+  slug: 'arjeplog',
+  eventlocationid: 'loc-1',
+  address1city: 'Arjeplog',
+  address1country: 'SE',
+});
+
+// Required fields
+assert.throws(
+  () => mapRecord(MAPPINGS.CATEGORIES, { m8_eventcategoryid: 'cat-3' }),
+  err => err instanceof MappingError && err.missing.includes('name') && err.crmId === 'cat-3',
+);
+
+// ID caches are keyed by the CRM ID field slug of each collection.
+const item = { id: 'wf-1', fieldData: { 'category-id': 'cat-1' } };
+const cache = buildItemCache(MAPPINGS.CATEGORIES, [item]);
+assert.strictEqual(cache.get('cat-1'), item);
+
+// Webhook entity names resolve to their collection.
+assert.strictEqual(getMappingForEntity('EventLocation'), MAPPINGS.LOCATIONS);
+assert.strictEqual(getMappingForEntity('Airport'), MAPPINGS.AIRPORTS);
+assert.strictEqual(getMappingForEntity('Contact'), undefined);
+
+console.log('Mappings test passed');
@@ -0,0 +1,94 @@
+const assert = require('assert');
+const { createSyncStats } = require('../lib/sync');
+const { OrphanThresholdError, findOrphans, assertOrphanThreshold, removeOrphans } = require('../lib/orphans');
+
+(async () => {
+  const live = { lastPublished: '2026-01-01T00:00:00Z', isDraft: false, isArchived: false };
+  // Webflow keeps lastPublished after an unpublish; the item is a draft from then on.
+  const unpublished = { lastPublished: '2026-01-01T00:00:00Z', isDraft: true, isArchived: false };
+  const archived = { lastPublished: '2026-01-01T00:00:00Z', isDraft: false, isArchived: true };
+  const item = (id, state, fieldData) => ({ id, ...state, fieldData: { name: id, ...fieldData } });
+
+  const crmEvents = [{ m8_eventid: 'e1', m8_name: 'Kept', m8_eventlocation: [{ m8_eventlocationid: 'l1' }] }];
+  const caches = {
+    EVENTS: new Map([
+      ['e1', item('wf-e1', live, { eventid: 'e1' })],
+      ['e2', item('wf-e2', live, { eventid: 'e2' })],
+      ['e3', item('wf-e3', unpublished, { eventid: 'e3' })],
+      ['e4', item('wf-e4', archived, { eventid: 'e4' })],
+      // Created by hand in Webflow: never an orphan.
+      [undefined, item('wf-manual', live, {})],
+    ]),
+    LOCATIONS: new Map([
+      ['l1', item('wf-l1', live, { eventlocationid: 'l1' })],
+      ['l2', item('wf-l2', live, { eventlocationid: 'l2' })],
+    ]),
+    CATEGORIES: new Map(),
+    AIRPORTS: new Map(),
+  };
+  const ids = orphans => Object.fromEntries(Object.entries(orphans).map(([key, items]) => [key, items.map(i => i.id)]));
+
+  // Detection per policy: items already in the target state are not reported again.
+  assert.deepStrictEqual(ids(findOrphans({ crmEvents, caches, policy: 'unpublish' })), {
+    EVENTS: ['wf-e2'], LOCATIONS: ['wf-l2'], CATEGORIES: [], AIRPORTS: [],
+  });
+  assert.deepStrictEqual(ids(findOrphans({ crmEvents, caches, policy: 'archive' })).EVENTS, ['wf-e2', 'wf-e3']);
+  assert.deepStrictEqual(ids(findOrphans({ crmEvents, caches, policy: 'delete' })).EVENTS, ['wf-e2', 'wf-e3', 'wf-e4']);
+  assert.deepStrictEqual(ids(findOrphans({ crmEvents, caches, policy: 'none' })).EVENTS, ['wf-e2', 'wf-e3', 'wf-e4']);
+
+  // Threshold: aborts when a collection would lose more than maxPercent of its items.
+  const orphans = findOrphans({ crmEvents, caches, policy: 'delete' });
+  assert.doesNotThrow(() => assertOrphanThreshold(orphans, caches, 60));
+  assert.throws(() => assertOrphanThreshold(orphans, caches, 50), err => err instanceof OrphanThresholdError
+    && err.violations.length === 1
+    && err.violations[0].collection === 'EVENTS'
+    && err.violations[0].orphans === 3
+    && err.violations[0].total === 5
+    && /EVENTS: 3\/5 \(60\.0%\)/.test(err.message));
+  assert.doesNotThrow(() => assertOrphanThreshold({ EVENTS: [] }, { EVENTS: new Map() }, 0));
+
+  // Removal per policy against a stub client; events go first.
+  const collectionIds = { EVENTS: 'c-events', LOCATIONS: 'c-locations', CATEGORIES: 'c-categories', AIRPORTS: 'c-airports' };
+  const remove = async policy => {
+    const calls = [];
+    const removed = [];
+    const client = {
+      unpublishItem: async (c, id) => calls.push(['unpublish', c, id]),
+      updateItem: async (c, id, body) => calls.push(['update', c, id, body]),
+      deleteItem: async (c, id) => calls.push(['delete', c, id]),
+    };
+    const index = { remove: async (key, crmId) => removed.push([key, crmId]) };
+    const stats = createSyncStats();
+    const found = findOrphans({ crmEvents, caches, policy });
+    await removeOrphans({ client, collectionIds, orphans: { LOCATIONS: found.LOCATIONS, EVENTS: found.EVENTS }, policy, stats, index });
+    return { calls, removed, counts: [stats.EVENTS.orphaned, stats.LOCATIONS.orphaned] };
+  };
+  const log = console.log;
+  console.log = () => {};
+
+  assert.deepStrictEqual(await remove('unpublish'), {
+    calls: [['unpublish', 'c-events', 'wf-e2'], ['unpublish', 'c-locations', 'wf-l2']],
+    removed: [],
+    counts: [1, 1],
+  });
+  // Archiving unpublishes only live items.
+  assert.deepStrictEqual((await remove('archive')).calls, [
+    ['unpublish', 'c-events', 'wf-e2'],
+    ['update', 'c-events', 'wf-e2', { isArchived: true }],
+    ['update', 'c-events', 'wf-e3', { isArchived: true }],
+    ['unpublish', 'c-locations', 'wf-l2'],
+    ['update', 'c-locations', 'wf-l2', { isArchived: true }],
+  ]);
+  // Deleting also forgets the items in the ID index.
+  assert.deepStrictEqual(await remove('delete'), {
+    calls: [['delete', 'c-events', 'wf-e2'], ['delete', 'c-events', 'wf-e3'], ['delete', 'c-events', 'wf-e4'], ['delete', 'c-locations', 'wf-l2']],
+    removed: [['EVENTS', 'e2'], ['EVENTS', 'e3'], ['EVENTS', 'e4'], ['LOCATIONS', 'l2']],
+    counts: [3, 1],
+  });
+  console.log = log;
+
+  console.log('Orphans test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
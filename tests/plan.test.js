@@ -0,0 +1,82 @@
+const assert = require('assert');
+const { createPlanningClient, buildPlan, formatPlan, applyPlan } = require('../lib/plan');
+
+(async () => {
+  const existing = { id: 'wf-1', fieldData: { name: 'Old', slug: 'old' } };
+  const writes = [];
+  const client = {
+    listAllItems: async () => [existing],
+    createItem: async () => { writes.push('create'); },
+    updateItem: async () => { writes.push('update'); },
+    publishItems: async () => { writes.push('publish'); },
+  };
+
+  // Reads reach the real client, writes are only recorded.
+  const planner = createPlanningClient(client);
+  await planner.listAllItems('events');
+  const loc = await planner.createItem('locations', { fieldData: { name: 'Loc' } });
+  assert.strictEqual(loc.id, '$new:1');
+  await planner.updateItem('events', 'wf-1', { isDraft: false, fieldData: { name: 'New', slug: 'old', location: [loc.id] } });
+  await planner.publishItems('locations', [loc.id]);
+  assert.deepStrictEqual(writes, []);
+
+  const plan = buildPlan(planner.getOperations(), { source: 'test' });
+  assert.deepStrictEqual(plan.ops.map(op => op.op), ['create', 'update', 'publish']);
+  assert.deepStrictEqual(plan.ops[1].diff, [
+    { field: 'name', from: 'Old', to: 'New' },
+    { field: 'location', from: undefined, to: ['$new:1'] },
+  ]);
+  assert.ok(formatPlan(plan, { events: 'EVENTS' }).includes('name: "Old" → "New"'));
+
+  // Applying substitutes placeholders with the IDs Webflow returns.
+  const applied = [];
+  const webflowItems = new Map([['wf-1', { id: 'wf-1', isDraft: false, fieldData: { name: 'Old', slug: 'old' } }]]);
+  const notFound = () => Object.assign(new Error('Not found'), { status: 404 });
+  const real = {
+    getItem: async (c, id) => {
+      if (!webflowItems.has(id)) throw notFound();
+      return structuredClone(webflowItems.get(id));
+    },
+    createItem: async (c, body) => { applied.push(['create', c, body]); return { id: 'wf-9' }; },
+    updateItem: async (c, id, body) => { applied.push(['update', id, body.fieldData.location]); },
+    publishItems: async (c, ids) => { applied.push(['publish', ids]); },
+  };
+  const result = await applyPlan(JSON.parse(JSON.stringify(plan)), real);
+  assert.strictEqual(result.applied, 3);
+  assert.deepStrictEqual(result.ids, { '$new:1': 'wf-9' });
+  assert.deepStrictEqual(applied.slice(1), [['update', 'wf-1', ['wf-9']], ['publish', ['wf-9']]]);
+  assert.deepStrictEqual(result.skipped, []);
+
+  // An update is skipped when the item changed in Webflow after planning, and the
+  // item is left out of later publishes.
+  const stale = buildPlan([
+    { op: 'update', collectionId: 'events', itemId: 'wf-1', name: 'Old', body: { fieldData: { name: 'New' } }, diff: [{ field: 'name', from: 'Old', to: 'New' }] },
+    { op: 'update', collectionId: 'events', itemId: 'wf-gone', body: { fieldData: { name: 'New' } }, diff: [{ field: 'name', from: 'Old', to: 'New' }] },
+    { op: 'publish', collectionId: 'events', itemIds: ['wf-1'] },
+  ], { source: 'test' });
+  webflowItems.get('wf-1').fieldData.name = 'Edited in Webflow';
+  applied.length = 0;
+  const staleResult = await applyPlan(JSON.parse(JSON.stringify(stale)), real);
+  assert.deepStrictEqual(applied, []);
+  assert.strictEqual(staleResult.applied, 0);
+  assert.deepStrictEqual(staleResult.skipped, [
+    { collectionId: 'events', itemId: 'wf-1', name: 'Old', reason: 'changed in Webflow since the plan was made (name)' },
+    { collectionId: 'events', itemId: 'wf-gone', name: undefined, reason: 'no longer in Webflow' },
+  ]);
+
+  // Deleting an item that is already gone is not an error.
+  const warn = console.warn;
+  console.warn = () => {};
+  const removed = [];
+  const index = { remove: async (key, crmId) => removed.push(crmId) };
+  const deletes = buildPlan([{ op: 'delete', collectionId: 'events', itemId: 'wf-gone' }], { source: 'test' });
+  real.deleteItem = async () => { throw notFound(); };
+  assert.strictEqual((await applyPlan(deletes, real, index)).applied, 1);
+  assert.deepStrictEqual(removed, []);
+  console.warn = warn;
+
+  console.log('Plan test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { createMemoryStore } = require('../lib/kv');
+const { createJobQueue } = require('../lib/queue');
+
+(async () => {
+  let clock = 0;
+  const now = () => clock;
+  const queue = createJobQueue({
+    store: createMemoryStore({ now }),
+    maxAttempts: 2,
+    baseDelayMs: 1000,
+    visibilityMs: 500,
+    now,
+  });
+  const warn = console.warn;
+  const error = console.error;
+  console.warn = () => {};
+  console.error = () => {};
+
+  try {
+    const job = await queue.enqueue({ entity: 'Event', recordId: 'e1', changeType: 'Create' });
+    await queue.enqueue({ entity: 'Event', recordId: 'e2', changeType: 'Update' }, { delayMs: 10000 });
+
+    // Only due jobs are claimed, and a claim is exclusive.
+    const claimed = await queue.claim();
+    assert.strictEqual(claimed.id, job.id);
+    assert.strictEqual(await queue.claim(), null);
+
+    // A claim that is never completed expires and the job becomes due again.
+    clock = 600;
+    assert.strictEqual(await queue.recoverExpired(), 1);
+    assert.strictEqual((await queue.claim()).id, job.id);
+    await queue.complete(claimed);
+    assert.deepStrictEqual(await queue.stats(), { pending: 1, processing: 0, dead: 0 });
+
+    // Failures are retried with backoff, then dead-lettered.
+    clock = 10000;
+    const seen = [];
+    let summary = await queue.drain(async j => { seen.push(j.attempts); throw new Error('CRM down'); });
+    assert.deepStrictEqual(summary, { processed: 1, succeeded: 0, retried: 1, dead: 0 });
+    assert.strictEqual(await queue.claim(), null);
+
+    clock = 20000;
+    summary = await queue.drain(async j => { seen.push(j.attempts); throw new Error('still down'); });
+    assert.deepStrictEqual(summary, { processed: 1, succeeded: 0, retried: 0, dead: 1 });
+    assert.deepStrictEqual(seen, [0, 1]);
+    const [dead] = await queue.listDead();
+    assert.strictEqual(dead.recordId, 'e2');
+    assert.strictEqual(dead.lastError, 'still down');
+
+    // Dead letters can be retried (with a fresh attempt count) or purged.
+    assert.strictEqual(await queue.retryDead(dead.id), 1);
+    summary = await queue.drain(async j => assert.strictEqual(j.attempts, 0));
+    assert.strictEqual(summary.succeeded, 1);
+    assert.deepStrictEqual(await queue.stats(), { pending: 0, processing: 0, dead: 0 });
+
+    await queue.enqueue({ entity: 'Event', recordId: 'e3', changeType: 'Delete' });
+    await queue.drain(async () => { throw new Error('x'); });
+    clock = 100000;
+    await queue.drain(async () => { throw new Error('x'); });
+    assert.strictEqual(await queue.purgeDead(), 1);
+    assert.deepStrictEqual(await queue.listDead(), []);
+
+    // Changes to a record with a pending job collapse into that job.
+    const first = await queue.enqueue({ entity: 'Event', recordId: 'e4', changeType: 'Create' }, { collapse: true, delayMs: 100 });
+    const merged = await queue.enqueue({ entity: 'Event', recordId: 'e4', changeType: 'Update' }, { collapse: true });
+    assert.strictEqual(merged.id, first.id);
+    assert.strictEqual(merged.collapsed, 1);
+    clock += 100;
+    const claimedFirst = await queue.claim();
+    assert.strictEqual(claimedFirst.changeType, 'Update');
+    // Once the job is being processed, a new change gets a job of its own.
+    const next = await queue.enqueue({ entity: 'Event', recordId: 'e4', changeType: 'Delete' }, { collapse: true });
+    assert.notStrictEqual(next.id, first.id);
+    await queue.complete(claimedFirst);
+    assert.strictEqual((await queue.claim()).id, next.id);
+  } finally {
+    console.warn = warn;
+    console.error = error;
+  }
+
+  console.log('Queue test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
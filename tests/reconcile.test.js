@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { createMemoryStore } = require('../lib/kv');
+const { createJobQueue } = require('../lib/queue');
+const { MAPPINGS, mapRecord } = require('../lib/mappings');
+const { OrphanThresholdError } = require('../lib/orphans');
+const { reconcile } = require('../lib/reconcile');
+
+(async () => {
+  const live = { lastPublished: '2026-01-01T00:00:00Z', isDraft: false, isArchived: false };
+  const event = (id, name, extra = {}) => ({
+    m8_eventid: id,
+    m8_name: name,
+    m8_startdate: '2026-05-01T00:00:00Z',
+    m8_eventlocation: [{ m8_eventlocationid: 'l1' }],
+    ...extra,
+  });
+  const crmEvents = [
+    event('e1', 'In sync'),
+    event('e2', 'Renamed'),
+    event('e3', 'Not in Webflow'),
+    event('e4', 'Unknown location', { m8_eventlocation: [{ m8_eventlocationid: 'l2' }] }),
+  ];
+  const mapped = id => mapRecord(MAPPINGS.EVENTS, crmEvents.find(ev => ev.m8_eventid === id), {
+    resolveReference: (key, crmId) => (crmId === 'l1' ? 'wf-l1' : null),
+  });
+  const items = {
+    events: [
+      { id: 'wf-e1', ...live, fieldData: { ...mapped('e1'), slug: 'in-sync-2026' } },
+      { id: 'wf-e2', ...live, fieldData: { ...mapped('e2'), name: 'Old name' } },
+      { id: 'wf-e4', ...live, fieldData: { ...mapped('e4'), location: ['wf-gone'] } },
+      { id: 'wf-e5', ...live, fieldData: { name: 'Cancelled', eventid: 'e5' } },
+      { id: 'wf-manual', ...live, fieldData: { name: 'Hand-made' } },
+    ],
+    locations: [
+      { id: 'wf-l1', ...live, fieldData: { name: 'Rovaniemi', eventlocationid: 'l1' } },
+      { id: 'wf-l9', ...live, fieldData: { name: 'Unused', eventlocationid: 'l9' } },
+    ],
+    categories: [],
+    airports: [],
+  };
+  const client = { listAllItems: async collectionId => items[collectionId] };
+  const collectionIds = { EVENTS: 'events', LOCATIONS: 'locations', CATEGORIES: 'categories', AIRPORTS: 'airports' };
+  const fetchEvents = async () => ({ value: crmEvents });
+
+  // Report only: nothing is enqueued.
+  const queue = createJobQueue({ store: createMemoryStore() });
+  const { summary, report, enqueued } = await reconcile({ client, collectionIds, fetchEvents, orphanPolicy: 'unpublish' });
+  assert.deepStrictEqual(report.missing, [{ crmId: 'e3', name: 'Not in Webflow' }]);
+  // e1 differs only in its (suffixed) slug, which is not drift.
+  assert.deepStrictEqual(report.stale.map(s => [s.crmId, s.fields]), [['e2', ['name']], ['e4', ['location']]]);
+  assert.deepStrictEqual(report.brokenReferences.map(r => [r.crmId, r.target, r.ref, r.problem]), [
+    ['e4', 'LOCATIONS', 'l2', 'missing'],
+    ['e4', 'LOCATIONS', 'wf-gone', 'dangling'],
+  ]);
+  assert.deepStrictEqual(report.orphaned.EVENTS, [{ crmId: 'e5', itemId: 'wf-e5', name: 'Cancelled' }]);
+  assert.deepStrictEqual(report.orphaned.LOCATIONS.map(o => o.crmId), ['l9']);
+  assert.deepStrictEqual(summary, { missing: 1, stale: 2, orphaned: 2, brokenReferences: 2, skipped: 0, drifted: 4 });
+  assert.deepStrictEqual(enqueued, []);
+  assert.strictEqual((await queue.stats()).pending, 0);
+
+  // Self-healing enqueues one sync job per drifted event.
+  const healed = await reconcile({ client, collectionIds, fetchEvents, queue, heal: true, orphanPolicy: 'unpublish' });
+  assert.deepStrictEqual(healed.enqueued, ['e3', 'e2', 'e4', 'e5']);
+  const job = await queue.claim();
+  assert.deepStrictEqual([job.entity, job.recordId, job.changeType], ['Event', 'e3', 'Update']);
+
+  // With the orphan policy 'none', orphaned events are reported but not enqueued.
+  const keepQueue = createJobQueue({ store: createMemoryStore() });
+  const kept = await reconcile({ client, collectionIds, fetchEvents, queue: keepQueue, heal: true, orphanPolicy: 'none' });
+  assert.deepStrictEqual(kept.report.orphaned.EVENTS.map(o => o.crmId), ['e5']);
+  assert.deepStrictEqual(kept.enqueued, ['e3', 'e2', 'e4']);
+  assert.strictEqual((await keepQueue.stats()).pending, 3);
+
+  // Orphans above the threshold abort the healing before anything is enqueued.
+  const guardedQueue = createJobQueue({ store: createMemoryStore() });
+  await assert.rejects(
+    reconcile({ client, collectionIds, fetchEvents, queue: guardedQueue, heal: true, orphanPolicy: 'unpublish', maxOrphanPercent: 10 }),
+    err => err instanceof OrphanThresholdError && err.violations[0].collection === 'EVENTS' && err.violations[0].total === 5,
+  );
+  assert.strictEqual((await guardedQueue.stats()).pending, 0);
+
+  console.log('Reconciliation test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
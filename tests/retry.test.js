@@ -0,0 +1,48 @@
+const assert = require('assert');
+const { parseRetryAfter, computeBackoff, withRetry } = require('../lib/retry');
+const { createCircuitBreaker } = require('../lib/circuit-breaker');
+
+(async () => {
+  // Retry-After: seconds and HTTP dates.
+  assert.strictEqual(parseRetryAfter('3'), 3000);
+  assert.strictEqual(parseRetryAfter(null), null);
+  assert.strictEqual(parseRetryAfter(new Date(10_000).toUTCString(), () => 4_000), 6000);
+
+  // Backoff grows exponentially, stays within [exp/2, exp] and is capped.
+  assert.strictEqual(computeBackoff(1, { baseDelayMs: 100, random: () => 0 }), 50);
+  assert.strictEqual(computeBackoff(3, { baseDelayMs: 100, random: () => 1 }), 400);
+  assert.strictEqual(computeBackoff(20, { baseDelayMs: 100, maxDelayMs: 1000, random: () => 1 }), 1000);
+
+  // Retries until success, honouring the server-provided delay.
+  const delays = [];
+  let calls = 0;
+  const result = await withRetry(async () => {
+    calls++;
+    if (calls < 3) throw Object.assign(new Error('busy'), { retryAfterMs: 7 });
+    return 'ok';
+  }, { retries: 3, getRetryAfterMs: err => err.retryAfterMs, sleep: async ms => { delays.push(ms); } });
+  assert.strictEqual(result, 'ok');
+  assert.deepStrictEqual(delays, [7, 7]);
+
+  // Non-retryable errors and retries: 0 fail immediately.
+  calls = 0;
+  await assert.rejects(withRetry(async () => { calls++; throw new Error('nope'); }, { retries: 0 }));
+  assert.strictEqual(calls, 1);
+
+  // Circuit breaker opens after the threshold and lets one trial through after the timeout.
+  let clock = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000, now: () => clock });
+  const fail = () => Promise.reject(new Error('down'));
+  await assert.rejects(breaker.exec(fail), /down/);
+  await assert.rejects(breaker.exec(fail), /down/);
+  assert.strictEqual(breaker.getState(), 'open');
+  await assert.rejects(breaker.exec(() => Promise.resolve('x')), /Circuit open/);
+  clock += 1000;
+  assert.strictEqual(await breaker.exec(() => Promise.resolve('x')), 'x');
+  assert.strictEqual(breaker.getState(), 'closed');
+
+  console.log('Retry test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
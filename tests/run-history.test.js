@@ -0,0 +1,95 @@
+const assert = require('assert');
+const { createMemoryStore } = require('../lib/kv');
+const { createRunHistory } = require('../lib/run-history');
+
+(async () => {
+  let clock = Date.parse('2026-03-01T12:00:00Z');
+  const now = () => clock;
+  const history = createRunHistory({ store: createMemoryStore({ now }), retentionMs: 24 * 60 * 60 * 1000, now });
+
+  // A run is visible while it is running and records decisions, writes and the outcome.
+  const run = await history.start({ type: 'event', trigger: 'webhook', recordId: 'e1', changeType: 'Update', jobId: 'job-1' });
+  assert.strictEqual((await history.get(run.id)).status, 'running');
+
+  const client = {
+    createItem: async () => ({ id: 'wf-new' }),
+    updateItem: async () => {},
+    publishItems: async () => {},
+    unpublishItem: async () => {},
+    getItem: async () => ({ id: 'wf-1' }),
+  };
+  const webflow = run.track(client, { EVENTS: 'c-events', LOCATIONS: 'c-locations' });
+  await webflow.createItem('c-locations', { fieldData: {} });
+  await webflow.updateItem('c-events', 'wf-1', {});
+  await webflow.publishItems('c-events', ['wf-1']);
+  await webflow.publishItems('c-events', ['wf-1']);
+  await webflow.getItem('c-events', 'wf-1');
+  run.decide('Updated & published item wf-1 (changed: name).');
+  clock += 1500;
+  await run.finish({ stats: { EVENTS: { updated: 1 } } });
+
+  const saved = await history.get(run.id);
+  assert.strictEqual(saved.status, 'succeeded');
+  assert.strictEqual(saved.durationMs, 1500);
+  assert.strictEqual(saved.jobId, 'job-1');
+  assert.deepStrictEqual(saved.decisions, ['Updated & published item wf-1 (changed: name).']);
+  assert.deepStrictEqual(saved.items, [
+    { collection: 'LOCATIONS', itemId: 'wf-new', action: 'created' },
+    { collection: 'EVENTS', itemId: 'wf-1', action: 'updated' },
+    { collection: 'EVENTS', itemId: 'wf-1', action: 'published' },
+  ]);
+
+  // Failures keep the error.
+  clock += 60 * 1000;
+  const failed = await history.start({ type: 'event', recordId: 'e2', changeType: 'Delete' });
+  await failed.fail(Object.assign(new Error('Webflow API unavailable'), { status: 503 }));
+  assert.deepStrictEqual((await history.get(failed.id)).error, { name: 'Error', message: 'Webflow API unavailable', status: 503 });
+
+  clock += 60 * 1000;
+  const full = await history.start({ type: 'full', trigger: 'cron' });
+  await full.finish();
+
+  // Filters: event, status, type and time range; newest first.
+  assert.deepStrictEqual((await history.list()).map(r => r.id), [full.id, failed.id, run.id]);
+  assert.deepStrictEqual((await history.list({ recordId: 'e1' })).map(r => r.id), [run.id]);
+  assert.deepStrictEqual((await history.list({ status: 'failed' })).map(r => r.id), [failed.id]);
+  assert.deepStrictEqual((await history.list({ type: 'full' })).map(r => r.id), [full.id]);
+  assert.deepStrictEqual((await history.list({ from: Date.parse('2026-03-01T12:01:00Z') })).map(r => r.id), [full.id, failed.id]);
+  assert.deepStrictEqual((await history.list({ limit: 1 })).map(r => r.id), [full.id]);
+
+  // Runs older than the retention are pruned when a later run finishes.
+  clock += 25 * 60 * 60 * 1000;
+  await (await history.start({ type: 'delta', trigger: 'cron' })).finish();
+  assert.strictEqual((await history.list()).length, 1);
+  assert.strictEqual(await history.get(run.id), null);
+  assert.deepStrictEqual(await history.list({ recordId: 'e1' }), []);
+
+  // Long histories are read newest first, a page at a time with one HMGET each, only as far as needed.
+  const calls = [];
+  const memory = createMemoryStore({ now });
+  const store = new Proxy(memory, {
+    get: (target, name) => (...args) => {
+      calls.push(name);
+      return target[name](...args);
+    },
+  });
+  const large = createRunHistory({ store, now });
+  const ids = [];
+  for (let i = 0; i < 250; i++) {
+    clock += 1000;
+    const r = await large.start({ type: 'event', recordId: `e${i % 2}` });
+    await (i % 50 === 0 ? r.fail(new Error('boom')) : r.finish());
+    ids.push(r.id);
+  }
+  calls.length = 0;
+  assert.deepStrictEqual((await large.list({ status: 'failed', limit: 3 })).map(r => r.id), [ids[200], ids[150], ids[100]]);
+  assert.deepStrictEqual(calls, ['zrange', 'hmget', 'zrange', 'hmget']);
+  assert.deepStrictEqual((await large.list({ status: 'failed' })).map(r => r.id), [200, 150, 100, 50, 0].map(i => ids[i]));
+  assert.deepStrictEqual((await large.list({ recordId: 'e1', limit: 2 })).map(r => r.id), [ids[249], ids[247]]);
+  assert.strictEqual((await large.list({ limit: 200 })).length, 200);
+
+  console.log('Run history test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const { MAPPINGS } = require('../lib/mappings');
+const { validateCollectionSchema, validateSchemas, SchemaValidationError } = require('../lib/schema');
+
+(async () => {
+  const collectionIds = { EVENTS: 'c-events', LOCATIONS: 'c-locations', CATEGORIES: 'c-categories', AIRPORTS: 'c-airports' };
+  const referenceTargets = { categorie: 'c-categories', airport: 'c-airports', location: 'c-locations' };
+
+  // A schema exactly as the mappings expect it.
+  const schemaFor = key => ({
+    id: collectionIds[key],
+    fields: MAPPINGS[key].fields.map(({ slug, type }) => ({
+      slug,
+      type,
+      ...(referenceTargets[slug] && key === 'EVENTS' && { validations: { collectionId: referenceTargets[slug] } }),
+    })),
+  });
+  for (const key of Object.keys(MAPPINGS)) {
+    assert.deepStrictEqual(validateCollectionSchema(MAPPINGS[key], schemaFor(key), collectionIds), [], key);
+  }
+
+  // Drift: a renamed field, a changed type, a reference to the wrong collection.
+  const drifted = schemaFor('EVENTS');
+  drifted.fields = drifted.fields
+    .map(field => (field.slug === 'description-3' ? { ...field, slug: 'description-4' } : field))
+    .map(field => (field.slug === 'drivingdays' ? { ...field, type: 'PlainText' } : field))
+    .map(field => (field.slug === 'location' ? { ...field, validations: { collectionId: 'c-airports' } } : field));
+  const problems = validateCollectionSchema(MAPPINGS.EVENTS, drifted, collectionIds);
+  assert.deepStrictEqual(problems.map(p => [p.field, p.problem]), [
+    ['description-3', 'missing'],
+    ['drivingdays', 'type'],
+    ['location', 'reference'],
+  ]);
+
+  // Compatible types pass: plain text may go into a RichText field.
+  const rich = schemaFor('LOCATIONS');
+  rich.fields.find(field => field.slug === 'address1city').type = 'RichText';
+  assert.deepStrictEqual(validateCollectionSchema(MAPPINGS.LOCATIONS, rich, collectionIds), []);
+
+  // validateSchemas fetches each schema once, reports all problems and caches successes.
+  const fetched = [];
+  const schemas = { ...Object.fromEntries(Object.keys(MAPPINGS).map(key => [collectionIds[key], schemaFor(key)])), 'c-events': drifted };
+  const client = { getCollection: async id => { fetched.push(id); return schemas[id]; } };
+  await assert.rejects(
+    validateSchemas({ client, collectionIds, mode: 'strict' }),
+    err => err instanceof SchemaValidationError
+      && err.problems.length === 3
+      && /EVENTS\.drivingdays: expected Number, Webflow field is PlainText/.test(err.message)
+      && /EVENTS\.description-3: field does not exist/.test(err.message),
+  );
+  assert.deepStrictEqual(fetched, ['c-locations', 'c-categories', 'c-airports', 'c-events']);
+
+  fetched.length = 0;
+  const warn = console.warn;
+  console.warn = () => {};
+  assert.strictEqual((await validateSchemas({ client, collectionIds, mode: 'warn' })).length, 3);
+  console.warn = warn;
+  assert.deepStrictEqual(fetched, ['c-events']);
+
+  assert.deepStrictEqual(await validateSchemas({ client, collectionIds, mode: 'off' }), []);
+  await assert.rejects(validateSchemas({ client, collectionIds, mode: 'loose' }), /Unknown schema validation mode/);
+
+  console.log('Schema validation test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
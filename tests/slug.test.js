@@ -0,0 +1,36 @@
+const assert = require('assert');
+const { slugify, slugCandidates, createSlugHistory } = require('../lib/slug');
+const { createMemoryStore } = require('../lib/kv');
+
+(async () => {
+  // Umlauts and ß are transliterated, other accents stripped, punctuation collapsed.
+  assert.strictEqual(slugify('Lappland Driving Experience'), 'lappland-driving-experience');
+  assert.strictEqual(slugify('Größenwahn über Österreich – Straße'), 'groessenwahn-ueber-oesterreich-strasse');
+  assert.strictEqual(slugify('Ärzte & Café'), 'aerzte-cafe');
+  assert.strictEqual(slugify('Für München'), 'fuer-muenchen');
+  assert.strictEqual(slugify('  Spa_Day 2026!! '), 'spa-day-2026');
+  assert.strictEqual(slugify(null), '');
+
+  // Collision candidates: plain, year, full date, short ID, full ID.
+  assert.deepStrictEqual(
+    slugCandidates('lappland', { date: '2027-02-10T08:00:00Z', id: 'A1B2C3D4-0000-1111' }),
+    ['lappland', 'lappland-2027', 'lappland-2027-02-10', 'lappland-a1b2c3d4', 'lappland-a1b2c3d400001111'],
+  );
+  assert.deepStrictEqual(slugCandidates('hotel', { id: 'abc' }), ['hotel', 'hotel-abc']);
+  assert.deepStrictEqual(slugCandidates('hotel', { date: 'not a date' }), ['hotel']);
+
+  // History: chains resolve to the current slug, and a slug taken back stops redirecting.
+  const history = createSlugHistory({ store: createMemoryStore(), now: () => Date.UTC(2026, 0, 1) });
+  await history.record('EVENTS', { from: 'a', to: 'b', crmId: 'e1' });
+  await history.record('EVENTS', { from: 'b', to: 'c', crmId: 'e1' });
+  assert.deepStrictEqual((await history.list('EVENTS')).map(({ from, to }) => [from, to]), [['a', 'c'], ['b', 'c']]);
+  assert.strictEqual((await history.list('EVENTS'))[0].changedAt, '2026-01-01T00:00:00.000Z');
+  await history.record('EVENTS', { from: 'c', to: 'a', crmId: 'e1' });
+  assert.deepStrictEqual((await history.list('EVENTS')).map(({ from, to }) => [from, to]), [['b', 'a'], ['c', 'a']]);
+  assert.deepStrictEqual(await history.list('LOCATIONS'), []);
+
+  console.log('Slug test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
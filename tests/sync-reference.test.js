@@ -0,0 +1,158 @@
+const assert = require('assert');
+
+process.env.CRM_TENANT_ID = 'tenant';
+process.env.CRM_CLIENT_ID = 'client';
+process.env.CRM_CLIENT_SECRET = 'secret';
+process.env.CRM_BASE_URL = 'https://crm.example.com/api/data/v9.2';
+process.env.WEBFLOW_COLLECTION_ID_EVENTS = 'c-events';
+process.env.WEBFLOW_COLLECTION_ID_LOCATIONS = 'c-locations';
+process.env.WEBFLOW_COLLECTION_ID_CATEGORIES = 'c-categories';
+process.env.WEBFLOW_COLLECTION_ID_AIRPORTS = 'c-airports';
+process.env.SYNC_SCHEMA_VALIDATION = 'off';
+delete process.env.KV_REST_API_URL;
+delete process.env.KV_REST_API_TOKEN;
+
+// Stub CRM and Webflow: scripts/sync_reference.js takes both from the modules when it is loaded.
+const crm = require('../lib/crm');
+const webflowModule = require('../lib/webflow');
+
+const crmLocations = new Map();
+crm.getEventLocations = async ids => ({ value: ids.map(id => crmLocations.get(id)).filter(Boolean) });
+
+const collections = { 'c-events': new Map(), 'c-locations': new Map(), 'c-categories': new Map(), 'c-airports': new Map() };
+const calls = [];
+const notFound = id => Object.assign(new Error(`Webflow item ${id} not found`), { status: 404 });
+const webflow = {
+  listAllItems: async collectionId => [...collections[collectionId].values()].map(item => structuredClone(item)),
+  getItem: async (collectionId, id) => {
+    if (!collections[collectionId].has(id)) throw notFound(id);
+    return structuredClone(collections[collectionId].get(id));
+  },
+  findItemBySlug: async (collectionId, slug) => [...collections[collectionId].values()].find(item => item.fieldData.slug === slug) || null,
+  createItem: async (collectionId, body) => {
+    const item = { id: `wf-${collections[collectionId].size + 1}`, isDraft: false, isArchived: false, lastPublished: null, ...structuredClone(body) };
+    collections[collectionId].set(item.id, item);
+    calls.push(['create', collectionId, item.id]);
+    return structuredClone(item);
+  },
+  updateItem: async (collectionId, id, body) => {
+    const item = collections[collectionId].get(id);
+    if (!item) throw notFound(id);
+    Object.assign(item, { ...body, fieldData: { ...item.fieldData, ...body.fieldData } });
+    calls.push(['update', collectionId, id, body.fieldData]);
+  },
+  publishItems: async (collectionId, ids) => calls.push(['publish', collectionId, ...ids]),
+  unpublishItem: async (collectionId, id) => calls.push(['unpublish', collectionId, id]),
+  deleteItem: async (collectionId, id) => {
+    if (!collections[collectionId].delete(id)) throw notFound(id);
+    calls.push(['delete', collectionId, id]);
+  },
+};
+webflowModule.getWebflowClient = () => webflow;
+
+const syncReferenceRecord = require('../scripts/sync_reference');
+const { registerEntityHandler, getEntityHandler, listEntities } = require('../lib/entity-handlers');
+const { getSyncQueue } = require('../lib/queue');
+const { getIdIndex } = require('../lib/id-index');
+
+const PUBLISHED = '2026-01-01T00:00:00Z';
+const addItem = (collectionId, id, fieldData, state = {}) => collections[collectionId].set(id, {
+  id, isDraft: false, isArchived: false, lastPublished: PUBLISHED, ...state, fieldData,
+});
+
+/** Claims and completes every queued job. */
+async function drain() {
+  const queue = getSyncQueue();
+  const jobs = [];
+  for (let job = await queue.claim(); job; job = await queue.claim()) {
+    jobs.push([job.entity, job.recordId, job.changeType, job.source]);
+    await queue.complete(job);
+  }
+  return jobs.sort((a, b) => a[1].localeCompare(b[1]));
+}
+
+(async () => {
+  const log = console.log;
+  const warn = console.warn;
+  console.log = console.warn = () => {};
+
+  crmLocations.set('l1', { m8_eventlocationid: 'l1', m8_name: 'Lappland', m8_address1city: 'Kiruna', m8_address1country: 'Sweden' });
+  addItem('c-locations', 'wf-l1', { name: 'Lapland', slug: 'lapland', eventlocationid: 'l1', address1city: 'Kiruna' });
+  addItem('c-locations', 'wf-l2', { name: 'Norway', slug: 'norway', eventlocationid: 'l2' });
+  addItem('c-events', 'wf-e1', { name: 'Winter Tour', eventid: 'e1', location: ['wf-l1', 'wf-l2'] });
+  addItem('c-events', 'wf-e2', { name: 'Draft Tour', eventid: 'e2', location: ['wf-l1'] }, { isDraft: true });
+  addItem('c-events', 'wf-e3', { name: 'Archived Tour', eventid: 'e3', location: ['wf-l1'] }, { isArchived: true });
+  addItem('c-events', 'wf-e4', { name: 'Other Tour', eventid: 'e4', location: ['wf-l2'] });
+
+  // Registry: the reference entities dispatch to sync_reference.js.
+  assert.deepStrictEqual(listEntities(), ['Event', 'EventLocation', 'EventCategory', 'Airport']);
+  assert.throws(() => registerEntityHandler('Contact', 'sync_contact.js'), TypeError);
+  assert.strictEqual(getEntityHandler('Contact'), undefined);
+
+  // Update: the item is rewritten in place (keeping its slug), published, and the
+  // Webflow events that link to it are queued for a re-sync.
+  const updated = await getEntityHandler('EventLocation')({ id: 'job-1', entity: 'EventLocation', recordId: 'l1', changeType: 'Update' });
+  assert.strictEqual(updated.LOCATIONS.updated, 1);
+  assert.deepStrictEqual(calls, [
+    ['update', 'c-locations', 'wf-l1', { name: 'Lappland', slug: 'lapland', eventlocationid: 'l1', address1city: 'Kiruna', address1country: 'Sweden' }],
+    ['publish', 'c-locations', 'wf-l1'],
+  ]);
+  assert.deepStrictEqual(await drain(), [
+    ['Event', 'e1', 'Update', 'reference'],
+    ['Event', 'e2', 'Update', 'reference'],
+    ['Event', 'e3', 'Update', 'reference'],
+  ]);
+
+  // Nothing changed: no write and no re-sync.
+  calls.length = 0;
+  const unchanged = await syncReferenceRecord('EventLocation', 'l1', 'Update');
+  assert.strictEqual(unchanged.LOCATIONS.unchanged, 1);
+  assert.deepStrictEqual(calls, []);
+  assert.deepStrictEqual(await drain(), []);
+
+  // A new record is created and published.
+  crmLocations.set('l3', { m8_eventlocationid: 'l3', m8_name: 'Iceland' });
+  calls.length = 0;
+  assert.strictEqual((await syncReferenceRecord('EventLocation', 'l3', 'Create')).LOCATIONS.created, 1);
+  assert.deepStrictEqual(calls.map(call => call.slice(0, 3)), [['create', 'c-locations', 'wf-3'], ['publish', 'c-locations', 'wf-3']]);
+  assert.deepStrictEqual(await drain(), []);
+
+  // Delete: the events are left to their own re-sync rather than PATCHed here; the
+  // item is deleted and dropped from the index.
+  calls.length = 0;
+  const deleted = await syncReferenceRecord('EventLocation', 'l1', 'Delete');
+  assert.strictEqual(deleted.LOCATIONS.orphaned, 1);
+  assert.strictEqual(deleted.EVENTS.updated, 0);
+  assert.deepStrictEqual(calls, [['delete', 'c-locations', 'wf-l1']]);
+  assert.strictEqual(await getIdIndex({ client: webflow, collectionIds: {} }).lookup('LOCATIONS', 'l1'), null);
+  assert.deepStrictEqual(await drain(), [
+    ['Event', 'e1', 'Update', 'reference'],
+    ['Event', 'e2', 'Update', 'reference'],
+    ['Event', 'e3', 'Update', 'reference'],
+  ]);
+
+  // A record the CRM no longer returns is removed like a deleted one.
+  crmLocations.delete('l3');
+  calls.length = 0;
+  await syncReferenceRecord('EventLocation', 'l3', 'Update');
+  assert.deepStrictEqual(calls, [['delete', 'c-locations', 'wf-3']]);
+
+  // Deleting a record that has no Webflow item changes nothing.
+  calls.length = 0;
+  assert.strictEqual((await syncReferenceRecord('EventLocation', 'l9', 'Delete')).LOCATIONS.skipped, 1);
+  assert.deepStrictEqual(calls, []);
+  assert.deepStrictEqual(await drain(), []);
+
+  // Only reference entities are accepted.
+  const error = console.error;
+  console.error = () => {};
+  await assert.rejects(syncReferenceRecord('Event', 'e1'), /"Event" is not a reference entity/);
+  console.error = error;
+
+  console.log = log;
+  console.warn = warn;
+  console.log('Reference sync test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
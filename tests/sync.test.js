@@ -0,0 +1,96 @@
+const assert = require('assert');
+const { MAPPINGS } = require('../lib/mappings');
+const { diffFieldData, upsertItem, createSyncStats } = require('../lib/sync');
+
+(async () => {
+  // Normalization: dates, reference order, empty values and unset switches.
+  assert.deepStrictEqual(diffFieldData(
+    { startdate: '2026-01-10T00:00:00Z', categorie: ['b', 'a'], note: '', isfullybooked: false, drivingdays: 3 },
+    { startdate: '2026-01-10T00:00:00.000Z', categorie: ['a', 'b'], drivingdays: 3 },
+  ), []);
+  assert.deepStrictEqual(
+    diffFieldData({ name: 'New', drivingdays: 4 }, { name: 'Old', drivingdays: 4 }),
+    [{ field: 'name', from: 'Old', to: 'New' }],
+  );
+  // Clearing a number field is a change; numeric strings still compare as numbers.
+  assert.deepStrictEqual(diffFieldData({ drivingdays: null }, { drivingdays: 0 }), [{ field: 'drivingdays', from: 0, to: null }]);
+  assert.deepStrictEqual(diffFieldData({ drivingdays: 0 }, {}), [{ field: 'drivingdays', from: undefined, to: 0 }]);
+  assert.deepStrictEqual(diffFieldData({ drivingdays: 3 }, { drivingdays: '3' }), []);
+
+  // upsertItem only writes when something changed or the item is not live.
+  const calls = [];
+  const client = {
+    createItem: async (c, { fieldData }) => { calls.push('create'); return { id: 'wf-new', fieldData }; },
+    updateItem: async () => { calls.push('update'); },
+    publishItems: async () => { calls.push('publish'); },
+  };
+  const stats = createSyncStats();
+  const cache = new Map([
+    ['live', { id: 'wf-1', lastPublished: '2026-01-01T00:00:00Z', isDraft: false, fieldData: { name: 'A' } }],
+    ['draft', { id: 'wf-2', lastPublished: null, isDraft: true, fieldData: { name: 'B' } }],
+  ]);
+  const base = { client, mapping: MAPPINGS.CATEGORIES, collectionId: 'cats', cache, stats };
+
+  assert.strictEqual((await upsertItem({ ...base, crmId: 'live', fieldData: { name: 'A' } })).action, 'unchanged');
+  assert.deepStrictEqual(calls, []);
+
+  assert.strictEqual((await upsertItem({ ...base, crmId: 'live', fieldData: { name: 'A2' } })).action, 'updated');
+  assert.deepStrictEqual(calls, ['update', 'publish']);
+
+  calls.length = 0;
+  assert.strictEqual((await upsertItem({ ...base, crmId: 'draft', fieldData: { name: 'B' } })).action, 'published');
+  assert.deepStrictEqual(calls, ['update', 'publish']);
+
+  calls.length = 0;
+  assert.strictEqual((await upsertItem({ ...base, crmId: 'new', fieldData: { name: 'C' } })).action, 'created');
+  assert.deepStrictEqual(calls, ['create', 'publish']);
+
+  assert.deepStrictEqual(stats.CATEGORIES, { created: 1, updated: 1, unchanged: 2, skipped: 0, orphaned: 0 });
+
+  // Slugs: taken slugs get the event date, then a short ID; Webflow conflicts are retried.
+  const items = [{ id: 'wf-a', fieldData: { slug: 'lappland', eventid: 'e2026' } }];
+  const created = [];
+  const slugClient = {
+    findItemBySlug: async (c, slug) => items.find(item => item.fieldData.slug === slug) || null,
+    createItem: async (c, { fieldData }) => {
+      if (fieldData.slug === 'lappland-2027-02-10') {
+        throw Object.assign(new Error('conflict'), { status: 400, data: { details: [{ param: 'slug' }] } });
+      }
+      created.push(fieldData.slug);
+      return { id: `wf-${created.length}`, fieldData };
+    },
+    updateItem: async (c, id, { fieldData }) => { calls.push(['update', fieldData.slug]); },
+    publishItems: async () => {},
+  };
+  const slugStats = createSyncStats();
+  const eventCache = new Map();
+  const ev = { m8_eventid: 'e2027', m8_startdate: '2027-02-10T08:00:00Z' };
+  const slugBase = { client: slugClient, mapping: MAPPINGS.EVENTS, collectionId: 'events', cache: eventCache, stats: slugStats };
+  await upsertItem({ ...slugBase, crmId: 'e2027', record: ev, fieldData: { name: 'Lappland', slug: 'lappland' } });
+  await upsertItem({ ...slugBase, crmId: 'e2027b', record: { ...ev, m8_eventid: 'e2027b' }, fieldData: { name: 'Lappland', slug: 'lappland' } });
+  await upsertItem({ ...slugBase, crmId: 'e2027c', record: { ...ev, m8_eventid: 'e2027c' }, fieldData: { name: 'Lappland', slug: 'lappland' } });
+  assert.deepStrictEqual(created, ['lappland-2027', 'lappland-e2027b', 'lappland-e2027c']);
+
+  // A renamed event keeps its slug unless renaming is requested; the old slug is recorded.
+  const log = console.log;
+  console.log = () => {};
+  calls.length = 0;
+  const recorded = [];
+  const slugHistory = { record: async (key, change) => recorded.push([key, change]) };
+  const renamed = { name: 'Lappland Deluxe', slug: 'lappland-deluxe' };
+  await upsertItem({ ...slugBase, crmId: 'e2027', record: ev, fieldData: renamed, slugHistory });
+  assert.deepStrictEqual(calls, [['update', 'lappland-2027']]);
+  assert.deepStrictEqual(recorded, []);
+  await upsertItem({ ...slugBase, crmId: 'e2027', record: ev, fieldData: renamed, slugHistory, renameSlugs: true });
+  assert.deepStrictEqual(calls[1], ['update', 'lappland-deluxe']);
+  assert.deepStrictEqual(recorded, [['EVENTS', { from: 'lappland-2027', to: 'lappland-deluxe', crmId: 'e2027' }]]);
+  // A suffixed slug that still matches the name is not renamed.
+  await upsertItem({ ...slugBase, crmId: 'e2027b', record: ev, fieldData: { name: 'Lappland', slug: 'lappland' }, renameSlugs: true });
+  assert.strictEqual(eventCache.get('e2027b').fieldData.slug, 'lappland-e2027b');
+  console.log = log;
+
+  console.log('Sync helpers test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+const assert = require('assert');
+const { createTokenManager } = require('../lib/token-manager');
+
+(async () => {
+  let clock = 1_000_000;
+  let requests = 0;
+  const manager = createTokenManager({
+    fetchToken: async () => {
+      requests++;
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return { access_token: `token-${requests}`, expires_in: 3600 };
+    },
+    refreshMarginMs: 60 * 1000,
+    now: () => clock,
+  });
+
+  // Concurrent callers share one token request.
+  const tokens = await Promise.all([manager.getToken(), manager.getToken(), manager.getToken()]);
+  assert.deepStrictEqual(tokens, ['token-1', 'token-1', 'token-1']);
+  assert.strictEqual(requests, 1);
+
+  // Still valid: served from cache.
+  clock += 30 * 60 * 1000;
+  assert.strictEqual(await manager.getToken(), 'token-1');
+  assert.strictEqual(requests, 1);
+
+  // Inside the refresh margin: a new token is requested.
+  clock += 29.5 * 60 * 1000;
+  assert.strictEqual(await manager.getToken(), 'token-2');
+  assert.strictEqual(requests, 2);
+
+  // A fresh token in the shared store is reused instead of requesting one.
+  const shared = new Map();
+  const store = {
+    get: async key => shared.get(key),
+    set: async (key, value) => { shared.set(key, value); },
+    del: async key => { shared.delete(key); },
+  };
+  shared.set('crm:access-token', { accessToken: 'from-kv', expiresAt: clock + 3600 * 1000 });
+  const sharedManager = createTokenManager({
+    fetchToken: async () => { throw new Error('should not be called'); },
+    store,
+    now: () => clock,
+  });
+  assert.strictEqual(await sharedManager.getToken(), 'from-kv');
+
+  console.log('Token manager test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const http = require('http');
+const { createRateLimiter, createWebflowClient } = require('../lib/webflow');
+
+(async () => {
+  // Token bucket: spends the burst, then waits for a refill.
+  let clock = 0;
+  const waits = [];
+  const limiter = createRateLimiter({
+    limitPerMinute: 60,
+    now: () => clock,
+    sleep: async ms => { waits.push(ms); clock += ms; },
+  });
+  for (let i = 0; i < 60; i++) await limiter.acquire();
+  assert.deepStrictEqual(waits, []);
+  await limiter.acquire();
+  assert.deepStrictEqual(waits, [1000]);
+
+  // Rate-limit headers from Webflow correct the bucket.
+  limiter.update({ 'x-ratelimit-limit': '120', 'x-ratelimit-remaining': '0' });
+  assert.strictEqual(limiter.getTokens(), 0);
+
+  // Client retries 429 responses and paginates collections.
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    if (hits === 1) {
+      res.writeHead(429, { 'Retry-After': '0', 'Content-Type': 'application/json' });
+      return res.end('{"message":"Too Many Requests"}');
+    }
+    const offset = Number(new URL(req.url, 'http://x').searchParams.get('offset'));
+    res.writeHead(200, { 'Content-Type': 'application/json', 'X-RateLimit-Remaining': '50', 'X-RateLimit-Limit': '60' });
+    res.end(JSON.stringify({ items: offset === 0 ? [{ id: 'a' }, { id: 'b' }] : [{ id: 'c' }], pagination: { total: 3 } }));
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  try {
+    const client = createWebflowClient({ token: 't', baseUrl: `http://127.0.0.1:${server.address().port}` });
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    const items = await client.listAllItems('col');
+    console.warn = originalWarn;
+    assert.deepStrictEqual(items.map(i => i.id), ['a', 'b', 'c']);
+    assert.strictEqual(hits, 3);
+
+    // Aborted requests are not retried.
+    const controller = new AbortController();
+    controller.abort();
+    const originalError = console.error;
+    console.error = () => {};
+    await assert.rejects(client.getItem('col', 'a', { signal: controller.signal }));
+    console.error = originalError;
+    assert.strictEqual(hits, 3);
+  } finally {
+    server.close();
+  }
+
+  console.log('Webflow client test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
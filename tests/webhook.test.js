@@ -0,0 +1,52 @@
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+const { verifyWebhookToken, WebhookAuthError } = require('../lib/webhook-auth');
+const { createReplayGuard, webhookFingerprint } = require('../lib/replay-guard');
+const { createMemoryStore } = require('../lib/kv');
+
+(async () => {
+  const secret = 'test-secret';
+  const now = 1_700_000_000;
+  const body = { entityName: 'Event', recordId: 'e1', changeType: 'Update' };
+  const sign = (claims, options = {}) => jwt.sign({ ...body, iat: now, ...claims }, secret, options);
+  const verify = token => verifyWebhookToken(token, { secret, maxAgeSeconds: 300, clockToleranceSeconds: 30, now });
+
+  // Short-lived tokens with iat and exp are accepted.
+  assert.strictEqual(verify(sign({ exp: now + 120 })).recordId, 'e1');
+
+  // Missing claims, long-lived, stale, future and forged tokens are rejected.
+  const rejects = (token, pattern) => assert.throws(() => verify(token), err => err instanceof WebhookAuthError && pattern.test(err.message));
+  rejects(sign({}), /"iat" and "exp"/);
+  rejects(sign({ exp: now + 86400 }), /lifetime/);
+  rejects(sign({ iat: now - 3600, exp: now + 60 }), /maxAge/);
+  rejects(sign({ iat: now + 600, exp: now + 700 }), /future/);
+  rejects(jwt.sign({ ...body, iat: now, exp: now + 60 }, 'other-secret'), /signature/);
+  assert.throws(() => verifyWebhookToken('x', { secret: '' }), err => err.status === 500);
+
+  // Fingerprints: jti wins, otherwise entity/record/changeType/modifiedon.
+  assert.strictEqual(webhookFingerprint({ ...body, jti: 'abc' }), 'jti:abc');
+  assert.strictEqual(
+    webhookFingerprint({ ...body, modifiedon: '2026-01-01T00:00:00Z', iat: 1 }),
+    webhookFingerprint({ ...body, modifiedon: '2026-01-01T00:00:00Z', iat: 2 }),
+  );
+  assert.notStrictEqual(
+    webhookFingerprint({ ...body, modifiedon: '2026-01-01T00:00:00Z' }),
+    webhookFingerprint({ ...body, modifiedon: '2026-01-01T00:00:01Z' }),
+  );
+
+  // Repeats are detected until released or expired.
+  let clock = 0;
+  const guard = createReplayGuard({ store: createMemoryStore({ now: () => clock }), ttlMs: 1000 });
+  const payload = { ...body, jti: 'j1' };
+  assert.strictEqual(await guard.claim(payload), true);
+  assert.strictEqual(await guard.claim(payload), false);
+  await guard.release(payload);
+  assert.strictEqual(await guard.claim(payload), true);
+  clock = 1000;
+  assert.strictEqual(await guard.claim(payload), true);
+
+  console.log('Webhook auth test passed');
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});